@@ -6,6 +6,9 @@
  * - POST /api/telegram-webhook - Webhook для Telegram бота
  * - GET /api/health - Health check
  * - GET /api/logs - Получение логов синхронизации
+ * - GET /api/runs - История запусков синхронизации
+ * - GET /api/runs/:id - Запуск с журналом действий
+ * - GET /api/users/:email/history - Действия синхронизации по пользователю
  */
 
 const express = require('express');
@@ -14,6 +17,7 @@ const { config, validateConfig } = require('./config/env');
 const logger = require('./utils/logger');
 const telegramBot = require('./services/telegram-bot');
 const scheduler = require('./services/scheduler');
+const runStore = require('./services/run-store');
 
 class UserSyncApp {
   constructor() {
@@ -89,6 +93,66 @@ class UserSyncApp {
       }
     });
 
+    // История запусков синхронизации
+    this.app.get('/api/runs', async (req, res) => {
+      try {
+        const limit = Math.min(parseInt(req.query.limit || '20'), 100);
+        const runs = await runStore.getRuns(limit);
+        res.json({
+          success: true,
+          runs,
+          count: runs.length
+        });
+      } catch (error) {
+        logger.error(`❌ Error fetching runs: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Запуск с журналом действий
+    this.app.get('/api/runs/:id', async (req, res) => {
+      try {
+        const run = await runStore.getRun(req.params.id);
+        if (!run) {
+          return res.status(404).json({
+            success: false,
+            error: 'Run not found'
+          });
+        }
+        res.json({
+          success: true,
+          run
+        });
+      } catch (error) {
+        logger.error(`❌ Error fetching run: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Действия синхронизации по пользователю
+    this.app.get('/api/users/:email/history', async (req, res) => {
+      try {
+        const history = await runStore.getUserHistory(req.params.email);
+        res.json({
+          success: true,
+          history,
+          count: history.length
+        });
+      } catch (error) {
+        logger.error(`❌ Error fetching user history: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // Health check
     this.app.get('/api/health', (req, res) => {
       res.json({
@@ -113,6 +177,7 @@ class UserSyncApp {
         endpoints: {
           health: '/api/health',
           logs: '/api/logs',
+          runs: '/api/runs',
           telegram: '/api/telegram-webhook (POST)'
         },
         telegram: {
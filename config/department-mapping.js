@@ -1,99 +1,147 @@
 /**
  * Маппинг отделов: Worksection group → Supabase department
  *
+ * Сам маппинг хранится вне кода (services/department-mapping-store.js):
+ * таблица Supabase department_mapping, если её нет - правки в .sync-history/department-mapping.json
+ * поверх config/department-mapping.json (исходный маппинг, только для чтения).
+ * Хранилище перечитывается перед каждым запуском и подставляет маппинг через setMapping,
+ * до первой загрузки действует config/department-mapping.json.
+ *
+ * Значение маппинга - название отдела (подразделение "Производственные отделы")
+ * или { department, subdivision } для отделов других подразделений:
+ *   "(БУХ) Бухгалтерия": { "department": "Бухгалтерия", "subdivision": "Администрация" }
+ * У одного отдела одно подразделение, даже если на него мапятся несколько групп
+ *
  * 16 производственных отделов (мапятся по group):
  * ТСБС, КР гражд, СМ, АР гражд, АВТ, ТХ, ВК, ТМ,
  * ЭС пром, АР пром, ЭС гражд, ОВ гражд, ОВ пром, ГПиИС, КР пром, МТО
  *
- * + 1 специальный отдел (НЕ в маппинге, определяется по title в compare-users.js):
+ * + 1 специальный отдел (НЕ в маппинге, определяется по title в sync/user-leave.js):
  * Декрет - если в title есть слова "декрет", "Декрет", "декретный отпуск"
  */
 
-const DEPARTMENT_MAPPING = {
-  // 1. ТСБС
-  '(ТСБС) Технические системы безопасности и связи Ⓓ': 'ТСБС',
-
-  // 2. КР гражд
-  '(КР гражд) Констр. отдел по гражданским объектам Ⓓ': 'КР гражд',
-
-  // 3. СМ
-  '(СМ) Отдел смет и организации строительства Ⓓ': 'СМ',
-
-  // 4. АР гражд
-  '(АР гражд) Архитектурный отдел Ⓓ': 'АР гражд',
-
-  // 5. АВТ (оба мапятся в один)
-  '(АВТ1) Отдел автоматизации Ⓓ': 'АВТ',
-  '(АВТ2) Отдел автоматизации Ⓓ': 'АВТ',
-
-  // 6. ТХ
-  '(ТХ) Технологический отдел Ⓓ': 'ТХ',
-
-  // 7. ВК
-  '(ВК) Отдел водоснабжения и канализации Ⓓ': 'ВК',
-
-  // 8. ТМ
-  '(ТМ) Тепломеханический отдел Ⓓ': 'ТМ',
-
-  // 9. ЭС пром
-  '(ЭС пром) Отдел электроснабжения Ⓓ': 'ЭС пром',
+const { PRODUCTION_SUBDIVISION } = require('./sync-config');
+const DEFAULT_MAPPING = require('./department-mapping.json');
 
-  // 10. АР пром
-  '(АР пром) Отдел промышленной архитектуры Ⓓ': 'АР пром',
-
-  // 11. ЭС гражд
-  '(ЭС гражд) Отдел электроснабжения Ⓓ': 'ЭС гражд',
-
-  // 12. ОВ гражд
-  '(ОВ гражд) Отдел отопления, вентиляции и конд. Ⓓ': 'ОВ гражд',
+/**
+ * Привести маппинг к виду group → отдел и отдел → подразделение
+ *
+ * @param {Object} mapping - { 'WS group': 'отдел' | { department, subdivision } }
+ * @returns {Object} { departments: { group: отдел }, subdivisions: { отдел: подразделение } }
+ * @throws {Error} Если у отдела указаны разные подразделения или пустое название отдела
+ */
+function parseMapping(mapping) {
+  const departments = {};
+  const subdivisions = {};
+
+  for (const [group, value] of Object.entries(mapping)) {
+    const department = typeof value === 'string' ? value : (value && value.department);
+    const subdivision = (value && typeof value === 'object' && value.subdivision) || PRODUCTION_SUBDIVISION;
+
+    if (!department) {
+      throw new Error(`Маппинг отделов: у группы "${group}" не указан отдел`);
+    }
+
+    if (subdivisions[department] && subdivisions[department] !== subdivision) {
+      throw new Error(
+        `Маппинг отделов: отдел "${department}" указан в подразделениях ` +
+        `"${subdivisions[department]}" и "${subdivision}"`
+      );
+    }
+
+    departments[group] = department;
+    subdivisions[department] = subdivision;
+  }
+
+  return { departments, subdivisions };
+}
 
-  // 13. ОВ пром
-  '(ОВ пром) Отдел отопления, вентиляции и конд. Ⓓ': 'ОВ пром',
+let currentMapping = parseMapping(DEFAULT_MAPPING);
 
-  // 14. ГПиИС
-  '(ГПиИС) Отдел генплана и инженерных систем Ⓓ': 'ГПиИС',
+/**
+ * Заменить текущий маппинг (вызывается хранилищем после загрузки)
+ * @param {Object} mapping - { 'WS group': 'отдел' | { department, subdivision } }
+ * @throws {Error} Если маппинг противоречив (см. parseMapping)
+ */
+function setMapping(mapping) {
+  currentMapping = parseMapping(mapping);
+}
 
-  // 15. КР пром
-  '(КР пром) Констр. отдел по промышленным объектам Ⓓ': 'КР пром',
+/**
+ * Текущий маппинг group → отдел (копия)
+ */
+function getMapping() {
+  return { ...currentMapping.departments };
+}
 
-  // 16. МТО
-  '(МТО) Отдел механико-технологический Ⓓ': 'МТО'
-};
+/**
+ * Маппинг по умолчанию из config/department-mapping.json
+ */
+function getDefaultMapping() {
+  return { ...DEFAULT_MAPPING };
+}
 
 /**
  * Получить Supabase название отдела по WS group
  */
 function mapDepartment(wsGroup) {
-  return DEPARTMENT_MAPPING[wsGroup] || null;
+  return currentMapping.departments[wsGroup] || null;
 }
 
 /**
  * Проверить мапится ли отдел
  */
 function isMapped(wsGroup) {
-  return wsGroup in DEPARTMENT_MAPPING;
+  return wsGroup in currentMapping.departments;
 }
 
 /**
  * Получить все мапящиеся отделы из WS
  */
 function getMappedDepartments() {
-  return Object.keys(DEPARTMENT_MAPPING);
+  return Object.keys(currentMapping.departments);
 }
 
 /**
- * Получить уникальные Supabase отделы
- * Только 16 производственных отделов из маппинга
+ * Получить уникальные Supabase отделы из маппинга (всех подразделений)
  */
 function getSupabaseDepartments() {
-  const departments = [...new Set(Object.values(DEPARTMENT_MAPPING))];
+  const departments = [...new Set(Object.values(currentMapping.departments))];
   return departments;
 }
 
+/**
+ * Подразделение отдела из маппинга
+ * @param {string} departmentName - Отдел в Supabase
+ * @returns {string|null} null - отдела нет в маппинге (служебные "Удалены", "Декрет")
+ */
+function getDepartmentSubdivision(departmentName) {
+  return currentMapping.subdivisions[departmentName] || null;
+}
+
+/**
+ * Отдел → подразделение для всех отделов из маппинга (копия)
+ */
+function getDepartmentSubdivisions() {
+  return { ...currentMapping.subdivisions };
+}
+
+/**
+ * Уникальные подразделения из маппинга
+ */
+function getSubdivisions() {
+  return [...new Set(Object.values(currentMapping.subdivisions))];
+}
+
 module.exports = {
-  DEPARTMENT_MAPPING,
+  setMapping,
+  getMapping,
+  getDefaultMapping,
   mapDepartment,
   isMapped,
   getMappedDepartments,
-  getSupabaseDepartments
+  getSupabaseDepartments,
+  getDepartmentSubdivision,
+  getDepartmentSubdivisions,
+  getSubdivisions
 };
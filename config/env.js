@@ -29,6 +29,25 @@ const config = {
     maxRetries: parseInt(process.env.SYNC_MAX_RETRIES || '3')
   },
 
+  // Доступ новых пользователей (sync-config.credentials)
+  auth: {
+    redirectUrl: process.env.AUTH_REDIRECT_URL,         // Куда ведут ссылки из писем (приглашение, вход, смена пароля)
+    sharedPassword: process.env.SYNC_SHARED_PASSWORD    // Общий пароль - только для стратегии 'shared'
+  },
+
+  // Почта для приветственных писем (sync-config.welcome)
+  // Для проверки - локальный SMTP catcher (MailHog, Mailpit): SMTP_HOST=localhost SMTP_PORT=1025
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'smtp',    // 'smtp' или 'json' (письмо только в лог, без отправки)
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',         // true - TLS сразу (порт 465), false - STARTTLS при наличии
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.MAIL_FROM || 'eneca.work <no-reply@eneca.work>',
+    loginUrl: process.env.MAIL_LOGIN_URL || process.env.AUTH_REDIRECT_URL  // Ссылка на вход в письме
+  },
+
   // Telegram конфигурация для отправки уведомлений в два чата
   telegram: {
     enabled: !!(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID),
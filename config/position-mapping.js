@@ -0,0 +1,72 @@
+/**
+ * Маппинг должностей: Worksection title → Supabase position (и опционально category)
+ *
+ * Используется при создании пользователя. Если title не подошёл ни под одно правило -
+ * назначаются defaults.positionName / defaults.categoryName из sync-config.js,
+ * а title попадает в отчёт "ДОЛЖНОСТИ БЕЗ МАППИНГА".
+ *
+ * Типы правил (проверяются в этом порядке, внутри типа - сверху вниз):
+ * - exact    - точное совпадение title (без учёта регистра и пробелов по краям)
+ * - contains - title содержит подстроку (без учёта регистра)
+ * - regex    - регулярное выражение по title
+ *
+ * position / category - названия из таблиц positions / categories в Supabase
+ */
+
+const POSITION_RULES = [
+  // Примеры:
+  // { exact: 'Главный инженер проекта', position: 'Главный инженер проекта' },
+  // { contains: 'начальник отдела', position: 'Начальник отдела' },
+  // { regex: /инженер.*\b1\s*кат/i, position: 'Инженер', category: 'I категория' }
+];
+
+/**
+ * Нормализовать title для сравнения
+ */
+function normalizeTitle(title) {
+  return (title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Найти правило для WS title
+ * @param {string} title - Title пользователя из WS
+ * @returns {Object|null} { position, category } или null, если правило не найдено
+ */
+function mapPosition(title) {
+  const normalized = normalizeTitle(title);
+
+  if (!normalized) {
+    return null;
+  }
+
+  const rule =
+    POSITION_RULES.find(r => r.exact && normalizeTitle(r.exact) === normalized) ||
+    POSITION_RULES.find(r => r.contains && normalized.includes(normalizeTitle(r.contains))) ||
+    POSITION_RULES.find(r => r.regex && r.regex.test(title));
+
+  if (!rule) {
+    return null;
+  }
+
+  return {
+    position: rule.position,
+    category: rule.category || null
+  };
+}
+
+/**
+ * Все названия должностей и категорий, на которые ссылаются правила
+ * (для проверки, что они есть в базе)
+ */
+function getMappedPositions() {
+  return {
+    positions: [...new Set(POSITION_RULES.map(r => r.position))],
+    categories: [...new Set(POSITION_RULES.map(r => r.category).filter(Boolean))]
+  };
+}
+
+module.exports = {
+  POSITION_RULES,
+  mapPosition,
+  getMappedPositions
+};
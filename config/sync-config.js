@@ -14,6 +14,7 @@ function getTeamName(departmentName) {
 
 module.exports = {
   // Константы для поиска в базе данных
+  // Подразделение отделов из маппинга, для которых оно не указано (config/department-mapping.json)
   PRODUCTION_SUBDIVISION: 'Производственные отделы',
   DELETED_DEPARTMENT: 'Удалены',
   TEAM_SUFFIX: ' - Общая',
@@ -23,7 +24,6 @@ module.exports = {
 
   // Значения по умолчанию для новых пользователей
   defaults: {
-    password: 'enecaworkPass',
     workFormat: 'В офисе',
     employmentRate: 1,
     salary: 0,
@@ -33,6 +33,85 @@ module.exports = {
     roleName: 'user'
   },
 
+  // Доступ новых пользователей (общего пароля в коде нет)
+  credentials: {
+    // 'invite'     - приглашение Supabase: письмо со ссылкой для установки пароля
+    // 'random'     - индивидуальный случайный пароль, сохраняется в .sync-credentials/ (доступ только владельцу)
+    // 'magic_link' - без пароля, вход по ссылке из письма (первое письмо - сразу после создания)
+    // 'shared'     - общий пароль из SYNC_SHARED_PASSWORD (.env), не рекомендуется
+    strategy: 'invite',
+
+    // Длина пароля для 'random'
+    passwordLength: 16,
+
+    // Пользователи, ни разу не входившие в систему
+    reinvite: {
+      // Повторное письмо - не раньше чем через N дней после создания или прошлого письма
+      afterDays: 7,
+
+      // true - отправлять при синхронизации, false - только отчёт и scripts/reinvite-users.js
+      auto: false
+    }
+  },
+
+  // Какие аккаунты WS синхронизируются (sync/account-filter.js).
+  // Остальные не создаются и не меняются, их профили не уходят в "Удалены" (раздел "ИСКЛЮЧЁННЫЕ АККАУНТЫ WS")
+  accounts: {
+    // Роли WS (в нижнем регистре): owner, account admin, team admin, department admin, user, guest, reader
+    includeRoles: ['owner', 'account admin', 'team admin', 'department admin', 'user'],
+
+    // Email, которые никогда не синхронизируются (боты, общие ящики), без учёта регистра
+    // Пример: ['bot@eneca.by', 'info@eneca.by']
+    excludeEmails: []
+  },
+
+  // Роли eneca.work по роли WS (sync/user-roles.js). Роль defaults.roleName есть у всех и не трогается
+  roles: {
+    // Роль WS (в нижнем регистре) → роли eneca.work (roles.name), выдаются в дополнение к роли по умолчанию
+    // Пример: { 'department admin': ['department_head'], 'team admin': ['team_lead'] }
+    mapping: {},
+
+    // true - сверять при каждом запуске: выдать недостающие роли из маппинга и снять выданные
+    //        синхронизацией, которые больше не положены (выданные вручную не снимаются)
+    // false - роли из маппинга выдаются только при создании
+    reconcile: true
+  },
+
+  // Проверка данных WS перед синхронизацией (sync/ws-data-quality.js).
+  // Некорректный email, чужой домен и дубликаты email - карантин: пользователь не создаётся
+  // и не меняется, его профиль не уходит в "Удалены"; всё видно в разделе "ПРОБЛЕМЫ ДАННЫХ WS"
+  dataQuality: {
+    // Корпоративные домены email, например ['example.com']. Пустой список - домен не проверяется.
+    // Включать после сверки со списком WS: при неверном домене в карантин попадут все
+    allowedDomains: []
+  },
+
+  // Ставка из WS (rate) → employment_rate и is_hourly профиля (sync/employment-rate.js).
+  // Применяется при создании, у существующих профилей - по политике drift.employment.
+  // Пустая ставка - значения по умолчанию (defaults); ставка вне обоих диапазонов не применяется
+  // и попадает в раздел "ПРОБЛЕМЫ ДАННЫХ WS"
+  employment: {
+    // Доля ставки (0.5 - полставки): employment_rate = rate, is_hourly = false
+    fractionRange: { min: 0.1, max: 1.5 },
+
+    // Стоимость часа: почасовая оплата, employment_rate = defaults.employmentRate, is_hourly = true
+    hourlyRange: { min: 2, max: 1000 }
+  },
+
+  // Приветственное письмо новым пользователям после CREATE (транспорт - SMTP_* в .env)
+  welcome: {
+    // false - письма не отправляются, учётные данные передаются вручную
+    enabled: false,
+
+    // Писем в пакете и пауза между пакетами (мс) - лимиты SMTP сервера
+    batchSize: 20,
+    delayBetweenBatches: 2000,
+
+    // Попытки отправки одного письма (utils/retry.js, экспоненциальная задержка)
+    maxRetries: 3,
+    retryBaseDelay: 2000
+  },
+
   // Настройки синхронизации
   sync: {
     // Режим dry-run: true - только показать что будет сделано, false - реально выполнить
@@ -45,6 +124,123 @@ module.exports = {
     delayBetweenBatches: 1000,
 
     // Продолжать при ошибках или останавливаться
-    continueOnError: false  
+    continueOnError: false
+  },
+
+  // UPDATE: перемещение пользователей, у которых отдел в Supabase расходится с WS
+  update: {
+    // Отделы (ожидаемые по WS), в которые разрешено перемещать пользователей.
+    // Пустой список - UPDATE выключен, расхождения только логируются
+    // Пример: ['ВК', 'СМ']
+    departments: []
+  },
+
+  // Расхождения полей (кроме отдела) у существующих пользователей.
+  // Политика по полю:
+  //   'ws'       - WS главнее: значение из WS записывается в профиль
+  //   'supabase' - Supabase главнее: расхождение игнорируется
+  //   'report'   - только отчёт (лог и CSV), без изменений
+  drift: {
+    first_name: 'report',
+    last_name: 'report',
+    position: 'report', // Должность (и категория) по маппингу title из config/position-mapping.js
+    employment: 'report' // employment_rate и is_hourly по ставке WS (sync-config.employment)
+  },
+
+  // Декрет: пользователи, у которых в title WS есть "декрет"
+  maternity: {
+    // false - переходы в декрет и обратно только в отчёте, сотрудники в декрете не создаются
+    // true  - переходы применяются (для режима 'department' нужны отдел department и команда "{Отдел} - Общая")
+    enabled: false,
+
+    // 'department' - в декрете пользователь переносится в отдел department (команда "{Отдел} - Общая"),
+    //               при возвращении - обратно в отдел по маппингу WS group
+    // 'flag'       - пользователь остаётся в своём отделе, в профиле ставится flagColumn = true
+    mode: 'department',
+
+    // Отдел в Supabase для режима 'department'
+    department: 'Декрет',
+
+    // Колонка boolean в profiles для режима 'flag'
+    flagColumn: 'is_on_leave'
+  },
+
+  // Недостающие отделы из маппинга и команды "{Отдел} - Общая"
+  provision: {
+    // true - создать их в подразделении отдела из маппинга (в DRY-RUN только показать),
+    // false - остановить синхронизацию с ошибкой, создать вручную
+    enabled: false
+  },
+
+  // RESTORE: возврат из "Удалены" пользователей, которые снова активны в WS
+  restore: {
+    enabled: true
+  },
+
+  // Доступ пользователей в "Удалены" (sync/user-access.js)
+  access: {
+    // true - при перемещении в "Удалены" auth пользователь блокируется.
+    // Блокировка снимается при восстановлении и откате удаления (независимо от этой настройки)
+    banOnDelete: true,
+
+    // Срок блокировки в формате Supabase ban_duration ('876000h' - 100 лет)
+    banDuration: '876000h',
+
+    // true - завершить активные сессии функцией sync_sign_out_user (docs/sql/sync_sign_out_user.sql)
+    signOut: true
+  },
+
+  // Хранение пользователей в "Удалены" (sync/user-retention.js, scripts/retention.js)
+  retention: {
+    // false - пользователи остаются в "Удалены" бессрочно
+    enabled: false,
+
+    // Сколько дней пользователь лежит в "Удалены" до обработки
+    afterDays: 180,
+
+    // 'anonymize' - имя, фамилия и email → заглушка, профиль и связи (user_id) сохраняются
+    // 'delete'    - auth пользователь и профиль удаляются (не получится, если на профиль ссылаются другие таблицы)
+    mode: 'anonymize',
+
+    // Максимум пользователей за один запуск (остальные - в следующих)
+    maxPerRun: 20,
+
+    // Час ежедневного запуска в планировщике (время Минска)
+    hour: 3
+  },
+
+  // Защита от массового удаления: при превышении любого порога DELETE не выполняется.
+  // Разовый обход: /start_sync force в Telegram или --force-delete в scripts/sync-users.js
+  safety: {
+    // Максимум пользователей, перемещаемых в "Удалены" за один запуск
+    maxDeletes: 10,
+
+    // Максимальная доля отдела (% от supa_count), удаляемая за один запуск
+    maxDeletePercent: 30,
+
+    // Процентный порог проверяется, только если в отделе удаляется не меньше N человек
+    percentMinDeletes: 3,
+
+    // Минимум пользователей, которые должен вернуть WS (меньше - список считается урезанным)
+    minWsUsers: 100
+  },
+
+  // Двухфазная синхронизация: plan (ревью) → apply
+  plan: {
+    // План старше этого срока применять нельзя - нужно построить новый
+    maxAgeMinutes: 60
+  },
+
+  // Глобальная блокировка: cron, Telegram, CLI и API не запускают синхронизацию параллельно
+  lock: {
+    // Блокировка без heartbeat дольше этого срока считается протухшей и снимается
+    staleMinutes: 10,
+
+    // Как часто владелец обновляет heartbeat (сек)
+    heartbeatSeconds: 30,
+
+    // Дополнительно держать строку в таблице sync_locks (docs/sql/sync_locks.sql) -
+    // нужно, если синхронизацию запускают с разных машин
+    supabase: false
   }
 };
@@ -0,0 +1,70 @@
+-- Маппинг отделов: группа Worksection → отдел Supabase (services/department-mapping-store.js)
+-- Если таблица не создана, маппинг берётся из config/department-mapping.json
+-- Заполнить из файла: node scripts/department-mapping.js import
+
+create table if not exists public.department_mapping (
+  ws_group text primary key,             -- группа в WS (точная строка, включая суффикс "Ⓓ")
+  department_name text not null,         -- departments.department_name
+  subdivision_name text,                 -- подразделение отдела (null - "Производственные отделы")
+  updated_by text,                       -- кто последним менял строку (при правке в панели Supabase - заполнить)
+  updated_at timestamptz not null default now()
+);
+
+-- История изменений (пишет триггер - в том числе правки из панели Supabase)
+create table if not exists public.department_mapping_history (
+  id bigint generated always as identity primary key,
+  ws_group text not null,
+  old_department text,
+  new_department text,
+  new_subdivision text,
+  action text not null,                  -- insert | update | delete
+  changed_by text,
+  changed_at timestamptz not null default now()
+);
+
+-- Для таблиц, созданных до появления подразделений
+alter table public.department_mapping add column if not exists subdivision_name text;
+alter table public.department_mapping_history add column if not exists new_subdivision text;
+
+create index if not exists department_mapping_history_changed_at_idx
+  on public.department_mapping_history (changed_at desc);
+
+create or replace function public.department_mapping_log_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'DELETE' then
+    insert into public.department_mapping_history (ws_group, old_department, new_department, action, changed_by)
+    values (old.ws_group, old.department_name, null, 'delete', coalesce(old.updated_by, current_user));
+    return old;
+  end if;
+
+  -- Повторная запись того же отдела (например, только updated_by перед удалением) - не изменение
+  if tg_op = 'UPDATE'
+    and new.department_name is not distinct from old.department_name
+    and new.subdivision_name is not distinct from old.subdivision_name then
+    return new;
+  end if;
+
+  insert into public.department_mapping_history (ws_group, old_department, new_department, new_subdivision, action, changed_by)
+  values (
+    new.ws_group,
+    case when tg_op = 'UPDATE' then old.department_name end,
+    new.department_name,
+    coalesce(new.subdivision_name, 'Производственные отделы'),
+    lower(tg_op),
+    coalesce(new.updated_by, current_user)
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists department_mapping_log_change on public.department_mapping;
+create trigger department_mapping_log_change
+  after insert or update or delete on public.department_mapping
+  for each row execute function public.department_mapping_log_change();
+
+-- Доступ только для service role
+alter table public.department_mapping enable row level security;
+alter table public.department_mapping_history enable row level security;
@@ -0,0 +1,16 @@
+-- Дата перемещения пользователей в "Удалены" (services/deleted-users.js)
+-- Нужна хранению по сроку (retention в config/sync-config.js)
+-- Если таблица не создана, даты хранятся в локальном файле .sync-history/deleted-users.json
+
+create table if not exists public.sync_deleted_users (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  deleted_at timestamptz not null,       -- перемещение в "Удалены" (или первый запуск retention)
+  anonymized_at timestamptz,             -- профиль обезличен (retention.mode = 'anonymize')
+  banned boolean not null default false  -- вход заблокировала синхронизация (снимается при восстановлении)
+);
+
+-- Для таблицы, созданной до появления колонки banned
+alter table public.sync_deleted_users add column if not exists banned boolean not null default false;
+
+-- Доступ только для service role
+alter table public.sync_deleted_users enable row level security;
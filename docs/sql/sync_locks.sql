@@ -0,0 +1,16 @@
+-- Блокировка синхронизации между машинами (services/sync-lock.js)
+-- Используется, только если в config/sync-config.js включено lock.supabase
+
+create table if not exists public.sync_locks (
+  name text primary key,                 -- user-sync
+  token uuid not null,                   -- владелец блокировки
+  trigger text not null,                 -- cron | telegram | cli | api
+  operation text not null,               -- sync | apply | rollback
+  host text not null,
+  pid integer not null,
+  started_at timestamptz not null,
+  heartbeat_at timestamptz not null
+);
+
+-- Доступ только для service role
+alter table public.sync_locks enable row level security;
@@ -0,0 +1,14 @@
+-- Роли, выданные синхронизацией по роли WS (services/role-grants.js)
+-- Снимаются только роли из этой таблицы - выданные вручную роли синхронизация не трогает
+-- Если таблица не создана, список хранится в локальном файле .sync-history/role-grants.json
+
+create table if not exists public.sync_role_grants (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role_name text not null,               -- roles.name
+  ws_role text,                          -- роль WS, по которой выдана
+  granted_at timestamptz not null default now(),
+  primary key (user_id, role_name)
+);
+
+-- Доступ только для service role
+alter table public.sync_role_grants enable row level security;
@@ -0,0 +1,50 @@
+-- История запусков синхронизации (services/run-store.js)
+-- Если таблицы не созданы, история пишется в локальные файлы .sync-history/*.jsonl
+
+create table if not exists public.sync_runs (
+  id uuid primary key,
+  trigger text not null,                 -- cron | telegram | cli | api
+  mode text not null,                    -- dry-run | production
+  status text not null,                  -- completed | completed_with_errors | failed
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  duration_ms integer,
+  counts jsonb not null default '{}'::jsonb,
+  error text,
+  meta jsonb not null default '{}'::jsonb
+);
+
+create index if not exists sync_runs_started_at_idx on public.sync_runs (started_at desc);
+
+create table if not exists public.sync_run_items (
+  id bigserial primary key,
+  run_id uuid not null references public.sync_runs (id) on delete cascade,
+  action text not null,                  -- created | renamed | drifted | moved | leave | restored | deleted | rollback_delete | rollback_create | retention
+  status text not null,
+  email text,
+  from_email text,                       -- прежний email (renamed)
+  user_id uuid,
+  from_department text,
+  to_department text,
+  -- ID хранятся как text, чтобы не зависеть от типа ключей departments/teams
+  from_department_id text,
+  from_team_id text,
+  to_department_id text,
+  to_team_id text,
+  changes jsonb,                         -- изменённые поля (drifted): [{ field, from, to }]
+  error text,
+  created_at timestamptz not null default now()
+);
+
+-- Для таблиц, созданных до появления from_email
+alter table public.sync_run_items add column if not exists from_email text;
+-- Для таблиц, созданных до появления changes
+alter table public.sync_run_items add column if not exists changes jsonb;
+
+create index if not exists sync_run_items_run_id_idx on public.sync_run_items (run_id);
+create index if not exists sync_run_items_email_idx on public.sync_run_items (lower(email));
+create index if not exists sync_run_items_user_id_idx on public.sync_run_items (user_id);
+
+-- Доступ только для service role
+alter table public.sync_runs enable row level security;
+alter table public.sync_run_items enable row level security;
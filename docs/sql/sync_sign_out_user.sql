@@ -0,0 +1,18 @@
+-- Завершение всех сессий пользователя при перемещении в "Удалены" (sync/user-access.js)
+-- Используется, если в config/sync-config.js включено access.signOut
+-- Без функции пользователь всё равно заблокирован (ban_duration), но уже выданный токен
+-- действует до истечения (JWT expiry)
+
+create or replace function public.sync_sign_out_user(target_user_id uuid)
+returns void
+language sql
+security definer
+set search_path = ''
+as $$
+  -- refresh-токены сессий удаляются каскадно
+  delete from auth.sessions where user_id = target_user_id;
+$$;
+
+-- Доступ только для service role
+revoke execute on function public.sync_sign_out_user(uuid) from public, anon, authenticated;
+grant execute on function public.sync_sign_out_user(uuid) to service_role;
@@ -0,0 +1,12 @@
+-- Связь пользователя Worksection с профилем (services/ws-user-map.js)
+-- Если таблица не создана, связь хранится в локальном файле .sync-history/ws-user-map.json
+
+create table if not exists public.ws_user_map (
+  ws_user_id text primary key,           -- id пользователя в Worksection
+  user_id uuid not null unique references auth.users (id) on delete cascade,
+  email text,                            -- email на момент последнего сопоставления
+  updated_at timestamptz not null default now()
+);
+
+-- Доступ только для service role
+alter table public.ws_user_map enable row level security;
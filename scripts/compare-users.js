@@ -1,22 +1,93 @@
 const ws = require('../services/worksection');
 const supabase = require('../services/supabase');
+const wsUserMap = require('../services/ws-user-map');
 const logger = require('../utils/logger');
-const { mapDepartment, getSupabaseDepartments } = require('../config/department-mapping');
+const { normalizeName } = require('../utils/name-normalizer');
+const syncConfig = require('../config/sync-config');
+const { mapDepartment, getSupabaseDepartments, getDepartmentSubdivision } = require('../config/department-mapping');
+const { mapPosition } = require('../config/position-mapping');
+const { isMaternityLeave, isLeaveDepartmentMode, isOnLeaveInSupabase } = require('../sync/user-leave');
+const {
+  NO_GROUP,
+  suggestDepartment,
+  countGroups,
+  loadGroupState,
+  findVanishedGroups
+} = require('../sync/unmapped-groups');
+const { normalizeEmail, checkWsUsers } = require('../sync/ws-data-quality');
+const { isExcludedEmail, filterWsAccounts } = require('../sync/account-filter');
+const { mapWsRate, describeEmployment } = require('../sync/employment-rate');
 
 /**
- * Проверить, находится ли пользователь в декретном отпуске по полю title
+ * Поля пользователя, расходящиеся между WS и Supabase (кроме отдела)
+ * - first_name / last_name - нормализованные значения WS (utils/name-normalizer.js)
+ *   против значений Supabase без лишних пробелов; подозрительные имена не сравниваются
+ * - position - только если title из WS подходит под правило config/position-mapping.js
+ *   (категория сравнивается, если правило её задаёт)
+ * - employment - employment_rate и is_hourly, только если ставка WS указана и корректна
+ *   (sync/employment-rate.js)
+ *
+ * @param {Object} person - Нормализованное имя из normalizeName()
+ * @param {Object} wsUser - Пользователь из WS (title, rate)
+ * @param {Object} supaUser - Профиль из Supabase
+ * @returns {Array} [{ field, ws, supabase, category?, employment? }]
  */
-function isMaternityLeave(title) {
-  if (!title) return false;
-  const titleLower = title.toLowerCase();
-  return titleLower.includes('декрет') || titleLower.includes('дектрет');
+function findFieldDifferences(person, wsUser, supaUser) {
+  const differences = [];
+  const clean = value => (value || '').trim().replace(/\s+/g, ' ');
+
+  // Подозрительное имя не переносим в профиль - оно попадает в отчёт отдельно
+  ['first_name', 'last_name'].forEach(field => {
+    if (person.issues.length === 0 && person[field] !== clean(supaUser[field])) {
+      differences.push({ field, ws: person[field], supabase: clean(supaUser[field]) });
+    }
+  });
+
+  const rule = mapPosition(wsUser.title);
+  if (rule) {
+    const positionDiffers = rule.position !== supaUser.position_name;
+    const categoryDiffers = rule.category && rule.category !== supaUser.category_name;
+
+    if (positionDiffers || categoryDiffers) {
+      differences.push({
+        field: 'position',
+        ws: rule.category ? `${rule.position} / ${rule.category}` : rule.position,
+        supabase: rule.category
+          ? `${supaUser.position_name || '(нет)'} / ${supaUser.category_name || '(нет)'}`
+          : (supaUser.position_name || '(нет)'),
+        position: rule.position,
+        category: rule.category
+      });
+    }
+  }
+
+  const { employment } = mapWsRate(wsUser.rate);
+  if (employment) {
+    const current = {
+      employment_rate: supaUser.employment_rate == null ? null : Number(supaUser.employment_rate),
+      is_hourly: supaUser.is_hourly
+    };
+
+    if (employment.employment_rate !== current.employment_rate || employment.is_hourly !== current.is_hourly) {
+      differences.push({
+        field: 'employment',
+        ws: describeEmployment(employment),
+        supabase: describeEmployment(current),
+        employment
+      });
+    }
+  }
+
+  return differences;
 }
 
 /**
  * Сравнение пользователей из Worksection и Supabase
- * - Сравнение по email (регистронезависимо)
- * - Для 16 производственных отделов проверяем совпадение по количеству и составу
+ * - Сопоставление по WS id (ws_user_map), затем по email (регистронезависимо)
+ * - Сопоставленный по WS id пользователь с другим email - смена email, а не новый пользователь
+ * - Для отделов из маппинга (всех подразделений) проверяем совпадение по количеству и составу
  * - Для декретного отпуска проверяем по полю title
+ * - Группы WS без маппинга (с предложением отдела) и исчезнувшие с прошлого запуска группы
  */
 async function compareUsers() {
   console.log('🔄 Начинаем сравнение пользователей...\n');
@@ -29,6 +100,15 @@ async function compareUsers() {
     logger.info('📥 Получение пользователей из Supabase...');
     const supaUsers = await supabase.getUsers();
 
+    logger.info('📥 Загрузка связей WS id ↔ user_id...');
+    const wsIdMap = await wsUserMap.load();
+
+    // Аккаунты вне синхронизации: роль WS не из accounts.includeRoles или email из accounts.excludeEmails
+    const accounts = filterWsAccounts(wsUsers);
+
+    // Проверка данных WS: записи с проблемами не создаются и не меняются
+    const dataQuality = checkWsUsers(accounts.users);
+
     // Статистика общая
     const stats = {
       ws_total: wsUsers.length,
@@ -36,13 +116,31 @@ async function compareUsers() {
       matched: 0,
       missing_in_supabase: [],
       deleted_from_ws: [],
-      by_department: {} // Статистика по каждому отделу
+      restored_in_ws: [], // Были перемещены в "Удалены", но снова активны в WS
+      email_changes: [], // Сопоставлены по WS id, но email в WS изменился
+      ws_map_updates: [], // Новые связи WS id ↔ user_id (сопоставлены по email)
+      leave_transitions: [], // Уход в декрет и возвращение (sync-config.maternity)
+      unmatched_titles: [], // Title из WS, не подошедшие ни под одно правило config/position-mapping.js
+      field_differences: [], // Расхождения имени, фамилии, должности, ставки (кроме отдела)
+      suspicious_names: [], // Имена WS с подозрительными значениями (пусто, смесь латиницы и кириллицы)
+      unmapped_groups: [], // Группы WS без маппинга отдела - их пользователи не синхронизируются
+      vanished_groups: [], // Группы, которые были в WS в прошлом запуске, а сейчас пропали
+      ws_data_problems: dataQuality.problems, // Проблемы данных WS (пробелы, некорректный email, домен, дубликаты)
+      quarantined: [], // Пользователи WS в карантине (+ user_id профиля, который не удаляется)
+      excluded: [], // Аккаунты вне синхронизации (роль WS, список исключений) - не создаются и не удаляются
+      ws_roles: [], // Роль WS сопоставленных пользователей - для сверки ролей (sync-config.roles)
+      ws_group_counts: countGroups(wsUsers), // Группа → количество пользователей (сохраняется после запуска)
+      by_department: {}, // Статистика по каждому отделу
+      // Исходные данные - для снимков пользователей в плане синхронизации
+      ws_users: wsUsers,
+      supa_users: supaUsers
     };
 
     // Инициализируем статистику по отделам
     const mappedDepartments = getSupabaseDepartments();
     mappedDepartments.forEach(dept => {
       stats.by_department[dept] = {
+        subdivision: getDepartmentSubdivision(dept),
         ws_count: 0,
         supa_count: 0,
         missing_in_supabase: [],
@@ -52,7 +150,9 @@ async function compareUsers() {
     });
 
     // Добавляем специальный отдел "Декрет"
-    stats.by_department['Декрет'] = {
+    const leaveDepartment = syncConfig.maternity.department;
+    stats.by_department[leaveDepartment] = {
+      subdivision: null, // Служебный отдел - вне маппинга
       ws_count: 0,
       supa_count: 0,
       missing_in_supabase: [],
@@ -65,7 +165,7 @@ async function compareUsers() {
     console.log('='.repeat(80));
     console.log(`Пользователей в Worksection: ${wsUsers.length}`);
     console.log(`Пользователей в Supabase: ${supaUsers.length}`);
-    console.log(`Отделов с маппингом: ${mappedDepartments.length + 1} (16 производственных + Декрет)`);
+    console.log(`Отделов с маппингом: ${mappedDepartments.length + 1} (${mappedDepartments.length} из маппинга + ${leaveDepartment})`);
 
     // 2. Создаем индекс по email для быстрого поиска
     const supaUsersByEmail = new Map();
@@ -73,24 +173,117 @@ async function compareUsers() {
       supaUsersByEmail.set(u.email.toLowerCase(), u);
     });
 
-    const wsUsersByEmail = new Map();
-    wsUsers.forEach(u => {
-      wsUsersByEmail.set(u.email.toLowerCase(), u);
+    const supaUsersById = new Map();
+    supaUsers.forEach(u => {
+      supaUsersById.set(u.user_id, u);
+    });
+
+    // Профили, у которых есть пара в WS (остальные - кандидаты на удаление)
+    const matchedUserIds = new Set();
+
+    // Профиль аккаунта WS вне синхронизации: не трогаем, но и в "Удалены" не отправляем
+    const protectProfile = wsUser => {
+      const wsId = wsUser.id != null ? String(wsUser.id) : null;
+      const mapped = wsId ? wsIdMap.get(wsId) : null;
+      const supaUser = (mapped && supaUsersById.get(mapped.user_id)) || supaUsersByEmail.get(normalizeEmail(wsUser.email));
+
+      if (supaUser) {
+        matchedUserIds.add(supaUser.user_id);
+      }
+      return supaUser ? supaUser.user_id : null;
+    };
+
+    accounts.excluded.forEach(wsUser => {
+      stats.excluded.push({
+        ws_user_id: wsUser.id != null ? String(wsUser.id) : null,
+        email: wsUser.email,
+        name: normalizeName(wsUser).full_name,
+        group: wsUser.group || '(нет)',
+        role: wsUser.role || '(нет)',
+        reason: wsUser.reason,
+        user_id: protectProfile(wsUser)
+      });
+    });
+
+    // Карантин: пользователь в WS есть, но его данные не годятся для записи
+    dataQuality.quarantined.forEach(wsUser => {
+      const wsId = wsUser.id != null ? String(wsUser.id) : null;
+      const userId = protectProfile(wsUser);
+
+      stats.quarantined.push({
+        ws_user_id: wsId,
+        email: wsUser.email,
+        group: wsUser.group || '(нет)',
+        issues: wsUser.issues,
+        user_id: userId
+      });
     });
 
+    // title → { title, count, emails } для отчёта по маппингу должностей
+    const unmatchedTitles = new Map();
+
+    // group → { group, count, emails } для отчёта по маппингу отделов
+    const unmappedGroups = new Map();
+
     // 3. Проверяем каждого пользователя из WS
     console.log('\n🔍 Сравнение пользователей...\n');
 
-    for (const wsUser of wsUsers) {
+    for (const wsUser of dataQuality.users) {
       const email = wsUser.email.toLowerCase();
-      const supaUser = supaUsersByEmail.get(email);
+      const person = normalizeName(wsUser);
+      const wsId = wsUser.id != null ? String(wsUser.id) : null;
+
+      // Сначала по WS id, затем по email
+      const mapped = wsId ? wsIdMap.get(wsId) : null;
+      let supaUser = mapped ? supaUsersById.get(mapped.user_id) : null;
+
+      if (supaUser && supaUser.email.toLowerCase() !== email) {
+        // Email в WS изменился - переименование, а не новый пользователь
+        const conflict = supaUsersByEmail.get(email);
+
+        stats.email_changes.push({
+          user_id: supaUser.user_id,
+          ws_user_id: wsId,
+          email: wsUser.email,
+          old_email: supaUser.email,
+          name: person.full_name,
+          department: mapDepartment(wsUser.group) || supaUser.department_name,
+          conflict_user_id: conflict ? conflict.user_id : null // Новый email уже занят другим профилем
+        });
+
+        // Профиль с новым email не удаляем - конфликт разбирает человек
+        if (conflict) {
+          matchedUserIds.add(conflict.user_id);
+        }
+      } else if (!supaUser) {
+        supaUser = supaUsersByEmail.get(email);
+
+        // Запоминаем WS id для следующих запусков
+        if (supaUser && wsId) {
+          stats.ws_map_updates.push({ ws_user_id: wsId, user_id: supaUser.user_id, email: wsUser.email });
+        }
+      }
+
+      if (supaUser) {
+        matchedUserIds.add(supaUser.user_id);
+      }
 
       // Определяем отдел пользователя в WS
-      let expectedDepartment = mapDepartment(wsUser.group);
+      const homeDepartment = mapDepartment(wsUser.group);
+      const onLeave = isMaternityLeave(wsUser.title);
+      let expectedDepartment = homeDepartment;
+
+      // В декретном отпуске (по title) в режиме 'department' ожидаемый отдел - "Декрет"
+      if (onLeave && isLeaveDepartmentMode()) {
+        expectedDepartment = leaveDepartment;
+      }
 
-      // Если пользователь в декретном отпуске (по title), меняем отдел на "Декрет"
-      if (isMaternityLeave(wsUser.title)) {
-        expectedDepartment = 'Декрет';
+      if (!homeDepartment) {
+        const group = (wsUser.group || '').trim() || NO_GROUP;
+        const entry = unmappedGroups.get(group) || { group, count: 0, emails: [] };
+        entry.count++;
+        entry.emails.push(wsUser.email);
+        unmappedGroups.set(group, entry);
       }
 
       // Пропускаем пользователей из немапящихся отделов
@@ -101,20 +294,43 @@ async function compareUsers() {
       // Увеличиваем счетчик WS для этого отдела
       stats.by_department[expectedDepartment].ws_count++;
 
+      if (person.issues.length > 0) {
+        stats.suspicious_names.push({
+          email: wsUser.email,
+          first_name: person.first_name,
+          last_name: person.last_name,
+          department: expectedDepartment,
+          issues: person.issues
+        });
+      }
+
+      // Должности без маппинга (Декрет - не должность)
+      const title = (wsUser.title || '').trim();
+      if (title && !onLeave && !mapPosition(title)) {
+        const entry = unmatchedTitles.get(title) || { title, count: 0, emails: [] };
+        entry.count++;
+        entry.emails.push(wsUser.email);
+        unmatchedTitles.set(title, entry);
+      }
+
       if (!supaUser) {
         // Пользователя нет в Supabase
         stats.missing_in_supabase.push({
+          ws_user_id: wsId,  // Для связи с созданным профилем
           email: wsUser.email,
-          first_name: wsUser.first_name,
-          last_name: wsUser.last_name,
-          name: `${wsUser.first_name} ${wsUser.last_name}`,
+          first_name: person.first_name,
+          last_name: person.last_name,
+          name: person.full_name,
           department: expectedDepartment,
+          on_leave: onLeave,  // Новый сотрудник уже в декрете (режим 'flag' - флаг при создании)
+          ws_role: (wsUser.role || '').trim().toLowerCase() || null,  // Роли eneca.work по маппингу ролей
+          ws_rate: wsUser.rate != null ? wsUser.rate : null,  // employment_rate / is_hourly (sync-config.employment)
           ws_group: wsUser.group || '(нет)',
           ws_title: wsUser.title || '(нет)'
         });
         stats.by_department[expectedDepartment].missing_in_supabase.push({
           email: wsUser.email,
-          name: `${wsUser.first_name} ${wsUser.last_name}`,
+          name: person.full_name,
           ws_title: wsUser.title || '(нет)'
         });
         continue;
@@ -123,28 +339,115 @@ async function compareUsers() {
       // Пользователь есть в обоих системах
       stats.matched++;
 
+      // Имя, фамилия, должность, ставка
+      const fieldDifferences = findFieldDifferences(person, wsUser, supaUser);
+      if (fieldDifferences.length > 0) {
+        stats.field_differences.push({
+          user_id: supaUser.user_id,
+          email: wsUser.email,
+          name: person.full_name,
+          department: expectedDepartment,
+          fields: fieldDifferences
+        });
+      }
+
+      // Пользователь в "Удалены", но снова активен в WS - кандидат на восстановление
+      if (supaUser.department_name === syncConfig.DELETED_DEPARTMENT) {
+        stats.restored_in_ws.push({
+          user_id: supaUser.user_id,
+          email: wsUser.email,
+          first_name: person.first_name,
+          last_name: person.last_name,
+          name: person.full_name,
+          department: expectedDepartment,
+          department_id: supaUser.department_id,  // Для проверки что пользователь в "Удалены"
+          ws_group: wsUser.group || '(нет)',
+          ws_title: wsUser.title || '(нет)'
+        });
+        continue;
+      }
+
+      stats.ws_roles.push({
+        user_id: supaUser.user_id,
+        email: wsUser.email,
+        name: person.full_name,
+        department: expectedDepartment,
+        ws_role: (wsUser.role || '').trim().toLowerCase() || null
+      });
+
+      // Декрет: уход и возвращение
+      if (onLeave !== isOnLeaveInSupabase(supaUser)) {
+        stats.leave_transitions.push({
+          user_id: supaUser.user_id,
+          email: wsUser.email,
+          first_name: person.first_name,
+          last_name: person.last_name,
+          name: person.full_name,
+          direction: onLeave ? 'to_leave' : 'from_leave',
+          ws_expected: expectedDepartment,
+          supa_actual: supaUser.department_name,
+          supa_department_id: supaUser.department_id,  // Отдел/команда до перехода - для журнала
+          supa_team_id: supaUser.team_id,
+          ws_title: wsUser.title || '(нет)'
+        });
+
+        // В режиме 'department' переход и есть смена отдела
+        if (isLeaveDepartmentMode()) {
+          continue;
+        }
+      }
+
       // Проверяем отдел
       if (supaUser.department_name !== expectedDepartment) {
         stats.by_department[expectedDepartment].department_differences.push({
+          user_id: supaUser.user_id,  // Нужен для перемещения (UPDATE)
           email: wsUser.email,
-          name: `${wsUser.first_name} ${wsUser.last_name}`,
+          first_name: person.first_name,
+          last_name: person.last_name,
+          name: person.full_name,
           ws_expected: expectedDepartment,
           supa_actual: supaUser.department_name,
+          supa_department_id: supaUser.department_id,  // Отдел/команда до перемещения - для журнала
+          supa_team_id: supaUser.team_id,
           ws_title: wsUser.title || '(нет)'
         });
       }
     }
 
+    stats.unmatched_titles = [...unmatchedTitles.values()].sort((a, b) => b.count - a.count);
+
+    // Исчезнувшие группы - раньше групп без маппинга: переименованная группа предлагается по старой
+    stats.vanished_groups = findVanishedGroups(await loadGroupState(), stats.ws_group_counts);
+    stats.unmapped_groups = [...unmappedGroups.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(entry => {
+        const suggestion = entry.group === NO_GROUP ? null : suggestDepartment(entry.group, stats.vanished_groups);
+        return {
+          ...entry,
+          suggested_department: suggestion ? suggestion.department : null,
+          suggestion_reason: suggestion ? suggestion.reason : null,
+          renamed_from: suggestion ? suggestion.renamed_from : null
+        };
+      });
+
     // 4. Проверяем пользователей которые есть в Supabase
     for (const supaUser of supaUsers) {
-      const email = supaUser.email.toLowerCase();
-      const wsUser = wsUsersByEmail.get(email);
-
       // Учитываем только пользователей из мапящихся отделов
       if (supaUser.department_name && stats.by_department[supaUser.department_name]) {
         stats.by_department[supaUser.department_name].supa_count++;
 
-        if (!wsUser) {
+        // Профиль из списка исключений не удаляется, даже если в WS его нет
+        if (!matchedUserIds.has(supaUser.user_id) && isExcludedEmail(supaUser.email)) {
+          stats.excluded.push({
+            ws_user_id: null,
+            email: supaUser.email,
+            name: `${supaUser.first_name} ${supaUser.last_name}`,
+            group: '(нет в WS)',
+            role: '(нет)',
+            reason: 'список исключений',
+            user_id: supaUser.user_id
+          });
+        } else if (!matchedUserIds.has(supaUser.user_id)) {
           // Пользователь есть в Supabase, но нет в WS
           stats.deleted_from_ws.push({
             user_id: supaUser.user_id,  // ВАЖНО: нужен для UPDATE в базе
@@ -153,7 +456,11 @@ async function compareUsers() {
             last_name: supaUser.last_name,
             name: `${supaUser.first_name} ${supaUser.last_name}`,
             departmentName: supaUser.department_name,  // Унифицировано с sync-manager
+            // В декрете - не удаляем, даже если WS больше не отдаёт пользователя
+            on_leave: isOnLeaveInSupabase(supaUser) || supaUser.department_name === leaveDepartment,
             supa_department: supaUser.department_name,  // Для обратной совместимости
+            department_id: supaUser.department_id,     // Отдел/команда до удаления - для журнала и отката
+            team_id: supaUser.team_id,
             team_name: supaUser.team_name,             // Команда из Supabase
             position_name: supaUser.position_name,     // Должность из Supabase
             category_name: supaUser.category_name      // Категория из Supabase
@@ -173,17 +480,48 @@ async function compareUsers() {
     console.log(`\n✅ Совпадают (есть в обоих): ${stats.matched}`);
     console.log(`❌ Нет в Supabase: ${stats.missing_in_supabase.length}`);
     console.log(`🗑️  Удалены из WS: ${stats.deleted_from_ws.length}`);
+    console.log(`♻️  Вернулись в WS (сейчас в "${syncConfig.DELETED_DEPARTMENT}"): ${stats.restored_in_ws.length}`);
+    console.log(`✉️  Сменили email в WS: ${stats.email_changes.length}`);
+    console.log(`🍼 Декрет: уходят ${stats.leave_transitions.filter(t => t.direction === 'to_leave').length}, ` +
+      `возвращаются ${stats.leave_transitions.filter(t => t.direction === 'from_leave').length}`);
+    console.log(`🏷️  Title без маппинга должности: ${stats.unmatched_titles.length}`);
+    console.log(`📝 Расхождения в полях (имя, фамилия, должность, ставка): ${stats.field_differences.length}`);
+    console.log(`🔤 Подозрительные имена в WS: ${stats.suspicious_names.length}`);
+    console.log(`🧩 Группы WS без маппинга: ${stats.unmapped_groups.length} ` +
+      `(${stats.unmapped_groups.reduce((sum, entry) => sum + entry.count, 0)} чел. не синхронизируются)`);
+    console.log(`👻 Исчезнувшие группы WS: ${stats.vanished_groups.length}`);
+    console.log(`🧪 Проблемы данных WS: ${stats.ws_data_problems.length} (в карантине: ${stats.quarantined.length})`);
+    console.log(`🚫 Вне синхронизации (роль WS, список исключений): ${stats.excluded.length}`);
+
+    stats.email_changes.forEach(change => {
+      const conflict = change.conflict_user_id ? ' (⚠️ новый email занят другим профилем)' : '';
+      console.log(`   - ${change.old_email} → ${change.email}${conflict}`);
+    });
+
+    stats.suspicious_names.forEach(entry => {
+      console.log(`   - ${entry.email}: ${entry.issues.join('; ')}`);
+    });
 
     // 6. Статистика по отделам
     console.log('\n' + '='.repeat(80));
-    console.log('📋 СТАТИСТИКА ПО ОТДЕЛАМ (16 производственных + Декрет)');
+    console.log(`📋 СТАТИСТИКА ПО ОТДЕЛАМ (по подразделениям + ${leaveDepartment})`);
     console.log('='.repeat(80));
 
-    const sortedDepartments = [...new Set([...mappedDepartments, 'Декрет'].sort())]; // Убираем дубликаты
+    // По подразделениям, служебные отделы - в конце
+    const subdivisionLabel = dept => stats.by_department[dept].subdivision || 'Служебные отделы';
+    const sortKey = dept => `${stats.by_department[dept].subdivision ? 0 : 1}|${subdivisionLabel(dept)}|${dept}`;
+    const sortedDepartments = [...new Set([...mappedDepartments, leaveDepartment])] // Убираем дубликаты
+      .sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
     let hasAnyIssues = false;
+    let currentSubdivision = null;
 
     for (const dept of sortedDepartments) {
       const deptStats = stats.by_department[dept];
+
+      if (subdivisionLabel(dept) !== currentSubdivision) {
+        currentSubdivision = subdivisionLabel(dept);
+        console.log(`\n🏢 ${currentSubdivision}`);
+      }
       const hasIssues = deptStats.missing_in_supabase.length > 0 ||
                         deptStats.extra_in_supabase.length > 0 ||
                         deptStats.department_differences.length > 0;
@@ -226,6 +564,44 @@ async function compareUsers() {
       console.log('\n✨ Все отделы в порядке! Нет расхождений.');
     }
 
+    // 7. Title без маппинга должности - для пополнения config/position-mapping.js
+    if (stats.unmatched_titles.length > 0) {
+      console.log('\n' + '='.repeat(80));
+      console.log(`🏷️  TITLE БЕЗ МАППИНГА ДОЛЖНОСТИ (${stats.unmatched_titles.length})`);
+      console.log('='.repeat(80));
+      stats.unmatched_titles.forEach(entry => {
+        console.log(`   - "${entry.title}" (${entry.count} чел.) напр. ${entry.emails[0]}`);
+      });
+    }
+
+    // 8. Группы без маппинга - для пополнения маппинга отделов (scripts/department-mapping.js)
+    if (stats.unmapped_groups.length > 0 || stats.vanished_groups.length > 0) {
+      console.log('\n' + '='.repeat(80));
+      console.log(`🧩 ГРУППЫ WS БЕЗ МАППИНГА (${stats.unmapped_groups.length})`);
+      console.log('='.repeat(80));
+      stats.unmapped_groups.forEach(entry => {
+        const suggestion = entry.suggested_department
+          ? ` → предлагается "${entry.suggested_department}" (${entry.suggestion_reason})`
+          : ' → предложения нет';
+        console.log(`   - "${entry.group}" (${entry.count} чел.)${suggestion}`);
+      });
+
+      stats.vanished_groups.forEach(entry => {
+        const mapped = entry.department ? ` ⚠️ была в маппинге → "${entry.department}"` : '';
+        console.log(`   👻 Исчезла "${entry.group}" (было ${entry.previous_count} чел.)${mapped}`);
+      });
+    }
+
+    // 9. Проблемы данных WS - исправить в Worksection
+    if (stats.ws_data_problems.length > 0) {
+      console.log('\n' + '='.repeat(80));
+      console.log(`🧪 ПРОБЛЕМЫ ДАННЫХ WS (${stats.ws_data_problems.length})`);
+      console.log('='.repeat(80));
+      stats.ws_data_problems.forEach(problem => {
+        console.log(`   - "${problem.email}" | ${problem.name} | ${problem.issue} → ${problem.action}`);
+      });
+    }
+
     console.log('\n' + '='.repeat(80));
     console.log('✅ Сравнение завершено!');
     console.log('='.repeat(80));
@@ -241,7 +617,7 @@ async function compareUsers() {
 
 // Запускаем если это главный модуль
 if (require.main === module) {
-  compareUsers();
+  require('../services/department-mapping-store').load().then(() => compareUsers());
 }
 
 module.exports = { compareUsers };
@@ -0,0 +1,113 @@
+require('dotenv').config();
+const os = require('os');
+const departmentMappingStore = require('../services/department-mapping-store');
+const supabaseService = require('../services/supabase');
+const syncConfig = require('../config/sync-config');
+const { getDepartmentSubdivision } = require('../config/department-mapping');
+
+/**
+ * Управление маппингом отделов: группа WS → отдел Supabase
+ *
+ * Запуск:
+ * node scripts/department-mapping.js                                   # текущий маппинг
+ * node scripts/department-mapping.js set "<WS group>" "<отдел>" [--subdivision "<подразделение>"] [--by имя]
+ * node scripts/department-mapping.js remove "<WS group>" [--by имя]
+ * node scripts/department-mapping.js history                           # последние 50 изменений
+ * node scripts/department-mapping.js import [--by имя]                 # заполнить таблицу из JSON файла
+ *
+ * Изменения подхватываются следующим запуском синхронизации без перезапуска сервиса
+ */
+
+/**
+ * Значение флага (--by, --subdivision) или null
+ */
+function getFlag(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, wsGroup, departmentName] = args;
+  // По умолчанию автор изменения - пользователь ОС
+  const changedBy = getFlag(args, '--by') || os.userInfo().username;
+
+  try {
+    if (command === 'set') {
+      if (!wsGroup || !departmentName) {
+        console.error('❌ Укажите группу WS и отдел: set "<WS group>" "<отдел>"');
+        process.exit(1);
+      }
+
+      // Несуществующий отдел остановил бы следующую синхронизацию (если не включено provision)
+      if (!syncConfig.provision.enabled) {
+        const departments = await supabaseService.getDepartments();
+        if (!departments.some(dept => dept.department_name === departmentName)) {
+          console.error(`❌ Отдел "${departmentName}" не найден в базе`);
+          process.exit(1);
+        }
+      }
+
+      // У отдела одно подразделение - иначе следующая загрузка маппинга упадёт
+      const subdivision = getFlag(args, '--subdivision') || syncConfig.PRODUCTION_SUBDIVISION;
+      const mapping = await departmentMappingStore.load();
+      const sharedWith = Object.keys(mapping).filter(group => group !== wsGroup && mapping[group] === departmentName);
+      if (sharedWith.length > 0 && getDepartmentSubdivision(departmentName) !== subdivision) {
+        console.error(
+          `❌ Отдел "${departmentName}" уже в подразделении "${getDepartmentSubdivision(departmentName)}" ` +
+          `(группы: ${sharedWith.join(', ')})`
+        );
+        process.exit(1);
+      }
+
+      await departmentMappingStore.set(wsGroup, departmentName, changedBy, subdivision);
+      process.exit(0);
+    }
+
+    if (command === 'remove') {
+      const change = await departmentMappingStore.remove(wsGroup, changedBy);
+      if (!change) {
+        console.error(`❌ Группа "${wsGroup}" не найдена в маппинге`);
+        process.exit(1);
+      }
+      process.exit(0);
+    }
+
+    if (command === 'history') {
+      const history = await departmentMappingStore.getHistory(50);
+      console.log(`📋 История изменений маппинга (${history.length}):`);
+      history.forEach(entry => {
+        console.log(
+          `   ${entry.changed_at} [${entry.action}] ${entry.changed_by || '—'}: ` +
+          `"${entry.ws_group}" ${entry.old_department || '—'} → ${entry.new_department || '—'}` +
+          (entry.new_subdivision ? ` (${entry.new_subdivision})` : '')
+        );
+      });
+      process.exit(0);
+    }
+
+    if (command === 'import') {
+      const count = await departmentMappingStore.importFromFile(changedBy);
+      console.log(`✅ Добавлено в department_mapping: ${count}`);
+      process.exit(0);
+    }
+
+    const mapping = await departmentMappingStore.load();
+    console.log(`🗺️  Маппинг отделов (${departmentMappingStore.source}):`);
+    Object.entries(mapping).forEach(([group, department]) => {
+      console.log(`   "${group}" → ${department} (${getDepartmentSubdivision(department)})`);
+    });
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ ОШИБКА:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запускаем если это главный модуль
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,75 @@
+require('dotenv').config();
+const supabaseService = require('../services/supabase');
+const syncConfig = require('../config/sync-config');
+const { findNeverLoggedIn, reinviteUsers } = require('../sync/credentials');
+
+/**
+ * Пользователи, ни разу не входившие в систему, и повторные письма для входа
+ *
+ * Запуск:
+ * node scripts/reinvite-users.js                    # список не входивших
+ * node scripts/reinvite-users.js --apply            # письмо тем, кому не писали credentials.reinvite.afterDays+ дней
+ * node scripts/reinvite-users.js --apply --all      # письмо всем не входившим
+ * node scripts/reinvite-users.js --apply --email <email>
+ */
+
+/**
+ * Значение флага (--email) или null
+ */
+function getFlag(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const email = getFlag(args, '--email');
+
+  try {
+    const [authUsers, profiles] = await Promise.all([
+      supabaseService.getAuthUsers(),
+      supabaseService.getUsers()
+    ]);
+
+    const neverLoggedIn = findNeverLoggedIn(authUsers, profiles);
+
+    console.log(`🔑 Не входили в систему (${neverLoggedIn.length}):`);
+    neverLoggedIn.forEach(user => {
+      const invited = user.last_invited_at ? `${user.days_since_invite} дн. назад` : 'писем не было';
+      console.log(
+        `   ${user.due ? '📨' : '  '} ${user.email} | ${user.last_name} ${user.first_name} | ` +
+        `${user.department || '—'} | последнее письмо: ${invited}`
+      );
+    });
+
+    if (!args.includes('--apply')) {
+      console.log(`\n📨 - пора отправить повторно (${syncConfig.credentials.reinvite.afterDays}+ дн.). Отправить: --apply`);
+      process.exit(0);
+    }
+
+    let targets;
+    if (email) {
+      targets = neverLoggedIn.filter(user => user.email.toLowerCase() === email.toLowerCase());
+      if (targets.length === 0) {
+        console.error(`❌ ${email} не найден среди не входивших в систему`);
+        process.exit(1);
+      }
+    } else {
+      targets = args.includes('--all') ? neverLoggedIn : neverLoggedIn.filter(user => user.due);
+    }
+
+    const result = await reinviteUsers(targets);
+    process.exit(result.errors > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n❌ ОШИБКА:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запускаем если это главный модуль
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
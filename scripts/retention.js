@@ -0,0 +1,63 @@
+require('dotenv').config();
+const syncConfig = require('../config/sync-config');
+const { findRetentionCandidates, applyRetention } = require('../sync/user-retention');
+
+/**
+ * Хранение пользователей в "Удалены" по сроку (sync-config.retention)
+ *
+ * Запуск:
+ * node scripts/retention.js            # кандидаты (ничего не меняет)
+ * node scripts/retention.js --apply    # обезличить или удалить (retention.mode), не больше retention.maxPerRun
+ */
+
+function printUser(user) {
+  const since = user.deleted_at ? `${user.deleted_at.slice(0, 10)}, ${user.days} дн.` : 'даты нет';
+  console.log(`   ${user.email} | ${user.name || '—'} | в "${syncConfig.DELETED_DEPARTMENT}" с ${since}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const { afterDays, maxPerRun, mode, enabled } = syncConfig.retention;
+
+  try {
+    if (!args.includes('--apply')) {
+      const { candidates, deferred, unstamped } = await findRetentionCandidates();
+
+      console.log(`🗄️  Срок хранения в "${syncConfig.DELETED_DEPARTMENT}": ${afterDays} дн., режим ${mode}${enabled ? '' : ' (выключено)'}`);
+
+      console.log(`\nК обработке в следующем запуске (${candidates.length}, лимит ${maxPerRun}):`);
+      candidates.forEach(printUser);
+
+      if (deferred.length > 0) {
+        console.log(`\nСрок истёк, не вошли в лимит (${deferred.length}):`);
+        deferred.forEach(printUser);
+      }
+
+      if (unstamped.length > 0) {
+        console.log(`\nБез даты удаления - срок отсчитывается от первого --apply (${unstamped.length}):`);
+        unstamped.forEach(printUser);
+      }
+
+      console.log('\nВыполнить: --apply');
+      process.exit(0);
+    }
+
+    const result = await applyRetention({ trigger: 'cli' });
+
+    if (result.runId) {
+      console.log(`\n📚 Запуск ${result.runId}: node scripts/run-history.js run ${result.runId}`);
+    }
+    process.exit(result.errors > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n❌ ОШИБКА:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запускаем если это главный модуль
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,68 @@
+require('dotenv').config();
+const { rollbackRun } = require('../sync/run-rollback');
+
+/**
+ * Откат запуска синхронизации по журналу
+ *
+ * Запуск:
+ * node scripts/rollback-run.js <run_id>                            # превью (ничего не меняет)
+ * node scripts/rollback-run.js <run_id> --apply                    # вернуть удалённых в исходные отделы
+ * node scripts/rollback-run.js <run_id> --apply --delete-created   # + удалить созданных в запуске
+ */
+
+/**
+ * Вывести отчёт об откате
+ */
+function printReport(report) {
+  console.log('\n' + '-'.repeat(80));
+  console.log(`⏪ ОТКАТ ЗАПУСКА ${report.runId}${report.dryRun ? ' (DRY-RUN / превью)' : ''}`);
+  console.log('-'.repeat(80));
+
+  console.log(`\n✅ ${report.dryRun ? 'Будет откачено' : 'Откачено'} (${report.reverted.length}):`);
+  report.reverted.forEach(item => {
+    const target = item.to_department ? ` → "${item.to_department}"` : ' (auth пользователь удалён)';
+    console.log(`   - [${item.action}] ${item.email}${target}`);
+  });
+
+  console.log(`\n❌ Не откатывается (${report.failed.length}):`);
+  report.failed.forEach(item => {
+    console.log(`   - [${item.action}] ${item.email}: ${item.reason}`);
+  });
+
+  if (report.rollbackRunId) {
+    console.log(`\n📚 Откат записан в историю как запуск ${report.rollbackRunId}`);
+  }
+
+  console.log('\n' + '-'.repeat(80));
+}
+
+async function main() {
+  const runId = process.argv[2];
+
+  if (!runId || runId.startsWith('--')) {
+    console.error('Использование: node scripts/rollback-run.js <run_id> [--apply] [--delete-created]');
+    process.exit(1);
+  }
+
+  try {
+    const report = await rollbackRun(runId, {
+      dryRun: !process.argv.includes('--apply'),
+      deleteCreated: process.argv.includes('--delete-created'),
+      trigger: 'cli'
+    });
+
+    printReport(report);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ ОШИБКА:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запускаем если это главный модуль
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,67 @@
+require('dotenv').config();
+const runStore = require('../services/run-store');
+
+/**
+ * Просмотр истории запусков синхронизации
+ *
+ * Запуск:
+ * node scripts/run-history.js                  # последние 20 запусков
+ * node scripts/run-history.js run <run_id>     # запуск с журналом действий
+ * node scripts/run-history.js user <email>     # когда и каким запуском менялся пользователь
+ */
+
+function printItem(item) {
+  const from = item.from_department || '—';
+  const to = item.to_department || '—';
+  const error = item.error ? ` | ошибка: ${item.error}` : '';
+  console.log(`   ${item.created_at} [${item.action}/${item.status}] ${item.email}: "${from}" → "${to}"${error}`);
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'run') {
+      const run = await runStore.getRun(arg);
+      if (!run) {
+        console.error(`❌ Запуск ${arg} не найден`);
+        process.exit(1);
+      }
+
+      console.log(`🆔 ${run.id} | ${run.trigger} | ${run.mode} | ${run.status}`);
+      console.log(`⏱️  ${run.started_at} → ${run.finished_at} (${(run.duration_ms / 1000).toFixed(2)}s)`);
+      console.log(`📊 ${JSON.stringify(run.counts)}`);
+      console.log(`\n📋 Действия (${run.items.length}):`);
+      run.items.forEach(printItem);
+      process.exit(0);
+    }
+
+    if (command === 'user') {
+      const history = await runStore.getUserHistory(arg);
+      console.log(`📋 История ${arg} (${history.length}):`);
+      history.forEach(item => {
+        printItem(item);
+        console.log(`     запуск: ${item.run_id}`);
+      });
+      process.exit(0);
+    }
+
+    const runs = await runStore.getRuns(20);
+    console.log(`📚 Последние запуски (${runs.length}):`);
+    runs.forEach(run => {
+      console.log(`   ${run.started_at} | ${run.id} | ${run.trigger} | ${run.mode} | ${run.status} | ${JSON.stringify(run.counts)}`);
+    });
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ ОШИБКА:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запускаем если это главный модуль
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -11,7 +11,6 @@
 
 require('dotenv').config();
 const syncManager = require('../sync/sync-manager');
-const logger = require('../utils/logger');
 
 // Часы когда нужно запускать синхронизацию (по времени Минска)
 const SYNC_HOURS = [8, 11, 14, 17];
@@ -78,11 +77,9 @@ async function main() {
   console.log('='.repeat(60) + '\n');
 
   try {
-    // Очищаем логи перед запуском
-    logger.clearLogs();
-
+    // Логи очищаются внутри syncUsers - уже под блокировкой, чтобы не стереть логи идущего запуска
     // Запускаем синхронизацию с отправкой уведомлений в Telegram
-    const result = await syncManager.syncUsers(true);
+    const result = await syncManager.syncUsers({ sendNotifications: true, trigger: 'cron' });
 
     console.log('\n' + '='.repeat(60));
     if (result.users.errors === 0) {
@@ -102,6 +99,12 @@ async function main() {
       process.exit(1);
     }
   } catch (error) {
+    if (error.code === 'SYNC_LOCKED') {
+      console.log(`⏭️  Запуск пропущен: ${error.message}`);
+      console.log('='.repeat(60) + '\n');
+      process.exit(0);
+    }
+
     console.error('\n' + '='.repeat(60));
     console.error(`❌ Критическая ошибка синхронизации: ${error.message}`);
     console.error(error.stack);
@@ -0,0 +1,130 @@
+require('dotenv').config();
+const { buildPlan, savePlan, getLatestPlanId, applyPlan } = require('../sync/sync-plan');
+
+/**
+ * Двухфазная синхронизация: построить план для ревью, затем применить его
+ *
+ * Запуск:
+ * node scripts/sync-plan.js plan                        # построить и сохранить план
+ * node scripts/sync-plan.js apply <plan_id>             # применить план
+ * node scripts/sync-plan.js apply latest                # применить последний план
+ * node scripts/sync-plan.js apply <plan_id> --force-delete
+ */
+
+/**
+ * Вывести план в консоль для ревью
+ */
+function printPlan(plan, planPath) {
+  console.log('\n' + '-'.repeat(80));
+  console.log(`📋 ПЛАН СИНХРОНИЗАЦИИ ${plan.id}`);
+  console.log('-'.repeat(80));
+  console.log(`Создан: ${plan.createdAt}`);
+  console.log(`Файл: ${planPath}`);
+
+  console.log(`\n✉️  Сменить email (${plan.summary.rename}):`);
+  plan.actions.rename.forEach(change => {
+    const conflict = change.conflict_user_id ? ' (⚠️ новый email занят другим профилем)' : '';
+    console.log(`   @ ${change.old_email} → ${change.email}${conflict}`);
+  });
+
+  console.log(`\n📝 Создать (${plan.summary.create}):`);
+  plan.actions.create.forEach(user => {
+    console.log(`   + ${user.email} | ${user.name} → ${user.department}`);
+  });
+
+  console.log(`\n🔄 Переместить (${plan.summary.move}):`);
+  plan.actions.move.forEach(user => {
+    console.log(`   ~ ${user.email} | "${user.supa_actual}" → "${user.ws_expected}"`);
+  });
+
+  console.log(`\n🍼 Декрет (${plan.summary.leave}):`);
+  plan.actions.leave.forEach(user => {
+    const direction = user.direction === 'to_leave' ? 'в декрет' : 'из декрета';
+    console.log(`   ~ ${user.email} | ${direction}: "${user.supa_actual}" → "${user.ws_expected}"`);
+  });
+
+  console.log(`\n📝 Обновить поля из WS (${plan.summary.drift}):`);
+  plan.actions.drift.forEach(user => {
+    user.fields.forEach(f => {
+      // Ставка: employment_rate и is_hourly одной строкой ("0.5, оклад")
+      const field = f.field === 'employment' ? 'ставка' : f.field;
+      console.log(`   ~ ${user.email} | ${field}: "${f.supabase}" → "${f.ws}"`);
+    });
+  });
+
+  console.log(`\n🛡️  Изменить роли (${plan.summary.roles}):`);
+  plan.actions.roles.forEach(change => {
+    console.log(`   ~ ${change.email} (${change.ws_role}) | +[${change.added.join(', ')}] -[${change.removed.join(', ')}]`);
+  });
+
+  console.log(`\n♻️  Восстановить (${plan.summary.restore}):`);
+  plan.actions.restore.forEach(user => {
+    console.log(`   ^ ${user.email} | "Удалены" → "${user.department}"`);
+  });
+
+  console.log(`\n🗑️  Удалить (${plan.summary.delete}):`);
+  plan.actions.delete.forEach(user => {
+    console.log(`   - ${user.email} | ${user.name} (из "${user.departmentName}")`);
+  });
+
+  if (plan.quarantined && plan.quarantined.length > 0) {
+    console.log(`\n🧪 В карантине - не изменяются (${plan.quarantined.length}):`);
+    plan.quarantined.forEach(user => {
+      console.log(`   - "${user.email}": ${user.issues.join('; ')}`);
+    });
+  }
+
+  if (plan.excluded && plan.excluded.length > 0) {
+    console.log(`\n🚫 Вне синхронизации (роль WS, список исключений): ${plan.excluded.length}`);
+  }
+
+  if (!plan.safety.allowed) {
+    console.log('\n🛑 DELETE будет пропущен (защита от массового удаления):');
+    plan.safety.reasons.forEach(reason => console.log(`   - ${reason}`));
+    console.log('   Для применения: apply <plan_id> --force-delete');
+  }
+
+  console.log('\n' + '-'.repeat(80));
+  console.log(`Применить: node scripts/sync-plan.js apply ${plan.id}`);
+  console.log('-'.repeat(80));
+}
+
+async function main() {
+  const [command, planArg] = process.argv.slice(2);
+
+  try {
+    if (command === 'plan') {
+      const plan = await buildPlan();
+      const planPath = await savePlan(plan);
+      printPlan(plan, planPath);
+      process.exit(0);
+    }
+
+    if (command === 'apply') {
+      const planId = planArg === 'latest' ? await getLatestPlanId() : planArg;
+
+      if (!planId) {
+        console.error('❌ Укажите ID плана: node scripts/sync-plan.js apply <plan_id>');
+        process.exit(1);
+      }
+
+      const forceDelete = process.argv.includes('--force-delete');
+      const stats = await applyPlan(planId, { forceDelete, trigger: 'cli' });
+      process.exit(stats.errors > 0 ? 1 : 0);
+    }
+
+    console.error('Использование: node scripts/sync-plan.js plan | apply <plan_id|latest> [--force-delete]');
+    process.exit(1);
+
+  } catch (error) {
+    console.error('\n❌ ОШИБКА:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запускаем если это главный модуль
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, printPlan };
@@ -6,10 +6,38 @@ const { syncUsers } = require('../sync/sync-manager');
  *
  * Запуск:
  * node scripts/sync-users.js
+ * node scripts/sync-users.js --force-delete                 # разово без защиты от массового удаления
+ * node scripts/sync-users.js --email ivanov@eneca.by        # только указанные пользователи (можно повторять)
+ * node scripts/sync-users.js --dept ВК --dept "КР гражд"    # только указанные отделы
  */
+
+/**
+ * Значения флага: --name value или --name=value, можно повторять и перечислять через запятую
+ */
+function getArgValues(name) {
+  const args = process.argv.slice(2);
+  const values = [];
+
+  args.forEach((arg, index) => {
+    if (arg === name && args[index + 1]) {
+      values.push(args[index + 1]);
+    } else if (arg.startsWith(`${name}=`)) {
+      values.push(arg.slice(name.length + 1));
+    }
+  });
+
+  return values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+}
+
 async function main() {
   try {
-    const stats = await syncUsers();
+    const forceDelete = process.argv.includes('--force-delete');
+    const stats = await syncUsers({
+      forceDelete,
+      trigger: 'cli',
+      emails: getArgValues('--email'),
+      departments: getArgValues('--dept')
+    });
 
     // Выход с кодом 0 если без ошибок, иначе 1
     if (stats.users.errors > 0) {
@@ -19,6 +47,11 @@ async function main() {
     }
 
   } catch (error) {
+    if (error.code === 'SYNC_LOCKED') {
+      console.error(`\n⏳ ${error.message}`);
+      process.exit(1);
+    }
+
     console.error('\n❌ ФАТАЛЬНАЯ ОШИБКА:', error.message);
     console.error(error.stack);
     process.exit(1);
@@ -0,0 +1,183 @@
+/**
+ * Дата перемещения пользователей в "Удалены" (для хранения по сроку, sync-config.retention)
+ * и отметка, что вход заблокировала синхронизация (при восстановлении снимается только такая блокировка)
+ *
+ * Запись появляется при мягком удалении (softDeleteUsers) и убирается при восстановлении и откате.
+ * Профилям, попавшим в "Удалены" до появления записи (вручную или раньше), дату ставит
+ * первый запуск retention - срок отсчитывается от него.
+ *
+ * Основное хранилище - таблица Supabase sync_deleted_users (docs/sql/sync_deleted_users.sql).
+ * Если таблицы нет - локальный файл .sync-history/deleted-users.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { config } = require('../config/env');
+const logger = require('../utils/logger');
+const { isMissingTableError } = require('../utils/db-errors');
+
+const STORE_DIR = path.join(__dirname, '..', '.sync-history');
+const STORE_FILE = path.join(STORE_DIR, 'deleted-users.json');
+
+class DeletedUsers {
+  constructor() {
+    this.client = createClient(config.supabase.url, config.supabase.key);
+    this.backend = null; // 'supabase' | 'local' - определяется при первом обращении
+  }
+
+  /**
+   * Определить хранилище: таблица sync_deleted_users в Supabase или локальный файл
+   */
+  async getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const { error } = await this.client.from('sync_deleted_users').select('user_id').limit(1);
+
+    if (error && isMissingTableError(error)) {
+      logger.info('ℹ️  Таблица sync_deleted_users не найдена - даты удаления хранятся в .sync-history/');
+      this.backend = 'local';
+    } else if (error) {
+      throw new Error(`sync_deleted_users: ${error.message}`);
+    } else {
+      this.backend = 'supabase';
+    }
+
+    return this.backend;
+  }
+
+  async readLocal() {
+    try {
+      return JSON.parse(await fs.readFile(STORE_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async writeLocal(map) {
+    await fs.mkdir(STORE_DIR, { recursive: true });
+    await fs.writeFile(STORE_FILE, JSON.stringify(map, null, 2), 'utf8');
+  }
+
+  /**
+   * Загрузить все записи
+   * @returns {Map<string, Object>} user_id → { user_id, deleted_at, anonymized_at, banned }
+   */
+  async load() {
+    let rows;
+
+    if (await this.getBackend() === 'supabase') {
+      const { data, error } = await this.client
+        .from('sync_deleted_users')
+        .select('user_id, deleted_at, anonymized_at, banned');
+
+      if (error) {
+        throw new Error(`sync_deleted_users: ${error.message}`);
+      }
+      rows = data || [];
+    } else {
+      rows = Object.values(await this.readLocal());
+    }
+
+    return new Map(rows.map(row => [row.user_id, row]));
+  }
+
+  /**
+   * Запомнить дату перемещения в "Удалены" (повторное удаление - новая дата)
+   * @param {Array<string>} userIds
+   * @param {Array<string>} bannedIds - Кого при этом заблокировала синхронизация (user-access.banUser)
+   */
+  async mark(userIds, bannedIds = []) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const deletedAt = new Date().toISOString();
+    const banned = new Set(bannedIds);
+    const rows = userIds.map(userId => ({
+      user_id: userId,
+      deleted_at: deletedAt,
+      anonymized_at: null,
+      banned: banned.has(userId)
+    }));
+
+    if (await this.getBackend() === 'supabase') {
+      const { error } = await this.client
+        .from('sync_deleted_users')
+        .upsert(rows, { onConflict: 'user_id' });
+
+      if (error) {
+        throw new Error(`sync_deleted_users: ${error.message}`);
+      }
+    } else {
+      const map = await this.readLocal();
+      rows.forEach(row => {
+        map[row.user_id] = row;
+      });
+      await this.writeLocal(map);
+    }
+
+    logger.debug(`Даты удаления сохранены: ${rows.length}`);
+  }
+
+  /**
+   * Отметить профиль обезличенным - повторно не обрабатывается
+   * @param {string} userId
+   */
+  async markAnonymized(userId) {
+    const now = new Date().toISOString();
+
+    if (await this.getBackend() === 'supabase') {
+      const { error } = await this.client
+        .from('sync_deleted_users')
+        .update({ anonymized_at: now })
+        .eq('user_id', userId);
+
+      if (error) {
+        throw new Error(`sync_deleted_users: ${error.message}`);
+      }
+    } else {
+      const map = await this.readLocal();
+      if (map[userId]) {
+        map[userId].anonymized_at = now;
+        await this.writeLocal(map);
+      }
+    }
+  }
+
+  /**
+   * Убрать записи (восстановлен, откат удаления, удалён по сроку)
+   * @param {Array<string>} userIds
+   */
+  async unmark(userIds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    if (await this.getBackend() === 'supabase') {
+      const { error } = await this.client
+        .from('sync_deleted_users')
+        .delete()
+        .in('user_id', userIds);
+
+      if (error) {
+        throw new Error(`sync_deleted_users: ${error.message}`);
+      }
+    } else {
+      const map = await this.readLocal();
+      userIds.forEach(userId => {
+        delete map[userId];
+      });
+      await this.writeLocal(map);
+    }
+
+    logger.debug(`Даты удаления убраны: ${userIds.length}`);
+  }
+}
+
+module.exports = new DeletedUsers();
@@ -0,0 +1,363 @@
+/**
+ * Хранилище маппинга отделов: Worksection group → Supabase department
+ *
+ * Основное хранилище - таблица Supabase department_mapping (docs/sql/department_mapping.sql),
+ * история изменений пишется триггером в department_mapping_history.
+ * Если таблицы нет - файл .sync-history/department-mapping.json (каталог сохраняется между
+ * деплоями), история в .sync-history/department-mapping-history.jsonl.
+ * config/department-mapping.json - исходный маппинг из репозитория, только для чтения:
+ * используется, пока локальных правок нет, и копируется в .sync-history/ при первой правке
+ *
+ * Маппинг перечитывается перед каждым запуском (load) - переименование группы в WS
+ * не требует правки кода и перезапуска сервиса
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { config } = require('../config/env');
+const { setMapping, getMapping, getSubdivisions } = require('../config/department-mapping');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const { isMissingTableError } = require('../utils/db-errors');
+
+const SEED_FILE = path.join(__dirname, '..', 'config', 'department-mapping.json');
+const HISTORY_DIR = path.join(__dirname, '..', '.sync-history');
+const LOCAL_FILE = path.join(HISTORY_DIR, 'department-mapping.json');
+const HISTORY_FILE = path.join(HISTORY_DIR, 'department-mapping-history.jsonl');
+
+class DepartmentMappingStore {
+  constructor() {
+    this.client = createClient(config.supabase.url, config.supabase.key);
+    this.backend = null; // 'supabase' | 'local' - определяется при первом обращении
+    this.source = null; // Откуда загружен текущий маппинг (для логов и отчёта)
+  }
+
+  /**
+   * Определить хранилище: таблица department_mapping в Supabase или JSON файл
+   */
+  async getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const { error } = await this.client.from('department_mapping').select('ws_group').limit(1);
+
+    if (error && isMissingTableError(error)) {
+      logger.info('ℹ️  Таблица department_mapping не найдена - маппинг отделов из .sync-history/ (или config/department-mapping.json)');
+      this.backend = 'local';
+    } else if (error) {
+      throw new Error(`department_mapping: ${error.message}`);
+    } else {
+      this.backend = 'supabase';
+    }
+
+    return this.backend;
+  }
+
+  /**
+   * Локальный маппинг: правки из .sync-history/, если их нет - config/department-mapping.json
+   * @returns {Object} { mapping, source }
+   */
+  async readLocal() {
+    try {
+      const mapping = JSON.parse(await fs.readFile(LOCAL_FILE, 'utf8'));
+      return { mapping, source: '.sync-history/department-mapping.json' };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const mapping = JSON.parse(await fs.readFile(SEED_FILE, 'utf8'));
+    return { mapping, source: 'config/department-mapping.json' };
+  }
+
+  /**
+   * Сохранить правки маппинга в .sync-history/ (config/department-mapping.json не меняется)
+   */
+  async writeLocal(mapping) {
+    await fs.mkdir(HISTORY_DIR, { recursive: true });
+    await fs.writeFile(LOCAL_FILE, JSON.stringify(mapping, null, 2) + '\n', 'utf8');
+  }
+
+  async readTable() {
+    const { data, error } = await this.client
+      .from('department_mapping')
+      .select('ws_group, department_name, subdivision_name');
+
+    if (error) {
+      throw new Error(`department_mapping: ${error.message}`);
+    }
+
+    // Формат как в config/department-mapping.json
+    const mapping = {};
+    (data || []).forEach(row => {
+      mapping[row.ws_group] = row.subdivision_name
+        ? { department: row.department_name, subdivision: row.subdivision_name }
+        : row.department_name;
+    });
+    return mapping;
+  }
+
+  /**
+   * Перечитать маппинг и подставить его в config/department-mapping.js
+   * Пустая таблица - используется локальный маппинг (таблицу можно заполнить командой import)
+   *
+   * @returns {Object} { 'WS group': 'Supabase отдел' }
+   */
+  async load() {
+    let mapping;
+
+    if (await this.getBackend() === 'supabase') {
+      mapping = await this.readTable();
+      this.source = 'department_mapping';
+
+      if (Object.keys(mapping).length === 0) {
+        ({ mapping, source: this.source } = await this.readLocal());
+        logger.warning(`⚠️  Таблица department_mapping пуста - маппинг из ${this.source}`);
+      }
+    } else {
+      ({ mapping, source: this.source } = await this.readLocal());
+    }
+
+    setMapping(mapping);
+    logger.info(
+      `🗺️  Маппинг отделов: ${Object.keys(mapping).length} групп WS → ` +
+      `${new Set(Object.values(getMapping())).size} отделов в ${getSubdivisions().length} подразделениях (${this.source})`
+    );
+
+    return getMapping();
+  }
+
+  /**
+   * Записать изменение в локальную историю (в Supabase историю пишет триггер)
+   */
+  async appendLocalHistory(entry) {
+    await fs.mkdir(HISTORY_DIR, { recursive: true });
+    await fs.appendFile(HISTORY_FILE, JSON.stringify(entry) + '\n', 'utf8');
+  }
+
+  /**
+   * Добавить или изменить группу WS
+   *
+   * @param {string} wsGroup - Группа в WS (точная строка, включая суффикс "Ⓓ")
+   * @param {string} departmentName - Отдел в Supabase
+   * @param {string} changedBy - Кто меняет (для истории)
+   * @param {string|null} subdivisionName - Подразделение отдела (null - "Производственные отделы")
+   * @returns {Object} { ws_group, old_department, new_department, action }
+   */
+  async set(wsGroup, departmentName, changedBy, subdivisionName = null) {
+    // Подразделение по умолчанию не записываем - как в config/department-mapping.json
+    const subdivision = subdivisionName === syncConfig.PRODUCTION_SUBDIVISION ? null : subdivisionName;
+
+    const now = new Date().toISOString();
+    let oldDepartment = null;
+
+    if (await this.getBackend() === 'supabase') {
+      const { data: existing, error: readError } = await this.client
+        .from('department_mapping')
+        .select('department_name')
+        .eq('ws_group', wsGroup)
+        .maybeSingle();
+
+      if (readError) {
+        throw new Error(`department_mapping: ${readError.message}`);
+      }
+      oldDepartment = existing ? existing.department_name : null;
+
+      const { error } = await this.client
+        .from('department_mapping')
+        .upsert({
+          ws_group: wsGroup,
+          department_name: departmentName,
+          subdivision_name: subdivision,
+          updated_by: changedBy,
+          updated_at: now
+        }, { onConflict: 'ws_group' });
+
+      if (error) {
+        throw new Error(`department_mapping: ${error.message}`);
+      }
+    } else {
+      const { mapping } = await this.readLocal();
+      const oldValue = mapping[wsGroup];
+      oldDepartment = oldValue ? (oldValue.department || oldValue) : null;
+      mapping[wsGroup] = subdivision ? { department: departmentName, subdivision } : departmentName;
+      await this.writeLocal(mapping);
+    }
+
+    const change = {
+      ws_group: wsGroup,
+      old_department: oldDepartment,
+      new_department: departmentName,
+      new_subdivision: subdivision || syncConfig.PRODUCTION_SUBDIVISION,
+      action: oldDepartment ? 'update' : 'insert'
+    };
+
+    if (this.backend === 'local') {
+      await this.appendLocalHistory({ ...change, changed_by: changedBy, changed_at: now });
+    }
+
+    logger.success(`✅ "${wsGroup}": ${oldDepartment || '—'} → ${departmentName} (${change.new_subdivision})`);
+    return change;
+  }
+
+  /**
+   * Удалить группу WS из маппинга
+   *
+   * @param {string} wsGroup - Группа в WS
+   * @param {string} changedBy - Кто меняет (для истории)
+   * @returns {Object|null} Изменение или null, если группы нет в маппинге
+   */
+  async remove(wsGroup, changedBy) {
+    const now = new Date().toISOString();
+    let oldDepartment = null;
+
+    if (await this.getBackend() === 'supabase') {
+      // Сначала отмечаем автора - триггер берёт changed_by из удаляемой строки
+      const { data, error: markError } = await this.client
+        .from('department_mapping')
+        .update({ updated_by: changedBy, updated_at: now })
+        .eq('ws_group', wsGroup)
+        .select('department_name');
+
+      if (markError) {
+        throw new Error(`department_mapping: ${markError.message}`);
+      }
+      if (!data || data.length === 0) {
+        return null;
+      }
+      oldDepartment = data[0].department_name;
+
+      const { error } = await this.client
+        .from('department_mapping')
+        .delete()
+        .eq('ws_group', wsGroup);
+
+      if (error) {
+        throw new Error(`department_mapping: ${error.message}`);
+      }
+    } else {
+      const { mapping } = await this.readLocal();
+      if (!(wsGroup in mapping)) {
+        return null;
+      }
+      oldDepartment = mapping[wsGroup].department || mapping[wsGroup];
+      delete mapping[wsGroup];
+      await this.writeLocal(mapping);
+      await this.appendLocalHistory({
+        ws_group: wsGroup,
+        old_department: oldDepartment,
+        new_department: null,
+        action: 'delete',
+        changed_by: changedBy,
+        changed_at: now
+      });
+    }
+
+    logger.success(`✅ "${wsGroup}" удалена из маппинга (была → ${oldDepartment})`);
+    return { ws_group: wsGroup, old_department: oldDepartment, new_department: null, action: 'delete' };
+  }
+
+  /**
+   * Заполнить таблицу department_mapping из локального маппинга (правки в .sync-history/
+   * или config/department-mapping.json). Уже существующие группы не перезаписываются
+   *
+   * @param {string} changedBy - Кто меняет (для истории)
+   * @returns {number} Сколько групп добавлено
+   */
+  async importFromFile(changedBy) {
+    if (await this.getBackend() !== 'supabase') {
+      throw new Error('Таблица department_mapping не создана (docs/sql/department_mapping.sql)');
+    }
+
+    const existing = await this.readTable();
+    const { mapping: fileMapping } = await this.readLocal();
+    const now = new Date().toISOString();
+
+    const rows = Object.entries(fileMapping)
+      .filter(([wsGroup]) => !(wsGroup in existing))
+      .map(([wsGroup, value]) => ({
+        ws_group: wsGroup,
+        department_name: value.department || value,
+        subdivision_name: value.subdivision || null,
+        updated_by: changedBy,
+        updated_at: now
+      }));
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const { error } = await this.client.from('department_mapping').insert(rows);
+
+    if (error) {
+      throw new Error(`department_mapping: ${error.message}`);
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * История изменений маппинга (новые первыми)
+   * @param {number} limit
+   * @returns {Array} [{ ws_group, old_department, new_department, new_subdivision, action, changed_by, changed_at }]
+   */
+  async getHistory(limit = 50) {
+    if (await this.getBackend() === 'supabase') {
+      const { data, error } = await this.client
+        .from('department_mapping_history')
+        .select('ws_group, old_department, new_department, new_subdivision, action, changed_by, changed_at')
+        .order('changed_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`department_mapping_history: ${error.message}`);
+      }
+      return data || [];
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(HISTORY_FILE, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Проверить, что все отделы из маппинга есть в базе (до начала синхронизации)
+   * Отделы, запланированные к созданию (provision в DRY-RUN), считаются существующими
+   *
+   * @param {Object} refData - Reference данные (departmentMap, provisioned)
+   * @throws {Error} Со списком групп WS, отдел которых не найден
+   */
+  validate(refData) {
+    const planned = new Set(
+      (refData.provisioned || [])
+        .filter(item => item.type === 'department')
+        .map(item => item.name)
+    );
+
+    const invalid = Object.entries(getMapping())
+      .filter(([, departmentName]) => !refData.departmentMap[departmentName] && !planned.has(departmentName));
+
+    if (invalid.length > 0) {
+      const list = invalid.map(([wsGroup, departmentName]) => `"${wsGroup}" → "${departmentName}"`).join(', ');
+      throw new Error(`Маппинг отделов (${this.source || 'config/department-mapping.json'}) ссылается на отделы, которых нет в базе: ${list}`);
+    }
+  }
+}
+
+module.exports = new DepartmentMappingStore();
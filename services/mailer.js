@@ -0,0 +1,91 @@
+/**
+ * Отправка писем (приветственные письма новым пользователям)
+ *
+ * Транспорт по умолчанию - nodemailer из настроек SMTP_* (.env).
+ * MAIL_TRANSPORT=json - письма только формируются и пишутся в лог, без отправки.
+ * Другой транспорт (любой объект с sendMail, например другой провайдер) подключается через setTransport
+ */
+
+const nodemailer = require('nodemailer');
+const { config } = require('../config/env');
+const logger = require('../utils/logger');
+
+class Mailer {
+  constructor() {
+    this.transport = null; // Создаётся при первой отправке
+  }
+
+  /**
+   * Настроен ли транспорт (SMTP_HOST, MAIL_TRANSPORT=json или setTransport)
+   */
+  isConfigured() {
+    return !!this.transport || config.mail.transport === 'json' || !!config.mail.host;
+  }
+
+  /**
+   * Подключить свой транспорт
+   * @param {Object} transport - Объект с методом sendMail({ from, to, subject, text, html })
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    if (config.mail.transport === 'json') {
+      this.transport = nodemailer.createTransport({ jsonTransport: true });
+    } else if (config.mail.transport === 'smtp') {
+      if (!config.mail.host) {
+        throw new Error('SMTP_HOST не задан в .env');
+      }
+
+      this.transport = nodemailer.createTransport({
+        host: config.mail.host,
+        port: config.mail.port,
+        secure: config.mail.secure,
+        // Локальному SMTP catcher авторизация не нужна
+        auth: config.mail.user ? { user: config.mail.user, pass: config.mail.pass } : undefined
+      });
+    } else {
+      throw new Error(`Неизвестный MAIL_TRANSPORT "${config.mail.transport}" (допустимо: smtp, json)`);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Проверить соединение с SMTP сервером (до отправки пакета писем)
+   * @throws {Error} Сервер недоступен или отклонил авторизацию
+   */
+  async verify() {
+    const transport = this.getTransport();
+    if (typeof transport.verify === 'function') {
+      await transport.verify();
+    }
+  }
+
+  /**
+   * Отправить письмо
+   *
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {string|null} Message-ID от сервера
+   * @throws {Error} Ошибка транспорта
+   */
+  async send(message) {
+    const info = await this.getTransport().sendMail({
+      from: config.mail.from,
+      ...message
+    });
+
+    if (config.mail.transport === 'json' && info.message) {
+      logger.debug(`📧 [json] ${info.message}`);
+    }
+
+    return info.messageId || null;
+  }
+}
+
+module.exports = new Mailer();
@@ -0,0 +1,162 @@
+/**
+ * Роли eneca.work, выданные синхронизацией по роли WS (sync-config.roles)
+ *
+ * По этому списку синхронизация отличает свои роли от выданных вручную: снимается
+ * только роль, которую выдала сама синхронизация. Роль, которая у пользователя уже
+ * была (выдана вручную), сюда не попадает и никогда не снимается.
+ *
+ * Основное хранилище - таблица Supabase sync_role_grants (docs/sql/sync_role_grants.sql).
+ * Если таблицы нет - локальный файл .sync-history/role-grants.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { config } = require('../config/env');
+const logger = require('../utils/logger');
+const { isMissingTableError } = require('../utils/db-errors');
+
+const GRANTS_DIR = path.join(__dirname, '..', '.sync-history');
+const GRANTS_FILE = path.join(GRANTS_DIR, 'role-grants.json');
+
+class RoleGrants {
+  constructor() {
+    this.client = createClient(config.supabase.url, config.supabase.key);
+    this.backend = null; // 'supabase' | 'local' - определяется при первом обращении
+  }
+
+  /**
+   * Определить хранилище: таблица sync_role_grants в Supabase или локальный файл
+   */
+  async getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const { error } = await this.client.from('sync_role_grants').select('user_id').limit(1);
+
+    if (error && isMissingTableError(error)) {
+      logger.info('ℹ️  Таблица sync_role_grants не найдена - выданные роли хранятся в .sync-history/');
+      this.backend = 'local';
+    } else if (error) {
+      throw new Error(`sync_role_grants: ${error.message}`);
+    } else {
+      this.backend = 'supabase';
+    }
+
+    return this.backend;
+  }
+
+  async readLocal() {
+    try {
+      return JSON.parse(await fs.readFile(GRANTS_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async writeLocal(rows) {
+    await fs.mkdir(GRANTS_DIR, { recursive: true });
+    await fs.writeFile(GRANTS_FILE, JSON.stringify(rows, null, 2), 'utf8');
+  }
+
+  /**
+   * Загрузить выданные синхронизацией роли
+   * @returns {Map<string, Set<string>>} user_id → названия ролей
+   */
+  async load() {
+    let rows;
+
+    if (await this.getBackend() === 'supabase') {
+      const { data, error } = await this.client
+        .from('sync_role_grants')
+        .select('user_id, role_name');
+
+      if (error) {
+        throw new Error(`sync_role_grants: ${error.message}`);
+      }
+      rows = data || [];
+    } else {
+      rows = await this.readLocal();
+    }
+
+    const grants = new Map();
+    rows.forEach(row => {
+      if (!grants.has(row.user_id)) {
+        grants.set(row.user_id, new Set());
+      }
+      grants.get(row.user_id).add(row.role_name);
+    });
+    return grants;
+  }
+
+  /**
+   * Запомнить роли, выданные синхронизацией
+   * @param {Array} entries - [{ user_id, role_name, ws_role }]
+   */
+  async add(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const rows = entries.map(entry => ({
+      user_id: entry.user_id,
+      role_name: entry.role_name,
+      ws_role: entry.ws_role || null,
+      granted_at: now
+    }));
+
+    if (await this.getBackend() === 'supabase') {
+      const { error } = await this.client
+        .from('sync_role_grants')
+        .upsert(rows, { onConflict: 'user_id,role_name' });
+
+      if (error) {
+        throw new Error(`sync_role_grants: ${error.message}`);
+      }
+    } else {
+      const existing = await this.readLocal();
+      const key = row => `${row.user_id}|${row.role_name}`;
+      const added = new Set(rows.map(key));
+      await this.writeLocal([...existing.filter(row => !added.has(key(row))), ...rows]);
+    }
+
+    logger.debug(`Выданные синхронизацией роли сохранены: ${rows.length}`);
+  }
+
+  /**
+   * Забыть роли (сняты синхронизацией или уже сняты вручную)
+   * @param {Array} entries - [{ user_id, role_name }]
+   */
+  async remove(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    if (await this.getBackend() === 'supabase') {
+      for (const entry of entries) {
+        const { error } = await this.client
+          .from('sync_role_grants')
+          .delete()
+          .eq('user_id', entry.user_id)
+          .eq('role_name', entry.role_name);
+
+        if (error) {
+          throw new Error(`sync_role_grants: ${error.message}`);
+        }
+      }
+    } else {
+      const removed = new Set(entries.map(entry => `${entry.user_id}|${entry.role_name}`));
+      const existing = await this.readLocal();
+      await this.writeLocal(existing.filter(row => !removed.has(`${row.user_id}|${row.role_name}`)));
+    }
+
+    logger.debug(`Выданные синхронизацией роли удалены: ${entries.length}`);
+  }
+}
+
+module.exports = new RoleGrants();
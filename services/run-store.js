@@ -0,0 +1,266 @@
+/**
+ * История запусков синхронизации (журнал)
+ *
+ * Хранит каждый запуск (trigger, режим, счётчики, длительность) и все действия
+ * над пользователями с отделом до/после. Основное хранилище - таблицы Supabase
+ * sync_runs / sync_run_items (docs/sql/sync_runs.sql). Если таблиц нет -
+ * локальные JSONL файлы в .sync-history/
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { config } = require('../config/env');
+const logger = require('../utils/logger');
+const { isMissingTableError } = require('../utils/db-errors');
+
+const HISTORY_DIR = path.join(__dirname, '..', '.sync-history');
+const RUNS_FILE = path.join(HISTORY_DIR, 'runs.jsonl');
+const ITEMS_FILE = path.join(HISTORY_DIR, 'run-items.jsonl');
+
+// Допустимые источники запуска
+const TRIGGERS = ['cron', 'telegram', 'cli', 'api'];
+
+class RunStore {
+  constructor() {
+    this.client = createClient(config.supabase.url, config.supabase.key);
+    this.backend = null; // 'supabase' | 'local' - определяется при первом обращении
+  }
+
+  /**
+   * Определить хранилище: таблица sync_runs в Supabase или локальные файлы
+   */
+  async getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const { error } = await this.client.from('sync_runs').select('id').limit(1);
+
+    if (error && isMissingTableError(error)) {
+      logger.info('ℹ️  Таблица sync_runs не найдена - история запусков пишется в .sync-history/');
+      this.backend = 'local';
+    } else if (error) {
+      // Временная ошибка - не запоминаем выбор, пишем локально только этот раз
+      logger.warning(`⚠️  sync_runs недоступна (${error.message}) - история пишется локально`);
+      return 'local';
+    } else {
+      this.backend = 'supabase';
+    }
+
+    return this.backend;
+  }
+
+  /**
+   * Начать новый запуск (в памяти, запись в хранилище - в finishRun)
+   * @param {Object} params
+   * @param {string} params.trigger - cron | telegram | cli | api
+   * @param {string} params.mode - dry-run | production
+   * @param {Object} params.meta - Доп. данные (planId, scope и т.п.)
+   * @returns {Object} Запуск { id, trigger, mode, started_at, items }
+   */
+  startRun({ trigger = 'cli', mode, meta = {} }) {
+    if (!TRIGGERS.includes(trigger)) {
+      logger.warning(`⚠️  Неизвестный trigger "${trigger}", записываю как есть`);
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      trigger,
+      mode,
+      meta,
+      started_at: new Date().toISOString(),
+      items: []
+    };
+  }
+
+  /**
+   * Добавить в журнал результаты фазы (details из createUsers/softDeleteUsers/...)
+   * @param {Object} run - Запуск из startRun
+   * @param {string} action - created | renamed | drifted | moved | leave | restored | deleted | rollback_delete | rollback_create | retention
+   * @param {Array} details - Детали фазы
+   */
+  addItems(run, action, details) {
+    const now = new Date().toISOString();
+
+    details.forEach(d => {
+      run.items.push({
+        run_id: run.id,
+        action,
+        status: d.status,
+        email: d.email,
+        from_email: d.from_email || null,
+        user_id: d.user_id || d.userId || null,
+        from_department: d.from_department || null,
+        to_department: d.to_department || null,
+        from_department_id: d.from_department_id || null,
+        from_team_id: d.from_team_id || null,
+        to_department_id: d.to_department_id || null,
+        to_team_id: d.to_team_id || null,
+        changes: d.changes || null,
+        error: d.error || null,
+        created_at: now
+      });
+    });
+  }
+
+  /**
+   * Завершить запуск и записать его с журналом действий
+   * Ошибка записи истории не должна ломать синхронизацию
+   *
+   * @param {Object} run - Запуск из startRun
+   * @param {Object} result
+   * @param {Object} result.counts - Счётчики (created, deleted, moved, ...)
+   * @param {string|null} result.error - Текст критической ошибки
+   */
+  async finishRun(run, { counts, error = null }) {
+    const finishedAt = new Date();
+
+    const record = {
+      id: run.id,
+      trigger: run.trigger,
+      mode: run.mode,
+      status: error ? 'failed' : (counts.errors > 0 ? 'completed_with_errors' : 'completed'),
+      started_at: run.started_at,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt.getTime() - new Date(run.started_at).getTime(),
+      counts,
+      error,
+      meta: run.meta
+    };
+
+    try {
+      const backend = await this.getBackend();
+
+      if (backend === 'supabase') {
+        await this.writeSupabase(record, run.items);
+      } else {
+        await this.writeLocal(record, run.items);
+      }
+
+      logger.info(`📚 Запуск ${run.id} записан в историю (${backend}, действий: ${run.items.length})`);
+    } catch (writeError) {
+      logger.warning(`⚠️  Не удалось записать историю запуска ${run.id}: ${writeError.message}`);
+    }
+
+    return record;
+  }
+
+  async writeSupabase(record, items) {
+    const { error: runError } = await this.client.from('sync_runs').insert(record);
+    if (runError) {
+      throw new Error(`sync_runs: ${runError.message}`);
+    }
+
+    if (items.length > 0) {
+      const { error: itemsError } = await this.client.from('sync_run_items').insert(items);
+      if (itemsError) {
+        throw new Error(`sync_run_items: ${itemsError.message}`);
+      }
+    }
+  }
+
+  async writeLocal(record, items) {
+    await fs.mkdir(HISTORY_DIR, { recursive: true });
+    await fs.appendFile(RUNS_FILE, JSON.stringify(record) + '\n', 'utf8');
+
+    if (items.length > 0) {
+      await fs.appendFile(ITEMS_FILE, items.map(item => JSON.stringify(item)).join('\n') + '\n', 'utf8');
+    }
+  }
+
+  async readLocal(file) {
+    try {
+      const data = await fs.readFile(file, 'utf8');
+      return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Последние запуски (новые первыми)
+   * @param {number} limit - Количество
+   */
+  async getRuns(limit = 20) {
+    if (await this.getBackend() === 'supabase') {
+      const { data, error } = await this.client
+        .from('sync_runs')
+        .select('*')
+        .order('started_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    }
+
+    const runs = await this.readLocal(RUNS_FILE);
+    return runs.sort((a, b) => b.started_at.localeCompare(a.started_at)).slice(0, limit);
+  }
+
+  /**
+   * Запуск с журналом действий
+   * @param {string} runId - ID запуска
+   * @returns {Object|null} { ...run, items }
+   */
+  async getRun(runId) {
+    if (await this.getBackend() === 'supabase') {
+      const { data: run, error } = await this.client
+        .from('sync_runs')
+        .select('*')
+        .eq('id', runId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!run) return null;
+
+      const { data: items, error: itemsError } = await this.client
+        .from('sync_run_items')
+        .select('*')
+        .eq('run_id', runId)
+        .order('created_at', { ascending: true });
+
+      if (itemsError) throw itemsError;
+      return { ...run, items: items || [] };
+    }
+
+    const runs = await this.readLocal(RUNS_FILE);
+    const run = runs.find(r => r.id === runId);
+    if (!run) return null;
+
+    const items = await this.readLocal(ITEMS_FILE);
+    return { ...run, items: items.filter(item => item.run_id === runId) };
+  }
+
+  /**
+   * История действий по пользователю ("когда и каким запуском перенесён в Удалены")
+   * @param {string} email - Email пользователя
+   * @returns {Array} Действия, новые первыми
+   */
+  async getUserHistory(email) {
+    const normalized = email.toLowerCase();
+
+    if (await this.getBackend() === 'supabase') {
+      const { data, error } = await this.client
+        .from('sync_run_items')
+        .select('*')
+        .ilike('email', normalized.replace(/[%_\\]/g, '\\$&')) // _ и % в email - не шаблоны
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    }
+
+    const items = await this.readLocal(ITEMS_FILE);
+    return items
+      .filter(item => (item.email || '').toLowerCase() === normalized)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+}
+
+module.exports = new RunStore();
+module.exports.TRIGGERS = TRIGGERS;
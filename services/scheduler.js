@@ -1,6 +1,7 @@
 /**
  * Планировщик автоматической синхронизации (node-cron)
  * Запускает синхронизацию по расписанию: 8:00, 11:00, 14:00, 17:00 (время Минска)
+ * и, если включено хранение по сроку (sync-config.retention), обработку "Удалены" раз в день
  *
  * Работает внутри Docker контейнера, не требует системного cron
  */
@@ -8,6 +9,8 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const syncManager = require('../sync/sync-manager');
+const syncConfig = require('../config/sync-config');
+const { applyRetention } = require('../sync/user-retention');
 
 // Расписание синхронизации (часы по времени Минска)
 const SYNC_HOURS = [8, 11, 14, 17];
@@ -30,13 +33,37 @@ async function runScheduledSync() {
 
   try {
     // Запускаем синхронизацию с отправкой уведомлений в Telegram
-    await syncManager.syncUsers(true);
+    await syncManager.syncUsers({ sendNotifications: true, trigger: 'cron' });
     logger.success('✅ Автоматическая синхронизация завершена успешно');
   } catch (error) {
+    if (error.code === 'SYNC_LOCKED') {
+      logger.warning(`⏭️ Автоматическая синхронизация пропущена: ${error.message}`);
+      return;
+    }
     logger.error(`❌ Ошибка автоматической синхронизации: ${error.message}`);
   }
 }
 
+/**
+ * Выполняет обработку пользователей с истёкшим сроком хранения в "Удалены"
+ */
+async function runScheduledRetention() {
+  logger.info('⏰ Запуск обработки срока хранения в "Удалены"');
+
+  try {
+    const result = await applyRetention({ trigger: 'cron' });
+    logger.success(
+      `✅ Срок хранения: ${result.anonymized} обезличено, ${result.deleted} удалено, ${result.errors} ошибок`
+    );
+  } catch (error) {
+    if (error.code === 'SYNC_LOCKED') {
+      logger.warning(`⏭️ Обработка срока хранения пропущена: ${error.message}`);
+      return;
+    }
+    logger.error(`❌ Ошибка обработки срока хранения: ${error.message}`);
+  }
+}
+
 /**
  * Инициализирует планировщик задач
  * Создает cron задачи для каждого времени из расписания
@@ -58,6 +85,14 @@ function initScheduler() {
     logger.success(`✅ Задача создана: синхронизация каждый день в ${hour}:00`);
   });
 
+  if (syncConfig.retention.enabled) {
+    cron.schedule(`0 ${syncConfig.retention.hour} * * *`, runScheduledRetention, {
+      timezone: TIMEZONE
+    });
+
+    logger.success(`✅ Задача создана: срок хранения в "Удалены" каждый день в ${syncConfig.retention.hour}:00`);
+  }
+
   logger.success('✨ Планировщик инициализирован! Автоматическая синхронизация активна.');
 }
 
@@ -69,12 +104,14 @@ function getScheduleInfo() {
     enabled: true,
     hours: SYNC_HOURS,
     timezone: TIMEZONE,
-    schedule: SYNC_HOURS.map(h => `${h}:00`).join(', ')
+    schedule: SYNC_HOURS.map(h => `${h}:00`).join(', '),
+    retention: syncConfig.retention.enabled ? `${syncConfig.retention.hour}:00` : null
   };
 }
 
 module.exports = {
   initScheduler,
   getScheduleInfo,
-  runScheduledSync
+  runScheduledSync,
+  runScheduledRetention
 };
@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const { config } = require('../config/env');
+const syncConfig = require('../config/sync-config');
 const logger = require('../utils/logger');
 
 class SupabaseService {
@@ -11,10 +12,14 @@ class SupabaseService {
    * Получить всех пользователей с информацией об отделах
    */
   async getUsers() {
+    // Флаг декрета читается только в режиме 'flag' - в другом режиме колонки может не быть
+    const leaveColumn = syncConfig.maternity.mode === 'flag' ? syncConfig.maternity.flagColumn : null;
+
     try {
       const { data, error } = await this.client
         .from('profiles')
         .select(`
+          ${leaveColumn ? `${leaveColumn},` : ''}
           user_id,
           email,
           first_name,
@@ -24,6 +29,8 @@ class SupabaseService {
           position_id,
           category_id,
           salary,
+          employment_rate,
+          is_hourly,
           departments!profiles_department_membership_fkey (
             department_id,
             department_name
@@ -57,10 +64,13 @@ class SupabaseService {
         position_id: user.position_id,
         category_id: user.category_id,
         salary: user.salary,
+        employment_rate: user.employment_rate,
+        is_hourly: user.is_hourly,
         department_name: user.departments?.department_name || null,
         team_name: user.teams?.team_name || null,
         position_name: positionMap.get(user.position_id) || null,
-        category_name: categoryMap.get(user.category_id) || null
+        category_name: categoryMap.get(user.category_id) || null,
+        is_on_leave: leaveColumn ? user[leaveColumn] === true : null
       }));
 
       logger.success(`✅ Получено ${users.length} пользователей из Supabase`);
@@ -110,6 +120,73 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Получить всех пользователей auth.users (постранично через admin API)
+   * Нужны даты входа и приглашения - в profiles их нет
+   *
+   * @returns {Array} [{ id, email, created_at, last_sign_in_at, email_confirmed_at, invited_at, recovery_sent_at }]
+   */
+  async getAuthUsers() {
+    const perPage = 1000;
+    const users = [];
+
+    try {
+      for (let page = 1; ; page++) {
+        const { data, error } = await this.client.auth.admin.listUsers({ page, perPage });
+
+        if (error) throw error;
+
+        users.push(...data.users.map(user => ({
+          id: user.id,
+          email: user.email,
+          created_at: user.created_at,
+          last_sign_in_at: user.last_sign_in_at || null,
+          email_confirmed_at: user.email_confirmed_at || null,
+          invited_at: user.invited_at || null,
+          recovery_sent_at: user.recovery_sent_at || null
+        })));
+
+        if (data.users.length < perPage) {
+          break;
+        }
+      }
+
+      logger.debug(`🔑 Получено ${users.length} auth пользователей из Supabase`);
+      return users;
+    } catch (error) {
+      logger.error(`Error getting auth users: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Получить роли всех пользователей
+   * @returns {Map<string, Set>} user_id → role_id
+   */
+  async getUserRoles() {
+    try {
+      const { data, error } = await this.client
+        .from('user_roles')
+        .select('user_id, role_id');
+
+      if (error) throw error;
+
+      const roles = new Map();
+      (data || []).forEach(row => {
+        if (!roles.has(row.user_id)) {
+          roles.set(row.user_id, new Set());
+        }
+        roles.get(row.user_id).add(row.role_id);
+      });
+
+      logger.debug(`🛡️  Получено ${data?.length || 0} назначений ролей из Supabase`);
+      return roles;
+    } catch (error) {
+      logger.error(`Error getting user roles: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Получить все должности
    */
@@ -0,0 +1,374 @@
+/**
+ * Глобальная блокировка синхронизации
+ *
+ * Не даёт запускам из cron, Telegram, CLI и API идти параллельно:
+ * они делят progressTracker и буфер логгера.
+ *
+ * - Файл .sync-progress/sync.lock (PID, host, trigger, heartbeat) - между процессами
+ *   на одной машине и внутри одного процесса (scheduler + бот)
+ * - Опционально строка в таблице Supabase sync_locks (docs/sql/sync_locks.sql) -
+ *   между машинами
+ *
+ * Блокировка считается протухшей, если heartbeat не обновлялся lock.staleMinutes
+ * или процесс-владелец на этой машине уже не существует
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { config } = require('../config/env');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const { isMissingTableError } = require('../utils/db-errors');
+
+const LOCK_DIR = path.join(__dirname, '..', '.sync-progress');
+const LOCK_FILE = path.join(LOCK_DIR, 'sync.lock');
+const LOCK_NAME = 'user-sync';
+const TIMEZONE = 'Europe/Minsk';
+
+// Названия операций для сообщений
+const OPERATIONS = {
+  sync: 'синхронизация',
+  apply: 'применение плана',
+  rollback: 'откат запуска',
+  retention: 'хранение по сроку'
+};
+
+class SyncLock {
+  constructor() {
+    this.client = createClient(config.supabase.url, config.supabase.key);
+    this.current = null; // Блокировка, удерживаемая этим процессом
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Протухла ли блокировка
+   * @param {Object} lock - Содержимое блокировки
+   */
+  isStale(lock) {
+    const heartbeatAge = Date.now() - new Date(lock.heartbeatAt).getTime();
+    if (!(heartbeatAge <= syncConfig.lock.staleMinutes * 60000)) {
+      return true;
+    }
+
+    if (lock.host !== os.hostname()) {
+      return false;
+    }
+
+    // Тот же PID, но не наш токен - файл остался от прошлого запуска контейнера
+    if (lock.pid === process.pid) {
+      return !this.current || this.current.token !== lock.token;
+    }
+
+    try {
+      process.kill(lock.pid, 0);
+      return false;
+    } catch (error) {
+      // EPERM - процесс есть, но чужой
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * Прочитать файл блокировки
+   * @returns {Object|null}
+   */
+  async readFile() {
+    try {
+      return JSON.parse(await fs.readFile(LOCK_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      // Битый файл - считаем протухшим
+      logger.warning(`⚠️  Не удалось прочитать ${LOCK_FILE}: ${error.message}`);
+      return { heartbeatAt: 0 };
+    }
+  }
+
+  /**
+   * Атомарно перезаписать файл блокировки (через временный файл)
+   */
+  async writeFile(lock) {
+    const tmpFile = `${LOCK_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(lock, null, 2), 'utf8');
+    await fs.rename(tmpFile, LOCK_FILE);
+  }
+
+  /**
+   * Занять файловую блокировку
+   * @returns {Object|null} null - занято, иначе текущий владелец
+   */
+  async acquireFile(lock) {
+    await fs.mkdir(LOCK_DIR, { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        // wx - создать, только если файла нет
+        await fs.writeFile(LOCK_FILE, JSON.stringify(lock, null, 2), { encoding: 'utf8', flag: 'wx' });
+        return null;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const holder = await this.readFile();
+      if (!holder) {
+        continue; // Файл успели удалить - пробуем ещё раз
+      }
+
+      if (!this.isStale(holder)) {
+        return holder;
+      }
+
+      logger.warning(`⚠️  Снимаю протухшую блокировку синхронизации (${holder.trigger || '?'}, PID ${holder.pid || '?'})`);
+
+      // Удаляем, только если за это время файл не перезахватили
+      const again = await this.readFile();
+      if (again && again.token === holder.token) {
+        await fs.unlink(LOCK_FILE).catch(() => {});
+      }
+    }
+
+    return await this.readFile();
+  }
+
+  /**
+   * Занять строку в sync_locks (если включено lock.supabase)
+   * @returns {Object|null} null - занято или таблицы нет, иначе текущий владелец
+   */
+  async acquireSupabase(lock) {
+    if (!syncConfig.lock.supabase) {
+      return null;
+    }
+
+    const row = {
+      name: LOCK_NAME,
+      token: lock.token,
+      trigger: lock.trigger,
+      operation: lock.operation,
+      host: lock.host,
+      pid: lock.pid,
+      started_at: lock.startedAt,
+      heartbeat_at: lock.heartbeatAt
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { error } = await this.client.from('sync_locks').insert(row);
+
+      if (!error) {
+        return null;
+      }
+
+      if (isMissingTableError(error)) {
+        logger.warning('⚠️  Таблица sync_locks не найдена - используется только файловая блокировка');
+        return null;
+      }
+
+      // 23505 - строка уже есть, иначе ошибка БД
+      if (error.code !== '23505') {
+        throw new Error(`sync_locks: ${error.message}`);
+      }
+
+      const { data: existing, error: selectError } = await this.client
+        .from('sync_locks')
+        .select('*')
+        .eq('name', LOCK_NAME)
+        .maybeSingle();
+
+      if (selectError) {
+        throw new Error(`sync_locks: ${selectError.message}`);
+      }
+
+      if (!existing) {
+        continue;
+      }
+
+      const holder = {
+        token: existing.token,
+        trigger: existing.trigger,
+        operation: existing.operation,
+        host: existing.host,
+        pid: existing.pid,
+        startedAt: existing.started_at,
+        heartbeatAt: existing.heartbeat_at
+      };
+
+      if (!this.isStale(holder)) {
+        return holder;
+      }
+
+      logger.warning(`⚠️  Снимаю протухшую блокировку в sync_locks (${holder.host}, PID ${holder.pid})`);
+      await this.client.from('sync_locks').delete().eq('name', LOCK_NAME).eq('token', holder.token);
+    }
+
+    return null;
+  }
+
+  /**
+   * Текущий владелец блокировки (для статуса и сообщений)
+   * @returns {Object|null}
+   */
+  async getHolder() {
+    if (this.current) {
+      return this.current;
+    }
+
+    const holder = await this.readFile();
+    return holder && !this.isStale(holder) ? holder : null;
+  }
+
+  /**
+   * Занять блокировку
+   * @param {Object} params
+   * @param {string} params.trigger - cron | telegram | cli | api
+   * @param {string} params.operation - sync | apply | rollback | retention
+   * @returns {Object} { acquired: true, lock } или { acquired: false, holder }
+   */
+  async acquire({ trigger = 'cli', operation = 'sync' }) {
+    // Внутри процесса (scheduler + бот) - без обращения к диску
+    if (this.current) {
+      return { acquired: false, holder: this.current };
+    }
+
+    const now = new Date().toISOString();
+    const lock = {
+      token: crypto.randomUUID(),
+      trigger,
+      operation,
+      host: os.hostname(),
+      pid: process.pid,
+      startedAt: now,
+      heartbeatAt: now
+    };
+
+    // Занимаем синхронно до первого await, чтобы второй вызов в этом процессе увидел блокировку
+    this.current = lock;
+
+    try {
+      const fileHolder = await this.acquireFile(lock);
+      if (fileHolder) {
+        this.current = null;
+        return { acquired: false, holder: fileHolder };
+      }
+
+      const dbHolder = await this.acquireSupabase(lock);
+      if (dbHolder) {
+        this.current = null;
+        await fs.unlink(LOCK_FILE).catch(() => {});
+        return { acquired: false, holder: dbHolder };
+      }
+    } catch (error) {
+      this.current = null;
+      throw error;
+    }
+
+    this.startHeartbeat();
+    logger.debug(`Блокировка синхронизации занята: ${trigger}/${operation}`);
+
+    return { acquired: true, lock };
+  }
+
+  /**
+   * Периодически обновлять heartbeat, пока блокировка удерживается
+   */
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(async () => {
+      if (!this.current) {
+        return;
+      }
+
+      this.current.heartbeatAt = new Date().toISOString();
+
+      try {
+        await this.writeFile(this.current);
+
+        if (syncConfig.lock.supabase) {
+          await this.client
+            .from('sync_locks')
+            .update({ heartbeat_at: this.current.heartbeatAt })
+            .eq('name', LOCK_NAME)
+            .eq('token', this.current.token);
+        }
+      } catch (error) {
+        logger.warning(`⚠️  Не удалось обновить heartbeat блокировки: ${error.message}`);
+      }
+    }, syncConfig.lock.heartbeatSeconds * 1000);
+
+    // Таймер не должен держать процесс (CLI скрипты)
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Освободить блокировку
+   * @param {Object} lock - Блокировка из acquire
+   */
+  async release(lock) {
+    if (!this.current || this.current.token !== lock.token) {
+      return;
+    }
+
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.current = null;
+
+    try {
+      const holder = await this.readFile();
+      if (holder && holder.token === lock.token) {
+        await fs.unlink(LOCK_FILE);
+      }
+
+      if (syncConfig.lock.supabase) {
+        await this.client.from('sync_locks').delete().eq('name', LOCK_NAME).eq('token', lock.token);
+      }
+
+      logger.debug('Блокировка синхронизации освобождена');
+    } catch (error) {
+      logger.warning(`⚠️  Не удалось освободить блокировку: ${error.message}`);
+    }
+  }
+
+  /**
+   * Сообщение "синхронизация уже идёт (запущена в HH:MM кем …)"
+   * @param {Object} holder - Владелец блокировки
+   */
+  formatBusyMessage(holder) {
+    const time = new Date(holder.startedAt).toLocaleTimeString('ru-RU', {
+      timeZone: TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const operation = OPERATIONS[holder.operation] || holder.operation;
+
+    return `синхронизация уже идёт (запущена в ${time} кем: ${holder.trigger}, ${operation})`;
+  }
+
+  /**
+   * Выполнить функцию под блокировкой
+   * Если занято - ошибка с code = 'SYNC_LOCKED' и сообщением о текущем запуске
+   *
+   * @param {Object} params - { trigger, operation }
+   * @param {Function} fn - Асинхронная функция
+   */
+  async withLock(params, fn) {
+    const result = await this.acquire(params);
+
+    if (!result.acquired) {
+      const error = new Error(this.formatBusyMessage(result.holder));
+      error.code = 'SYNC_LOCKED';
+      error.holder = result.holder;
+      throw error;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.release(result.lock);
+    }
+  }
+}
+
+module.exports = new SyncLock();
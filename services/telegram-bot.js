@@ -6,10 +6,14 @@
  */
 
 const axios = require('axios');
+const FormData = require('form-data');
 const { config } = require('../config/env');
 const syncConfig = require('../config/sync-config');
 const logger = require('../utils/logger');
 const syncManager = require('../sync/sync-manager');
+const syncPlan = require('../sync/sync-plan');
+const { rollbackRun } = require('../sync/run-rollback');
+const syncLock = require('./sync-lock');
 
 /**
  * Отправляет текстовое сообщение в конкретный Telegram чат
@@ -36,13 +40,177 @@ async function sendMessage(chatId, text) {
 }
 
 /**
- * Обработчик команды /start_sync
+ * Отправляет файл в конкретный Telegram чат
+ * @param {number} chatId - ID чата
+ * @param {string} filename - Имя файла
+ * @param {string} content - Содержимое файла
+ * @param {string} caption - Подпись (HTML)
+ */
+async function sendDocument(chatId, filename, content, caption) {
+  if (!config.telegram.enabled) {
+    return;
+  }
+
+  try {
+    const url = `https://api.telegram.org/bot${config.telegram.botToken}/sendDocument`;
+    const formData = new FormData();
+    formData.append('chat_id', chatId);
+    formData.append('document', Buffer.from(content, 'utf-8'), {
+      filename,
+      contentType: 'application/json'
+    });
+    formData.append('caption', caption);
+    formData.append('parse_mode', 'HTML');
+
+    await axios.post(url, formData, {
+      headers: formData.getHeaders(),
+      timeout: 10000
+    });
+  } catch (error) {
+    logger.warning(`⚠️ Не удалось отправить файл в чат ${chatId}: ${error.message}`);
+  }
+}
+
+/**
+ * Обработчик команды /plan - строит план синхронизации и отправляет его на ревью
+ * @param {number} chatId - ID чата
+ */
+async function handlePlan(chatId) {
+  try {
+    await sendMessage(chatId, '⏳ <b>Строю план синхронизации...</b>');
+
+    const plan = await syncPlan.buildPlan();
+    await syncPlan.savePlan(plan);
+
+    let caption = `📋 <b>План ${plan.id}</b>\n` +
+      `✉️ Сменить email: ${plan.summary.rename}\n` +
+      `📝 Создать: ${plan.summary.create}\n` +
+      `🔄 Переместить: ${plan.summary.move}\n` +
+      `🍼 Декрет: ${plan.summary.leave}\n` +
+      `✏️ Обновить поля: ${plan.summary.drift}\n` +
+      `🛡 Изменить роли: ${plan.summary.roles}\n` +
+      `♻️ Восстановить: ${plan.summary.restore}\n` +
+      `🗑 Удалить: ${plan.summary.delete}\n\n` +
+      `Применить: <code>/apply ${plan.id}</code>\n` +
+      `План действителен ${syncConfig.plan.maxAgeMinutes} мин.`;
+
+    if (!plan.safety.allowed) {
+      caption += '\n\n🛑 DELETE будет пропущен (защита от массового удаления). ' +
+        `Для удаления: <code>/apply ${plan.id} force</code>`;
+    }
+
+    await sendDocument(chatId, `${plan.id}.json`, JSON.stringify(plan, null, 2), caption);
+  } catch (error) {
+    logger.error(`❌ Ошибка построения плана через бота: ${error.message}`);
+    await sendMessage(chatId, `❌ <b>Ошибка построения плана</b>\n\n<code>${error.message}</code>`);
+  }
+}
+
+/**
+ * Обработчик команды /apply {plan_id} [force]
+ * @param {number} chatId - ID чата
+ * @param {string} planId - ID плана
+ * @param {boolean} forceDelete - Применить DELETE несмотря на защиту от массового удаления
+ */
+async function handleApply(chatId, planId, forceDelete = false) {
+  if (!planId) {
+    await sendMessage(chatId, '❓ Укажите ID плана: <code>/apply plan_...</code>\nПостроить план: /plan');
+    return;
+  }
+
+  try {
+    await sendMessage(chatId, `⏳ <b>Применяю план ${planId}...</b>`);
+
+    const stats = await syncPlan.applyPlan(planId, { forceDelete, trigger: 'telegram' });
+
+    await sendMessage(
+      chatId,
+      `✅ <b>План ${planId} применён</b>${syncConfig.sync.dryRun ? ' (DRY-RUN)' : ''}\n` +
+      `✉️ Сменили email: ${stats.renamed}\n` +
+      `📝 Создано: ${stats.created}\n` +
+      `🔄 Перемещено: ${stats.moved}\n` +
+      `🍼 Декрет: ушли ${stats.toLeave}, вернулись ${stats.fromLeave}\n` +
+      `✏️ Обновлено полей: ${stats.drifted}\n` +
+      `🛡 Изменено ролей: ${stats.rolesChanged}\n` +
+      `♻️ Восстановлено: ${stats.restored}\n` +
+      `🗑 Удалено: ${stats.deleted}${stats.deleteSkipped ? ' (DELETE пропущен защитой)' : ''}\n` +
+      `❌ Ошибки: ${stats.errors}`
+    );
+  } catch (error) {
+    logger.error(`❌ Ошибка применения плана через бота: ${error.message}`);
+    await sendMessage(chatId, `❌ <b>План не применён</b>\n\n<code>${error.message}</code>`);
+  }
+}
+
+/**
+ * Обработчик команды /rollback {run_id} [confirm] [created]
+ * Без confirm - только превью
+ * @param {number} chatId - ID чата
+ * @param {Array<string>} args - Аргументы команды
+ */
+async function handleRollback(chatId, args) {
+  const [runId, ...flags] = args;
+
+  if (!runId) {
+    await sendMessage(
+      chatId,
+      '❓ Укажите ID запуска: <code>/rollback run_id</code>\n' +
+      'Применить: <code>/rollback run_id confirm</code>\n' +
+      'С удалением созданных: <code>/rollback run_id confirm created</code>'
+    );
+    return;
+  }
+
+  const dryRun = !flags.includes('confirm');
+  const deleteCreated = flags.includes('created');
+
+  try {
+    const report = await rollbackRun(runId, { dryRun, deleteCreated, trigger: 'telegram' });
+
+    // Списки могут не поместиться в сообщение (4096 символов) - отправляем их файлом, как план
+    let caption = `⏪ <b>Откат ${runId}${report.dryRun ? ' (превью)' : ''}</b>\n\n` +
+      `✅ ${report.dryRun ? 'Будет откачено' : 'Откачено'}: ${report.reverted.length}\n` +
+      `❌ Не откатывается: ${report.failed.length}`;
+
+    if (report.dryRun) {
+      caption += `\n\nПрименить: <code>/rollback ${runId} confirm${deleteCreated ? ' created' : ''}</code>`;
+    }
+
+    await sendDocument(chatId, `rollback_${runId}.json`, JSON.stringify(report, null, 2), caption);
+  } catch (error) {
+    logger.error(`❌ Ошибка отката через бота: ${error.message}`);
+    await sendMessage(chatId, `❌ <b>Откат не выполнен</b>\n\n<code>${error.message}</code>`);
+  }
+}
+
+/**
+ * Обработчик команды /start_sync (и /sync_user, /sync_dept - с областью)
  * @param {number} chatId - ID чата, откуда пришла команда
+ * @param {boolean} forceDelete - Разовый обход защиты от массового удаления (/start_sync force)
+ * @param {Object} scope - Область запуска { emails } или { departments }
  */
-async function handleStartSync(chatId) {
+async function handleStartSync(chatId, forceDelete = false, scope = {}) {
   try {
+    // Не запускаем параллельно с cron или другим запуском
+    const holder = await syncLock.getHolder();
+    if (holder) {
+      await sendMessage(chatId, `⏳ <b>Не запущено:</b> ${syncLock.formatBusyMessage(holder)}`);
+      return;
+    }
+
     // Отправляем подтверждение начала
-    await sendMessage(chatId, '⏳ <b>Запускаю синхронизацию пользователей...</b>');
+    const scopeLabel = scope.emails ? scope.emails.join(', ') : (scope.departments || []).join(', ');
+    await sendMessage(
+      chatId,
+      '⏳ <b>Запускаю синхронизацию пользователей...</b>' + (scopeLabel ? `\n🎯 Только: ${scopeLabel}` : '')
+    );
+
+    if (forceDelete) {
+      await sendMessage(
+        chatId,
+        '⚠️ <b>Защита от массового удаления отключена</b> для этого запуска.'
+      );
+    }
 
     // Проверяем dryRun режим
     if (syncConfig.dryRun) {
@@ -57,10 +225,16 @@ async function handleStartSync(chatId) {
     }
 
     // Запускаем синхронизацию с отправкой уведомлений в Telegram
-    const result = await syncManager.syncUsers(true);
+    const result = await syncManager.syncUsers({ sendNotifications: true, forceDelete, trigger: 'telegram', ...scope });
 
     logger.info('✅ Синхронизация завершена через Telegram бот');
   } catch (error) {
+    // Кто-то успел занять блокировку между проверкой и запуском
+    if (error.code === 'SYNC_LOCKED') {
+      await sendMessage(chatId, `⏳ <b>Не запущено:</b> ${error.message}`);
+      return;
+    }
+
     logger.error(`❌ Ошибка при запуске синхронизации через бота: ${error.message}`);
     await sendMessage(
       chatId,
@@ -70,6 +244,36 @@ async function handleStartSync(chatId) {
   }
 }
 
+/**
+ * Обработчик команд /sync_user email [email ...] и /sync_dept ВК[, КР гражд]
+ * @param {number} chatId - ID чата
+ * @param {string} command - /sync_user | /sync_dept
+ * @param {string} argsText - Текст после команды
+ */
+async function handleScopedSync(chatId, command, argsText) {
+  if (command === '/sync_user') {
+    const emails = argsText.split(/[\s,]+/).filter(Boolean);
+
+    if (emails.length === 0) {
+      await sendMessage(chatId, '❓ Укажите email: <code>/sync_user ivanov@eneca.by</code>');
+      return;
+    }
+
+    await handleStartSync(chatId, false, { emails });
+    return;
+  }
+
+  // Названия отделов содержат пробелы ("КР гражд") - разделяем запятыми
+  const departments = argsText.split(',').map(dept => dept.trim()).filter(Boolean);
+
+  if (departments.length === 0) {
+    await sendMessage(chatId, '❓ Укажите отдел: <code>/sync_dept ВК</code> или <code>/sync_dept ВК, КР гражд</code>');
+    return;
+  }
+
+  await handleStartSync(chatId, false, { departments });
+}
+
 /**
  * Обработчик команд /help и /start
  * @param {number} chatId - ID чата
@@ -81,6 +285,12 @@ async function handleHelp(chatId) {
 <b>Доступные команды:</b>
 
 /start_sync - Запустить синхронизацию Worksection → eneca.work
+/start_sync force - То же, но без защиты от массового удаления (разово)
+/sync_user email - Синхронизировать только указанных пользователей
+/sync_dept ВК - Синхронизировать только отдел (несколько - через запятую)
+/plan - Построить план синхронизации для ревью (без изменений)
+/apply plan_id - Применить план (<code>/apply plan_id force</code> - без защиты от удаления)
+/rollback run_id - Превью отката запуска (<code>confirm</code> - применить, <code>created</code> - удалить созданных)
 /help - Показать это сообщение
 
 <b>Что делает синхронизация:</b>
@@ -127,6 +337,18 @@ async function handleUpdate(update) {
     // Обрабатываем команды
     if (text === '/start_sync') {
       await handleStartSync(chatId);
+    } else if (text === '/start_sync force') {
+      await handleStartSync(chatId, true);
+    } else if (/^\/sync_(user|dept)(\s|$)/.test(text)) {
+      const [command] = text.split(/\s+/);
+      await handleScopedSync(chatId, command, text.slice(command.length));
+    } else if (text === '/plan') {
+      await handlePlan(chatId);
+    } else if (/^\/apply(\s|$)/.test(text)) {
+      const [, planId, flag] = text.split(/\s+/);
+      await handleApply(chatId, planId, flag === 'force');
+    } else if (/^\/rollback(\s|$)/.test(text)) {
+      await handleRollback(chatId, text.split(/\s+/).slice(1));
     } else if (text === '/help' || text === '/start') {
       await handleHelp(chatId);
     } else {
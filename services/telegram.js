@@ -59,12 +59,23 @@ function generateCsvContent(logs, stats, startTime, endTime, isDryRun = false) {
     csv += '*** DRY-RUN РЕЖИМ - ИЗМЕНЕНИЯ НЕ ПРИМЕНЕНЫ ***\n\n';
   }
 
+  // ====================================
+  // DELETE ЗАБЛОКИРОВАН (защита от массового удаления)
+  // ====================================
+  if (stats.deleteBlocked && stats.deleteBlocked.length > 0) {
+    csv += 'DELETE ЗАБЛОКИРОВАН - ЗАЩИТА ОТ МАССОВОГО УДАЛЕНИЯ\n';
+    stats.deleteBlocked.forEach(reason => {
+      csv += `"${reason.replace(/"/g, '""')}"\n`;
+    });
+    csv += '\n';
+  }
+
   // ====================================
   // УДАЛЕНЫ (в самом начале файла)
   // ====================================
   if (stats.deletedUsers && stats.deletedUsers.length > 0) {
     csv += 'УДАЛЕНЫ\n';
-    csv += 'Почта,Фамилия,Имя,Отдел,Команда,Должность,Категория\n';
+    csv += 'Почта,Фамилия,Имя,Отдел,Команда,Должность,Категория,Доступ\n';
     stats.deletedUsers.forEach(user => {
       const email = (user.email || '').replace(/"/g, '""');
       const lastName = (user.last_name || '').replace(/"/g, '""');
@@ -73,7 +84,8 @@ function generateCsvContent(logs, stats, startTime, endTime, isDryRun = false) {
       const team = (user.team || 'N/A').replace(/"/g, '""');
       const position = (user.position || 'N/A').replace(/"/g, '""');
       const category = (user.category || 'N/A').replace(/"/g, '""');
-      csv += `"${email}","${lastName}","${firstName}","${dept}","${team}","${position}","${category}"\n`;
+      const access = (user.access || 'N/A').replace(/"/g, '""');
+      csv += `"${email}","${lastName}","${firstName}","${dept}","${team}","${position}","${category}","${access}"\n`;
     });
     csv += '\n';
   }
@@ -83,7 +95,7 @@ function generateCsvContent(logs, stats, startTime, endTime, isDryRun = false) {
   // ====================================
   if (stats.createdUsers && stats.createdUsers.length > 0) {
     csv += isDryRun ? 'ПЛАНИРУЮТСЯ К СОЗДАНИЮ (DRY-RUN)\n' : 'ДОБАВЛЕНЫ\n';
-    csv += 'Почта,Фамилия,Имя,Отдел,WS Group,Title\n';
+    csv += 'Почта,Фамилия,Имя,Отдел,WS Group,Title,Должность\n';
     stats.createdUsers.forEach(user => {
       const email = (user.email || '').replace(/"/g, '""');
       const lastName = (user.last_name || '').replace(/"/g, '""');
@@ -91,17 +103,108 @@ function generateCsvContent(logs, stats, startTime, endTime, isDryRun = false) {
       const dept = (user.department || 'N/A').replace(/"/g, '""');
       const wsGroup = (user.wsGroup || 'N/A').replace(/"/g, '""');
       const title = (user.wsTitle || user.title || 'N/A').replace(/"/g, '""');
+      const position = (user.position || 'N/A').replace(/"/g, '""');
+      csv += `"${email}","${lastName}","${firstName}","${dept}","${wsGroup}","${title}","${position}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ВОССТАНОВЛЕНЫ (вернулись в WS из "Удалены")
+  // ====================================
+  if (stats.restoredUsers && stats.restoredUsers.length > 0) {
+    csv += isDryRun ? 'ПЛАНИРУЮТСЯ К ВОССТАНОВЛЕНИЮ (DRY-RUN)\n' : 'ВОССТАНОВЛЕНЫ\n';
+    csv += 'Почта,Фамилия,Имя,Отдел,WS Group,Title\n';
+    stats.restoredUsers.forEach(user => {
+      const email = (user.email || '').replace(/"/g, '""');
+      const lastName = (user.last_name || '').replace(/"/g, '""');
+      const firstName = (user.first_name || '').replace(/"/g, '""');
+      const dept = (user.department || 'N/A').replace(/"/g, '""');
+      const wsGroup = (user.wsGroup || 'N/A').replace(/"/g, '""');
+      const title = (user.wsTitle || 'N/A').replace(/"/g, '""');
       csv += `"${email}","${lastName}","${firstName}","${dept}","${wsGroup}","${title}"\n`;
     });
     csv += '\n';
   }
 
+  // ====================================
+  // СМЕНА EMAIL (сопоставлены по WS id)
+  // ====================================
+  if (stats.renamedUsers && stats.renamedUsers.length > 0) {
+    csv += isDryRun ? 'ПЛАНИРУЕТСЯ СМЕНА EMAIL (DRY-RUN)\n' : 'СМЕНА EMAIL\n';
+    csv += 'Прежняя почта,Новая почта,Имя,Отдел,Статус\n';
+    stats.renamedUsers.forEach(user => {
+      const oldEmail = (user.oldEmail || '').replace(/"/g, '""');
+      const email = (user.email || '').replace(/"/g, '""');
+      const name = (user.name || '').replace(/"/g, '""');
+      const dept = (user.department || 'N/A').replace(/"/g, '""');
+      const status = (user.status || '').replace(/"/g, '""');
+      csv += `"${oldEmail}","${email}","${name}","${dept}","${status}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ДЕКРЕТ (уход и возвращение)
+  // ====================================
+  if (stats.leaveTransitions && stats.leaveTransitions.length > 0) {
+    csv += isDryRun ? 'ДЕКРЕТ: ПЛАНИРУЕМЫЕ ПЕРЕХОДЫ (DRY-RUN)\n' : 'ДЕКРЕТ: ПЕРЕХОДЫ\n';
+    csv += 'Почта,Фамилия,Имя,Переход,Отдел до,Отдел после,Статус\n';
+    stats.leaveTransitions.forEach(user => {
+      const email = (user.email || '').replace(/"/g, '""');
+      const lastName = (user.last_name || '').replace(/"/g, '""');
+      const firstName = (user.first_name || '').replace(/"/g, '""');
+      const direction = user.direction === 'to_leave' ? 'уход в декрет' : 'возвращение из декрета';
+      const fromDept = (user.fromDepartment || 'N/A').replace(/"/g, '""');
+      const toDept = (user.toDepartment || 'N/A').replace(/"/g, '""');
+      const status = (user.status || '').replace(/"/g, '""');
+      csv += `"${email}","${lastName}","${firstName}","${direction}","${fromDept}","${toDept}","${status}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // РАСХОЖДЕНИЯ В ПОЛЯХ (имя, фамилия, должность, ставка - по политике sync-config.drift)
+  // ====================================
+  if (stats.fieldDifferences && stats.fieldDifferences.length > 0) {
+    csv += 'РАСХОЖДЕНИЯ В ПОЛЯХ\n';
+    csv += 'Почта,Имя,Поле,WS,Supabase,Статус\n';
+    stats.fieldDifferences.forEach(diff => {
+      const email = (diff.email || '').replace(/"/g, '""');
+      const name = (diff.name || '').replace(/"/g, '""');
+      const field = (diff.field || '').replace(/"/g, '""');
+      const ws = (diff.ws || '').replace(/"/g, '""');
+      const supabase = (diff.supabase || '').replace(/"/g, '""');
+      const status = (diff.status || '').replace(/"/g, '""');
+      csv += `"${email}","${name}","${field}","${ws}","${supabase}","${status}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // РОЛИ (роль WS → роли eneca.work - sync-config.roles)
+  // ====================================
+  if (stats.roleChanges && stats.roleChanges.length > 0) {
+    csv += isDryRun ? 'РОЛИ: ПЛАНИРУЕМЫЕ ИЗМЕНЕНИЯ (DRY-RUN)\n' : 'РОЛИ\n';
+    csv += 'Почта,Имя,Роль WS,Выданы,Сняты,Статус\n';
+    stats.roleChanges.forEach(change => {
+      const email = (change.email || '').replace(/"/g, '""');
+      const name = (change.name || '').replace(/"/g, '""');
+      const wsRole = (change.ws_role || '').replace(/"/g, '""');
+      const added = change.added.join(', ').replace(/"/g, '""');
+      const removed = change.removed.join(', ').replace(/"/g, '""');
+      const status = { updated: 'изменено', error: 'ошибка' }[change.status] || (isDryRun ? 'изменится (DRY-RUN)' : 'не обработано');
+      csv += `"${email}","${name}","${wsRole}","${added}","${removed}","${status}"\n`;
+    });
+    csv += '\n';
+  }
+
   // ====================================
   // РАСХОЖДЕНИЯ В ОТДЕЛАХ (после добавленных)
   // ====================================
   if (stats.departmentMismatches && stats.departmentMismatches.length > 0) {
     csv += 'РАСХОЖДЕНИЯ В ОТДЕЛАХ (таблица)\n';
-    csv += 'Почта,Фамилия,Имя,Отдел WS,Отдел Supabase,Title из WS\n';
+    csv += 'Почта,Фамилия,Имя,Отдел WS,Отдел Supabase,Title из WS,Статус\n';
     stats.departmentMismatches.forEach(mismatch => {
       const email = (mismatch.email || '').replace(/"/g, '""');
       const firstName = (mismatch.first_name || '').replace(/"/g, '""');
@@ -109,7 +212,8 @@ function generateCsvContent(logs, stats, startTime, endTime, isDryRun = false) {
       const wsDept = (mismatch.wsDepartment || 'N/A').replace(/"/g, '""');
       const supaDept = (mismatch.supabaseDepartment || 'N/A').replace(/"/g, '""');
       const wsTitle = (mismatch.wsTitle || 'N/A').replace(/"/g, '""');
-      csv += `"${email}","${firstName}","${lastName}","${wsDept}","${supaDept}","${wsTitle}"\n`;
+      const status = (mismatch.status || 'расхождение').replace(/"/g, '""');
+      csv += `"${email}","${firstName}","${lastName}","${wsDept}","${supaDept}","${wsTitle}","${status}"\n`;
     });
     csv += '\n';
 
@@ -140,6 +244,7 @@ function generateCsvContent(logs, stats, startTime, endTime, isDryRun = false) {
         csv += `   - ${mismatch.email} | ${fullName}\n`;
         csv += `     WS ожидает: "${mismatch.wsDepartment}" → Supabase: "${mismatch.supabaseDepartment}"\n`;
         csv += `     Title в WS: "${mismatch.wsTitle || 'N/A'}"\n`;
+        csv += `     Статус: ${mismatch.status || 'расхождение'}\n`;
       });
     });
 
@@ -153,33 +258,215 @@ function generateCsvContent(logs, stats, startTime, endTime, isDryRun = false) {
     csv += 'СТАТИСТИКА ПО ОТДЕЛАМ\n';
     csv += '='.repeat(30) + '\n\n';
 
-    // Сортируем отделы по названию
-    const departments = Object.keys(stats.departmentStats).sort();
+    // Группируем отделы по подразделению (служебные отделы - в конце)
+    const bySubdivision = {};
+    Object.keys(stats.departmentStats).forEach(deptName => {
+      const subdivision = stats.departmentStats[deptName].subdivision || 'Служебные отделы';
+      if (!bySubdivision[subdivision]) {
+        bySubdivision[subdivision] = [];
+      }
+      bySubdivision[subdivision].push(deptName);
+    });
+
+    const subdivisions = Object.keys(bySubdivision).sort((a, b) =>
+      (a === 'Служебные отделы') - (b === 'Служебные отделы') || a.localeCompare(b)
+    );
+
+    subdivisions.forEach(subdivision => {
+      // Сортируем отделы по названию
+      const departments = bySubdivision[subdivision].sort();
+      const wsTotal = departments.reduce((sum, deptName) => sum + stats.departmentStats[deptName].ws_count, 0);
+      const supaTotal = departments.reduce((sum, deptName) => sum + stats.departmentStats[deptName].supa_count, 0);
 
-    departments.forEach(deptName => {
-      const dept = stats.departmentStats[deptName];
-      const hasIssues = dept.missing_in_supabase.length > 0 ||
-                        dept.extra_in_supabase.length > 0 ||
-                        dept.department_differences.length > 0;
+      csv += `🏢 ${subdivision} (WS: ${wsTotal} чел. | Supabase: ${supaTotal} чел.)\n\n`;
 
-      const icon = hasIssues ? '⚠️' : '✅';
-      csv += `${icon} ${deptName}\n`;
-      csv += `   WS: ${dept.ws_count} чел. | Supabase: ${dept.supa_count} чел. [${dept.missing_in_supabase.length}|${dept.extra_in_supabase.length}|${dept.department_differences.length}]\n\n`;
+      departments.forEach(deptName => {
+        const dept = stats.departmentStats[deptName];
+        const hasIssues = dept.missing_in_supabase.length > 0 ||
+                          dept.extra_in_supabase.length > 0 ||
+                          dept.department_differences.length > 0;
+
+        const icon = hasIssues ? '⚠️' : '✅';
+        csv += `${icon} ${deptName}\n`;
+        csv += `   WS: ${dept.ws_count} чел. | Supabase: ${dept.supa_count} чел. [${dept.missing_in_supabase.length}|${dept.extra_in_supabase.length}|${dept.department_differences.length}]\n\n`;
+      });
     });
 
     csv += '='.repeat(30) + '\n\n';
   }
 
+  // ====================================
+  // ДОЛЖНОСТИ БЕЗ МАППИНГА (для пополнения config/position-mapping.js)
+  // ====================================
+  if (stats.unmatchedTitles && stats.unmatchedTitles.length > 0) {
+    csv += 'ДОЛЖНОСТИ БЕЗ МАППИНГА (Title из WS)\n';
+    csv += 'Title,Кол-во,Пример\n';
+    stats.unmatchedTitles.forEach(entry => {
+      const title = (entry.title || '').replace(/"/g, '""');
+      const example = (entry.emails[0] || '').replace(/"/g, '""');
+      csv += `"${title}",${entry.count},"${example}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ПОДОЗРИТЕЛЬНЫЕ ИМЕНА (проверить и исправить в WS)
+  // ====================================
+  if (stats.suspiciousNames && stats.suspiciousNames.length > 0) {
+    csv += 'ПОДОЗРИТЕЛЬНЫЕ ИМЕНА (WS)\n';
+    csv += 'Почта,Фамилия,Имя,Отдел,Проблемы\n';
+    stats.suspiciousNames.forEach(entry => {
+      const email = (entry.email || '').replace(/"/g, '""');
+      const lastName = (entry.last_name || '').replace(/"/g, '""');
+      const firstName = (entry.first_name || '').replace(/"/g, '""');
+      const dept = (entry.department || 'N/A').replace(/"/g, '""');
+      const issues = entry.issues.join('; ').replace(/"/g, '""');
+      csv += `"${email}","${lastName}","${firstName}","${dept}","${issues}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ГРУППЫ WS БЕЗ МАППИНГА (для пополнения маппинга отделов)
+  // ====================================
+  if (stats.unmappedGroups && stats.unmappedGroups.length > 0) {
+    csv += 'ГРУППЫ WS БЕЗ МАППИНГА (пользователи не синхронизируются)\n';
+    csv += 'Группа,Кол-во,Предлагаемый отдел,Основание,Пример\n';
+    stats.unmappedGroups.forEach(entry => {
+      const group = (entry.group || '').replace(/"/g, '""');
+      const dept = (entry.suggested_department || '').replace(/"/g, '""');
+      const reason = (entry.suggestion_reason || '').replace(/"/g, '""');
+      const example = (entry.emails[0] || '').replace(/"/g, '""');
+      csv += `"${group}",${entry.count},"${dept}","${reason}","${example}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ПРОБЛЕМЫ ДАННЫХ WS (sync-config.dataQuality)
+  // ====================================
+  if (stats.wsDataProblems && stats.wsDataProblems.length > 0) {
+    csv += 'ПРОБЛЕМЫ ДАННЫХ WS\n';
+    csv += 'Почта в WS,Имя,Группа,Проблема,Действие\n';
+    stats.wsDataProblems.forEach(problem => {
+      const email = (problem.email || '').replace(/"/g, '""');
+      const name = (problem.name || '').replace(/"/g, '""');
+      const group = (problem.group || '').replace(/"/g, '""');
+      const issue = (problem.issue || '').replace(/"/g, '""');
+      csv += `"${email}","${name}","${group}","${issue}","${problem.action}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ИСКЛЮЧЁННЫЕ АККАУНТЫ WS (sync-config.accounts)
+  // ====================================
+  if (stats.excluded && stats.excluded.length > 0) {
+    csv += 'ИСКЛЮЧЁННЫЕ АККАУНТЫ WS\n';
+    csv += 'Почта,Имя,Группа,Роль WS,Причина,Есть профиль\n';
+    stats.excluded.forEach(account => {
+      const email = (account.email || '').replace(/"/g, '""');
+      const name = (account.name || '').replace(/"/g, '""');
+      const group = (account.group || '').replace(/"/g, '""');
+      const role = (account.role || '').replace(/"/g, '""');
+      const reason = (account.reason || '').replace(/"/g, '""');
+      csv += `"${email}","${name}","${group}","${role}","${reason}","${account.user_id ? 'да' : 'нет'}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ИСЧЕЗНУВШИЕ ГРУППЫ WS (с прошлого запуска)
+  // ====================================
+  if (stats.vanishedGroups && stats.vanishedGroups.length > 0) {
+    csv += 'ИСЧЕЗНУВШИЕ ГРУППЫ WS\n';
+    csv += 'Группа,Было чел.,Отдел по маппингу,Прошлый запуск\n';
+    stats.vanishedGroups.forEach(entry => {
+      const group = (entry.group || '').replace(/"/g, '""');
+      const dept = (entry.department || '').replace(/"/g, '""');
+      csv += `"${group}",${entry.previous_count},"${dept}","${formatDateTime(entry.previous_at)}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // ПРИВЕТСТВЕННЫЕ ПИСЬМА (sync-config.welcome)
+  // ====================================
+  if (stats.welcomeEmails && stats.welcomeEmails.length > 0) {
+    csv += 'ПРИВЕТСТВЕННЫЕ ПИСЬМА\n';
+    csv += 'Почта,Статус,Ошибка\n';
+    stats.welcomeEmails.forEach(item => {
+      const email = (item.email || '').replace(/"/g, '""');
+      const status = { sent: 'отправлено', error: 'ошибка', skipped: 'не отправлено' }[item.status] || item.status;
+      const error = (item.error || '').replace(/"/g, '""');
+      csv += `"${email}","${status}","${error}"\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // НЕ ВХОДИЛИ В СИСТЕМУ (sync-config.credentials.reinvite)
+  // ====================================
+  if (stats.neverLoggedIn && stats.neverLoggedIn.length > 0) {
+    csv += 'НЕ ВХОДИЛИ В СИСТЕМУ\n';
+    csv += 'Почта,Фамилия,Имя,Отдел,Создан,Последнее письмо,Дней с письма\n';
+    stats.neverLoggedIn.forEach(user => {
+      const email = (user.email || '').replace(/"/g, '""');
+      const lastName = (user.last_name || '').replace(/"/g, '""');
+      const firstName = (user.first_name || '').replace(/"/g, '""');
+      const dept = (user.department || 'N/A').replace(/"/g, '""');
+      const createdAt = user.created_at ? formatDateTime(user.created_at) : '';
+      const invitedAt = user.last_invited_at ? formatDateTime(user.last_invited_at) : '';
+      const days = user.days_since_invite === null ? '' : user.days_since_invite;
+      csv += `"${email}","${lastName}","${firstName}","${dept}","${createdAt}","${invitedAt}",${days}\n`;
+    });
+    csv += '\n';
+  }
+
+  // ====================================
+  // СОЗДАННЫЕ ОТДЕЛЫ И КОМАНДЫ (provision)
+  // ====================================
+  if (stats.provisioned && stats.provisioned.length > 0) {
+    csv += isDryRun ? 'ПЛАНИРУЮТСЯ К СОЗДАНИЮ ОТДЕЛЫ И КОМАНДЫ (DRY-RUN)\n' : 'СОЗДАННЫЕ ОТДЕЛЫ И КОМАНДЫ\n';
+    csv += 'Тип,Название,ID\n';
+    stats.provisioned.forEach(item => {
+      const type = item.type === 'department' ? 'отдел' : 'команда';
+      const name = (item.name || '').replace(/"/g, '""');
+      csv += `"${type}","${name}","${item.id || ''}"\n`;
+    });
+    csv += '\n';
+  }
+
   // ====================================
   // СВОДКА (после списков)
   // ====================================
   csv += 'СВОДКА СИНХРОНИЗАЦИИ\n';
+  if (stats.runId) {
+    csv += `Запуск,${stats.runId}\n`;
+  }
+  if (stats.scope) {
+    csv += `Область,"${stats.scope.replace(/"/g, '""')}"\n`;
+  }
   csv += `Начало,${formatDateTime(startTime)}\n`;
   csv += `Завершение,${formatDateTime(endTime)}\n`;
   csv += `Длительность,"${duration}s"\n`;
   csv += `Добавлено,${stats.usersCreated || 0}\n`;
+  csv += `Сменили email,${stats.usersRenamed || 0}\n`;
+  csv += `Расхождения в полях,${(stats.fieldDifferences || []).length}\n`;
+  csv += `Обновлены поля,${stats.usersDrifted || 0}\n`;
+  csv += `Изменены роли,${stats.usersRolesChanged || 0}\n`;
+  csv += `Восстановлено,${stats.usersRestored || 0}\n`;
   csv += `Удалено,${stats.usersDeleted || 0}\n`;
   csv += `Расхождения,${stats.departmentChanges || 0}\n`;
+  csv += `Перемещено,${stats.usersMoved || 0}\n`;
+  csv += `Ушли в декрет,${stats.usersToLeave || 0}\n`;
+  csv += `Вернулись из декрета,${stats.usersFromLeave || 0}\n`;
+  csv += `Проблемы данных WS,${(stats.wsDataProblems || []).length}\n`;
+  csv += `В карантине,${(stats.quarantined || []).length}\n`;
+  csv += `Вне синхронизации,${(stats.excluded || []).length}\n`;
+  csv += `Приветственные письма,${stats.usersWelcomed || 0}\n`;
+  csv += `Не входили в систему,${(stats.neverLoggedIn || []).length}\n`;
+  csv += `Повторные письма для входа,${stats.usersReinvited || 0}\n`;
   csv += `Ошибки,${stats.errors || 0}\n`;
   csv += '\n';
 
@@ -257,10 +544,12 @@ async function sendMessage(text) {
  * Отправляет уведомление о начале синхронизации пользователей
  * @param {number} totalUsers - Количество пользователей в Worksection
  * @param {Object} countBefore - Состояние БД до синхронизации
+ * @param {string|null} scope - Описание области запуска (null - все пользователи)
  */
-async function sendSyncStarted(totalUsers, countBefore) {
+async function sendSyncStarted(totalUsers, countBefore, scope = null) {
   const message = `🚀 <b>Синхронизация запущена</b>\n` +
     `⏰ Время: ${formatDateTime(new Date())}\n` +
+    (scope ? `🎯 Область: ${scope}\n` : '') +
     `📊 Пользователи:\n` +
     `   • WS: ${totalUsers} пользователей\n` +
     `   • work: ${countBefore.profiles || 0} пользователей`;
@@ -303,12 +592,58 @@ async function sendCsvFile(logs, stats, startTime, endTime) {
 
     // Формируем сообщение-заголовок
     let caption = `📊 <b>Синхронизация завершена${isDryRun ? ' (DRY-RUN)' : ''}</b>\n` +
-      `⏱ Длительность: ${duration}s\n\n` +
+      `⏱ Длительность: ${duration}s\n` +
+      (stats.scope ? `🎯 Область: ${stats.scope}\n` : '') +
+      '\n' +
       `✅ ${isDryRun ? 'Планируется создать' : 'Добавлено'}: ${stats.usersCreated || 0} пользователей\n` +
+      `♻️ ${isDryRun ? 'Планируется восстановить' : 'Восстановлено'}: ${stats.usersRestored || 0} пользователей\n` +
+      `✉️ ${isDryRun ? 'Планируется сменить email' : 'Сменили email'}: ${stats.usersRenamed || 0} пользователей\n` +
+      `📝 Расхождения в полях: ${(stats.fieldDifferences || []).length} (обновлено: ${stats.usersDrifted || 0} пользователей)\n` +
       `🗑 ${isDryRun ? 'Планируется удалить' : 'Удалено'}: ${stats.usersDeleted || 0} пользователей\n` +
       `⚠️ Расхождения: ${stats.departmentChanges || 0} пользователей\n` +
+      `🔄 ${isDryRun ? 'Планируется переместить' : 'Перемещено'}: ${stats.usersMoved || 0} пользователей\n` +
+      `🍼 Декрет: ${(stats.leaveTransitions || []).length} переходов ` +
+      `(ушли ${stats.usersToLeave || 0}, вернулись ${stats.usersFromLeave || 0})\n` +
       `❌ Ошибки: ${stats.errors || 0}`;
 
+    if (stats.provisioned && stats.provisioned.length > 0) {
+      caption += `\n\n🏗 ${isDryRun ? 'Будут созданы' : 'Созданы'} отделы/команды: ` +
+        stats.provisioned.map(item => item.name).join(', ');
+    }
+
+    if (stats.unmappedGroups && stats.unmappedGroups.length > 0) {
+      const users = stats.unmappedGroups.reduce((sum, entry) => sum + entry.count, 0);
+      caption += `\n\n🧩 Группы WS без маппинга: ${stats.unmappedGroups.length} (${users} чел. не синхронизируются)`;
+    }
+
+    if (stats.vanishedGroups && stats.vanishedGroups.length > 0) {
+      caption += `\n👻 Исчезли группы WS: ${stats.vanishedGroups.map(entry => entry.group).join(', ')}`;
+    }
+
+    if (stats.wsDataProblems && stats.wsDataProblems.length > 0) {
+      caption += `\n🧪 Проблемы данных WS: ${stats.wsDataProblems.length} (в карантине: ${(stats.quarantined || []).length})`;
+    }
+
+    const undelivered = (stats.welcomeEmails || []).filter(item => item.status !== 'sent').length;
+    if (stats.usersWelcomed || undelivered > 0) {
+      caption += `\n\n📧 Приветственные письма: ${stats.usersWelcomed || 0}` +
+        (undelivered > 0 ? ` (не доставлено: ${undelivered})` : '');
+    }
+
+    if (stats.neverLoggedIn && stats.neverLoggedIn.length > 0) {
+      caption += `\n\n🔑 Не входили в систему: ${stats.neverLoggedIn.length} ` +
+        `(повторных писем: ${stats.usersReinvited || 0})`;
+    }
+
+    // Только путь на сервере - пароли в Telegram не отправляются
+    if (stats.passwordsFile) {
+      caption += `\n🔐 Пароли новых пользователей: ${stats.passwordsFile}`;
+    }
+
+    if (stats.deleteBlocked && stats.deleteBlocked.length > 0) {
+      caption += '\n\n🛑 <b>Удаление заблокировано защитой от массового удаления</b>';
+    }
+
     if (isDryRun) {
       caption += '\n\n🔍 <i>Режим тестирования - изменения не применены</i>';
     }
@@ -0,0 +1,201 @@
+/**
+ * Связь пользователя Worksection (WS id) с профилем eneca.work (user_id)
+ *
+ * По ней compareUsers сопоставляет пользователей в первую очередь - тогда смена
+ * корпоративного email в WS определяется как переименование, а не как
+ * создание нового пользователя + удаление старого.
+ *
+ * Основное хранилище - таблица Supabase ws_user_map (docs/sql/ws_user_map.sql).
+ * Если таблицы нет - локальный файл .sync-history/ws-user-map.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { config } = require('../config/env');
+const logger = require('../utils/logger');
+const { isMissingTableError } = require('../utils/db-errors');
+
+const MAP_DIR = path.join(__dirname, '..', '.sync-history');
+const MAP_FILE = path.join(MAP_DIR, 'ws-user-map.json');
+
+// Строк в одном запросе: списки id уходят в URL (.in) - на первом запуске их сотни
+const CHUNK_SIZE = 100;
+
+class WsUserMap {
+  constructor() {
+    this.client = createClient(config.supabase.url, config.supabase.key);
+    this.backend = null; // 'supabase' | 'local' - определяется при первом обращении
+  }
+
+  /**
+   * Определить хранилище: таблица ws_user_map в Supabase или локальный файл
+   */
+  async getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const { error } = await this.client.from('ws_user_map').select('ws_user_id').limit(1);
+
+    if (error && isMissingTableError(error)) {
+      logger.info('ℹ️  Таблица ws_user_map не найдена - связь WS id ↔ user_id хранится в .sync-history/');
+      this.backend = 'local';
+    } else if (error) {
+      throw new Error(`ws_user_map: ${error.message}`);
+    } else {
+      this.backend = 'supabase';
+    }
+
+    return this.backend;
+  }
+
+  async readLocal() {
+    try {
+      return JSON.parse(await fs.readFile(MAP_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Загрузить все связи
+   * @returns {Map<string, Object>} ws_user_id → { ws_user_id, user_id, email }
+   */
+  async load() {
+    let rows;
+
+    if (await this.getBackend() === 'supabase') {
+      const { data, error } = await this.client
+        .from('ws_user_map')
+        .select('ws_user_id, user_id, email');
+
+      if (error) {
+        throw new Error(`ws_user_map: ${error.message}`);
+      }
+      rows = data || [];
+    } else {
+      rows = Object.values(await this.readLocal());
+    }
+
+    return new Map(rows.map(row => [String(row.ws_user_id), row]));
+  }
+
+  /**
+   * Сохранить связи (новые и изменённые)
+   * Один профиль связан только с одним WS id - старая связь профиля заменяется
+   * (upsert по user_id, частями по CHUNK_SIZE: при ошибке существующие связи не теряются)
+   *
+   * @param {Array} entries - [{ ws_user_id, user_id, email }]
+   */
+  async save(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    // По одной строке на профиль - upsert не может изменить строку дважды
+    const byUserId = new Map(entries.map(entry => [entry.user_id, {
+      ws_user_id: String(entry.ws_user_id),
+      user_id: entry.user_id,
+      email: entry.email,
+      updated_at: now
+    }]));
+    const rows = [...byUserId.values()];
+
+    if (await this.getBackend() === 'supabase') {
+      for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+        await this.upsertChunk(rows.slice(i, i + CHUNK_SIZE));
+      }
+    } else {
+      const map = await this.readLocal();
+      const userIds = new Set(rows.map(row => row.user_id));
+
+      for (const wsUserId in map) {
+        if (userIds.has(map[wsUserId].user_id)) {
+          delete map[wsUserId];
+        }
+      }
+      rows.forEach(row => {
+        map[row.ws_user_id] = row;
+      });
+
+      await fs.mkdir(MAP_DIR, { recursive: true });
+      await fs.writeFile(MAP_FILE, JSON.stringify(map, null, 2), 'utf8');
+    }
+
+    logger.debug(`Связи WS id ↔ user_id сохранены: ${rows.length}`);
+  }
+
+  /**
+   * Записать часть связей в ws_user_map
+   *
+   * Тот же WS id может остаться привязанным к профилю, которого больше нет (иначе сопоставление
+   * прошло бы по WS id) - такая устаревшая связь удаляется, иначе upsert упрётся в ключ ws_user_id
+   *
+   * @param {Array} rows - [{ ws_user_id, user_id, email, updated_at }]
+   * @throws {Error} Ошибка записи
+   */
+  async upsertChunk(rows) {
+    const wsUserIds = rows.map(row => row.ws_user_id);
+    const userIds = rows.map(row => row.user_id);
+
+    const { error: staleError } = await this.client
+      .from('ws_user_map')
+      .delete()
+      .in('ws_user_id', wsUserIds)
+      .not('user_id', 'in', `(${userIds.join(',')})`);
+
+    if (staleError) {
+      throw new Error(`ws_user_map: ${staleError.message}`);
+    }
+
+    const { error } = await this.client
+      .from('ws_user_map')
+      .upsert(rows, { onConflict: 'user_id' });
+
+    if (error) {
+      throw new Error(`ws_user_map: ${error.message}`);
+    }
+  }
+
+  /**
+   * Удалить связи профилей (профиль удалён или обезличен)
+   * @param {Array<string>} userIds
+   */
+  async remove(userIds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    if (await this.getBackend() === 'supabase') {
+      const { error } = await this.client
+        .from('ws_user_map')
+        .delete()
+        .in('user_id', userIds);
+
+      if (error) {
+        throw new Error(`ws_user_map: ${error.message}`);
+      }
+    } else {
+      const map = await this.readLocal();
+      const removed = new Set(userIds);
+
+      for (const wsUserId in map) {
+        if (removed.has(map[wsUserId].user_id)) {
+          delete map[wsUserId];
+        }
+      }
+
+      await fs.mkdir(MAP_DIR, { recursive: true });
+      await fs.writeFile(MAP_FILE, JSON.stringify(map, null, 2), 'utf8');
+    }
+
+    logger.debug(`Связи WS id ↔ user_id удалены: ${userIds.length}`);
+  }
+}
+
+module.exports = new WsUserMap();
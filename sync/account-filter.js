@@ -0,0 +1,65 @@
+const syncConfig = require('../config/sync-config');
+const { normalizeEmail } = require('./ws-data-quality');
+
+/**
+ * Какие аккаунты WS участвуют в синхронизации (sync-config.accounts)
+ *
+ * Гости и читатели клиентов, боты и общие ящики в WS могут оказаться в группе с маппингом -
+ * логин в eneca.work им не нужен. Исключённые аккаунты не создаются и не меняются,
+ * а их профили (если есть) не уходят в "Удалены"
+ */
+
+/**
+ * Email в списке исключений (accounts.excludeEmails)
+ */
+function isExcludedEmail(email) {
+  const key = normalizeEmail(email);
+  return syncConfig.accounts.excludeEmails.some(excluded => normalizeEmail(excluded) === key);
+}
+
+/**
+ * Причина исключения аккаунта WS
+ * @param {Object} wsUser - Пользователь из worksectionService.getUsers()
+ * @returns {string|null} Причина или null, если аккаунт синхронизируется
+ */
+function getExclusionReason(wsUser) {
+  if (isExcludedEmail(wsUser.email)) {
+    return 'список исключений';
+  }
+
+  // Без роли (старые ответы API) - не исключаем
+  const role = (wsUser.role || '').trim().toLowerCase();
+  if (role && !syncConfig.accounts.includeRoles.includes(role)) {
+    return `роль WS "${role}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Отделить исключённые аккаунты WS
+ *
+ * @param {Array} wsUsers - Пользователи из worksectionService.getUsers()
+ * @returns {Object} { users: Array, excluded: [{ ...wsUser, reason }] }
+ */
+function filterWsAccounts(wsUsers) {
+  const users = [];
+  const excluded = [];
+
+  wsUsers.forEach(wsUser => {
+    const reason = getExclusionReason(wsUser);
+    if (reason) {
+      excluded.push({ ...wsUser, reason });
+    } else {
+      users.push(wsUser);
+    }
+  });
+
+  return { users, excluded };
+}
+
+module.exports = {
+  isExcludedEmail,
+  getExclusionReason,
+  filterWsAccounts
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createAdminClient } = require('./sync-helpers');
+const { config } = require('../config/env');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+/**
+ * Доступ новых пользователей (sync-config.credentials)
+ *
+ * - invite     - auth пользователь создаётся приглашением Supabase (письмо со ссылкой)
+ * - random     - индивидуальный случайный пароль, каждый выданный пароль сразу дописывается
+ *                в файл запуска в .sync-credentials/
+ * - magic_link - пользователь без пароля, после создания отправляется ссылка для входа
+ * - shared     - общий пароль из SYNC_SHARED_PASSWORD
+ *
+ * Пользователи, ни разу не входившие в систему, видны в отчёте; им можно отправить письмо повторно
+ */
+
+const STRATEGIES = ['invite', 'random', 'magic_link', 'shared'];
+
+const CREDENTIALS_DIR = path.join(__dirname, '..', '.sync-credentials');
+
+// Символы пароля без похожих друг на друга (0/O, 1/l/I)
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+
+/**
+ * Текущая стратегия с проверкой настроек
+ * @returns {string} invite | random | magic_link | shared
+ * @throws {Error} Неизвестная стратегия или 'shared' без SYNC_SHARED_PASSWORD
+ */
+function getStrategy() {
+  const strategy = syncConfig.credentials.strategy;
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Неизвестная стратегия credentials.strategy "${strategy}" (допустимо: ${STRATEGIES.join(', ')})`);
+  }
+
+  if (strategy === 'shared' && !config.auth.sharedPassword) {
+    throw new Error('Стратегия credentials.strategy = \'shared\' требует SYNC_SHARED_PASSWORD в .env');
+  }
+
+  return strategy;
+}
+
+/**
+ * Случайный пароль (crypto.randomInt - без смещения распределения)
+ */
+function generatePassword(length = syncConfig.credentials.passwordLength) {
+  let password = '';
+  for (let i = 0; i < length; i++) {
+    password += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+  }
+  return password;
+}
+
+/**
+ * Создать auth пользователя по стратегии
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} email - Email
+ * @param {Object} userMetadata - user_metadata
+ * @returns {Object} { userId, password } (password - только для 'random', для передачи пользователю)
+ * @throws {Error} Ошибка Supabase Auth
+ */
+async function createAuthUser(supabase, email, userMetadata) {
+  const strategy = getStrategy();
+  let result;
+  let password = null;
+
+  if (strategy === 'invite') {
+    // Supabase сам отправляет письмо-приглашение
+    result = await supabase.auth.admin.inviteUserByEmail(email, {
+      data: userMetadata,
+      redirectTo: config.auth.redirectUrl
+    });
+  } else {
+    if (strategy === 'random') {
+      password = generatePassword();
+    }
+
+    result = await supabase.auth.admin.createUser({
+      email,
+      // magic_link - без пароля
+      ...(strategy === 'random' ? { password } : {}),
+      ...(strategy === 'shared' ? { password: config.auth.sharedPassword } : {}),
+      email_confirm: true,
+      user_metadata: userMetadata
+    });
+  }
+
+  if (result.error) {
+    throw new Error(`Auth error: ${result.error.message}`);
+  }
+
+  return {
+    userId: result.data.user.id,
+    password
+  };
+}
+
+/**
+ * Отправить письмо для входа (первое для 'magic_link' или повторное для не входивших)
+ * - приглашение не принято (email не подтверждён) - приглашение повторно
+ * - magic_link - ссылка для входа
+ * - остальные стратегии - ссылка для установки пароля (восстановление пароля)
+ *
+ * @param {Object} user - { email, email_confirmed_at }
+ * @returns {Object} { success: boolean, method: string, error: string|null }
+ */
+async function sendAccessEmail(user) {
+  const supabase = createAdminClient();
+  const strategy = getStrategy();
+  let method;
+  let result;
+
+  if (user.email_confirmed_at === null && strategy === 'invite') {
+    method = 'invite';
+    result = await supabase.auth.admin.inviteUserByEmail(user.email, { redirectTo: config.auth.redirectUrl });
+  } else if (strategy === 'magic_link') {
+    method = 'magic_link';
+    result = await supabase.auth.signInWithOtp({
+      email: user.email,
+      options: { shouldCreateUser: false, emailRedirectTo: config.auth.redirectUrl }
+    });
+  } else {
+    method = 'recovery';
+    result = await supabase.auth.resetPasswordForEmail(user.email, { redirectTo: config.auth.redirectUrl });
+  }
+
+  if (result.error) {
+    logger.error(`❌ Не удалось отправить письмо (${method}) ${user.email}: ${result.error.message}`);
+    return { success: false, method, error: result.error.message };
+  }
+
+  logger.success(`✅ Письмо для входа (${method}) отправлено: ${user.email}`);
+  return { success: true, method, error: null };
+}
+
+/**
+ * Путь к файлу паролей запуска (стратегия 'random'): .sync-credentials/passwords_{дата}.csv
+ */
+function getPasswordsFilePath(date = new Date()) {
+  return path.join(CREDENTIALS_DIR, `passwords_${date.toISOString().replace(/[:.]/g, '-')}.csv`);
+}
+
+/**
+ * Дописать выданный пароль в файл запуска - сразу после создания пользователя, чтобы
+ * падение посреди батча не потеряло пароли уже созданных
+ * Файл доступен только владельцу процесса; в логи, журнал и Telegram пароли не попадают
+ *
+ * @param {string} filePath - getPasswordsFilePath()
+ * @param {Object} entry - { email, password }
+ * @throws {Error} Ошибка записи файла
+ */
+async function saveIssuedPassword(filePath, entry) {
+  await fs.mkdir(CREDENTIALS_DIR, { recursive: true, mode: 0o700 });
+
+  // Заголовок - при создании файла ('wx' не перезапишет существующий)
+  await fs.writeFile(filePath, 'email,password\n', { encoding: 'utf8', mode: 0o600, flag: 'wx' }).catch(error => {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  });
+
+  await fs.appendFile(filePath, `${entry.email},${entry.password}\n`, { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Дата последнего письма для входа (или создания аккаунта)
+ */
+function getLastInvitedAt(authUser) {
+  return [authUser.invited_at, authUser.recovery_sent_at, authUser.created_at]
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+}
+
+/**
+ * Пользователи, ни разу не входившие в систему (кроме "Удалены")
+ *
+ * @param {Array} authUsers - supabaseService.getAuthUsers()
+ * @param {Array} profiles - Профили из supabaseService.getUsers()
+ * @returns {Array} [{ user_id, email, first_name, last_name, department, email_confirmed_at,
+ *   created_at, last_invited_at, days_since_invite, due }] (due - пора отправить повторное письмо)
+ */
+function findNeverLoggedIn(authUsers, profiles) {
+  const profilesById = new Map(profiles.map(profile => [profile.user_id, profile]));
+  const now = Date.now();
+
+  return authUsers
+    .filter(authUser => !authUser.last_sign_in_at && profilesById.has(authUser.id))
+    .map(authUser => {
+      const profile = profilesById.get(authUser.id);
+      const lastInvitedAt = getLastInvitedAt(authUser);
+      const daysSinceInvite = lastInvitedAt
+        ? Math.floor((now - new Date(lastInvitedAt).getTime()) / 86400000)
+        : null;
+
+      return {
+        user_id: authUser.id,
+        email: authUser.email,
+        first_name: profile.first_name,
+        last_name: profile.last_name,
+        department: profile.department_name,
+        email_confirmed_at: authUser.email_confirmed_at,
+        created_at: authUser.created_at,
+        last_invited_at: lastInvitedAt,
+        days_since_invite: daysSinceInvite,
+        due: daysSinceInvite === null || daysSinceInvite >= syncConfig.credentials.reinvite.afterDays
+      };
+    })
+    .filter(user => user.department !== syncConfig.DELETED_DEPARTMENT)
+    .sort((a, b) => (b.days_since_invite || 0) - (a.days_since_invite || 0));
+}
+
+/**
+ * Batch повторных писем для входа
+ *
+ * @param {Array} users - Элементы findNeverLoggedIn()
+ * @returns {Object} Статистика { reinvited: number, errors: number, details: Array }
+ */
+async function reinviteUsers(users) {
+  const stats = {
+    reinvited: 0,
+    errors: 0,
+    details: []
+  };
+
+  logger.info(`\n📨 Повторные письма для входа: ${users.length}`);
+
+  if (syncConfig.sync.dryRun) {
+    logger.warning('🔍 DRY-RUN режим: письма НЕ будут отправлены!');
+    users.forEach(user => {
+      logger.info(`   [DRY-RUN] Письмо для входа: ${user.email} (последнее ${user.days_since_invite} дн. назад)`);
+    });
+    return stats;
+  }
+
+  for (let i = 0; i < users.length; i++) {
+    const user = users[i];
+    const result = await sendAccessEmail(user);
+
+    if (result.success) {
+      stats.reinvited++;
+      stats.details.push({
+        email: user.email,
+        user_id: user.user_id,
+        status: 'reinvited',
+        method: result.method
+      });
+    } else {
+      stats.errors++;
+      stats.details.push({
+        email: user.email,
+        user_id: user.user_id,
+        status: 'error',
+        method: result.method,
+        error: result.error
+      });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+
+    // Задержка между операциями (лимиты Supabase на отправку писем)
+    if (i < users.length - 1 && i % syncConfig.sync.batchSize === 0) {
+      logger.debug(`Пауза ${syncConfig.sync.delayBetweenBatches}мс между батчами`);
+      await new Promise(resolve => setTimeout(resolve, syncConfig.sync.delayBetweenBatches));
+    }
+  }
+
+  logger.success(`\n✅ Повторные письма: ${stats.reinvited} отправлено, ${stats.errors} ошибок`);
+
+  return stats;
+}
+
+module.exports = {
+  STRATEGIES,
+  getStrategy,
+  createAuthUser,
+  sendAccessEmail,
+  getPasswordsFilePath,
+  saveIssuedPassword,
+  findNeverLoggedIn,
+  reinviteUsers
+};
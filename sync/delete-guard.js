@@ -0,0 +1,71 @@
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+/**
+ * Защита от массового удаления
+ *
+ * Если WS вернул урезанный список или группу переименовали и mapDepartment
+ * перестал её находить, compareUsers отдаст в deleted_from_ws целый отдел.
+ * Проверяем пороги до DELETE и блокируем фазу целиком, если хоть один сработал.
+ *
+ * @param {Object} compareStats - Результат compareUsers
+ * @param {Array} usersToDelete - Пользователи, которые будут перемещены в "Удалены"
+ * @returns {Object} { allowed: boolean, reasons: Array<string> }
+ */
+function checkDeleteSafety(compareStats, usersToDelete) {
+  const { maxDeletes, maxDeletePercent, percentMinDeletes, minWsUsers } = syncConfig.safety;
+  const reasons = [];
+
+  // 1. WS вернул подозрительно мало пользователей
+  if (compareStats.ws_total < minWsUsers) {
+    reasons.push(
+      `WS вернул ${compareStats.ws_total} пользователей (минимум ${minWsUsers})`
+    );
+  }
+
+  // 2. Слишком много удалений за один запуск
+  if (usersToDelete.length > maxDeletes) {
+    reasons.push(
+      `К удалению ${usersToDelete.length} пользователей (лимит ${maxDeletes} за запуск)`
+    );
+  }
+
+  // 3. Слишком большая доля отдела
+  const deletesByDepartment = {};
+  usersToDelete.forEach(user => {
+    deletesByDepartment[user.departmentName] = (deletesByDepartment[user.departmentName] || 0) + 1;
+  });
+
+  for (const dept in deletesByDepartment) {
+    const deleteCount = deletesByDepartment[dept];
+    const supaCount = compareStats.by_department[dept]?.supa_count || 0;
+
+    // На маленьких отделах один уволенный легко даёт 30%+, поэтому нужен минимум удалений
+    if (supaCount === 0 || deleteCount < percentMinDeletes) {
+      continue;
+    }
+
+    const percent = Math.round((deleteCount / supaCount) * 100);
+    if (percent > maxDeletePercent) {
+      reasons.push(
+        `Отдел "${dept}": к удалению ${deleteCount} из ${supaCount} (${percent}%, лимит ${maxDeletePercent}%)`
+      );
+    }
+  }
+
+  if (reasons.length > 0) {
+    logger.warning('🛑 Сработала защита от массового удаления:');
+    reasons.forEach(reason => logger.warning(`   - ${reason}`));
+  } else {
+    logger.debug('Защита от массового удаления: пороги не превышены');
+  }
+
+  return {
+    allowed: reasons.length === 0,
+    reasons
+  };
+}
+
+module.exports = {
+  checkDeleteSafety
+};
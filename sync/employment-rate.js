@@ -0,0 +1,89 @@
+const syncConfig = require('../config/sync-config');
+
+/**
+ * Ставка из WS (rate) → employment_rate и is_hourly профиля (sync-config.employment)
+ *
+ * - rate в employment.fractionRange - доля ставки (0.5 - полставки): employment_rate = rate, is_hourly = false
+ * - rate в employment.hourlyRange - стоимость часа: почасовая оплата, employment_rate по умолчанию
+ * - пустая ставка - значения по умолчанию (defaults), при сверке не сравнивается
+ * - ставка вне диапазонов - не применяется, попадает в "ПРОБЛЕМЫ ДАННЫХ WS"
+ */
+
+/**
+ * Значения по умолчанию (defaults) для нового профиля
+ */
+function getDefaultEmployment() {
+  return {
+    employment_rate: syncConfig.defaults.employmentRate,
+    is_hourly: syncConfig.defaults.isHourly
+  };
+}
+
+/**
+ * В диапазоне { min, max } (границы включительно)
+ */
+function inRange(value, range) {
+  return Boolean(range) && value >= range.min && value <= range.max;
+}
+
+/**
+ * Сопоставить ставку WS
+ * @param {string|number|null} rate - rate из WS ("0.5", "0,5", 12, "")
+ * @returns {Object} { employment: { employment_rate, is_hourly } | null, error: string | null }
+ *   employment = null и error = null - ставка в WS не указана
+ */
+function mapWsRate(rate) {
+  const raw = rate == null ? '' : String(rate).trim().replace(',', '.');
+
+  // 0 - ставка в WS не заполнена
+  if (raw === '' || Number(raw) === 0) {
+    return { employment: null, error: null };
+  }
+
+  const value = Number(raw);
+  const { fractionRange, hourlyRange } = syncConfig.employment;
+
+  if (!Number.isFinite(value)) {
+    return { employment: null, error: `ставка "${rate}" не число` };
+  }
+
+  if (inRange(value, fractionRange)) {
+    return { employment: { employment_rate: value, is_hourly: false }, error: null };
+  }
+
+  if (inRange(value, hourlyRange)) {
+    return {
+      employment: { employment_rate: syncConfig.defaults.employmentRate, is_hourly: true },
+      error: null
+    };
+  }
+
+  return {
+    employment: null,
+    error: `ставка ${value} вне диапазонов ${fractionRange.min}–${fractionRange.max} (доля) ` +
+      `и ${hourlyRange.min}–${hourlyRange.max} (почасовая)`
+  };
+}
+
+/**
+ * Ставка и почасовая оплата для нового профиля: по ставке WS или по умолчанию
+ * @param {string|number|null} rate - rate из WS
+ * @returns {Object} { employment_rate, is_hourly }
+ */
+function resolveEmployment(rate) {
+  return mapWsRate(rate).employment || getDefaultEmployment();
+}
+
+/**
+ * Ставка для логов, CSV и журнала: "0.5, оклад" / "1, почасовая"
+ */
+function describeEmployment(employment) {
+  const rate = employment.employment_rate == null ? '(нет)' : employment.employment_rate;
+  return `${rate}, ${employment.is_hourly ? 'почасовая' : 'оклад'}`;
+}
+
+module.exports = {
+  mapWsRate,
+  resolveEmployment,
+  describeEmployment
+};
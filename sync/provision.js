@@ -0,0 +1,101 @@
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const { getDepartmentSubdivision } = require('../config/department-mapping');
+
+/**
+ * Создание недостающих отделов из маппинга и команд "{Отдел} - Общая"
+ * (sync-config.provision, по умолчанию выключено)
+ *
+ * Вызывается из loadReferenceData: созданные ID сразу попадают в departmentMap / teamMap.
+ * В DRY-RUN ничего не создаётся - элементы возвращаются со статусом 'planned'
+ */
+
+/**
+ * Создать отделы в их подразделениях из маппинга ("Производственные отделы" по умолчанию)
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {Array<string>} departmentNames - Названия отсутствующих отделов
+ * @param {Object} refData - Reference данные (departmentSubdivisionMap, departmentMap)
+ * @returns {Array} [{ type: 'department', name, id, status: 'created' | 'planned' }]
+ * @throws {Error} Если отдел не удалось создать
+ */
+async function provisionDepartments(supabase, departmentNames, refData) {
+  const provisioned = [];
+
+  for (const name of departmentNames) {
+    if (syncConfig.sync.dryRun) {
+      logger.info(`   [DRY-RUN] Создать отдел "${name}" в "${getDepartmentSubdivision(name)}"`);
+      provisioned.push({ type: 'department', name, id: null, status: 'planned' });
+      continue;
+    }
+
+    // Без retry: повтор вставки после сетевой ошибки может создать дубликат
+    const { data, error } = await supabase
+      .from('departments')
+      .insert({
+        department_name: name,
+        subdivision_id: refData.departmentSubdivisionMap[name]
+      })
+      .select('department_id')
+      .single();
+
+    if (error || !data) {
+      throw new Error(`Не удалось создать отдел "${name}": ${error ? error.message : 'пустой ответ'}`);
+    }
+
+    refData.departmentMap[name] = data.department_id;
+    provisioned.push({ type: 'department', name, id: data.department_id, status: 'created' });
+    logger.success(`✅ Создан отдел "${name}" (ID ${data.department_id})`);
+  }
+
+  return provisioned;
+}
+
+/**
+ * Создать команды "{Отдел} - Общая"
+ * Для отделов, которые в DRY-RUN только планируются к созданию, команда тоже только планируется
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {Array<string>} departmentNames - Отделы без команды "- Общая"
+ * @param {Object} refData - Reference данные (departmentMap, teamMap)
+ * @returns {Array} [{ type: 'team', name, id, status: 'created' | 'planned' }]
+ * @throws {Error} Если команду не удалось создать
+ */
+async function provisionTeams(supabase, departmentNames, refData) {
+  const provisioned = [];
+
+  for (const departmentName of departmentNames) {
+    const name = syncConfig.getTeamName(departmentName);
+    const departmentId = refData.departmentMap[departmentName];
+
+    if (syncConfig.sync.dryRun || !departmentId) {
+      logger.info(`   [DRY-RUN] Создать команду "${name}"`);
+      provisioned.push({ type: 'team', name, id: null, status: 'planned' });
+      continue;
+    }
+
+    const { data, error } = await supabase
+      .from('teams')
+      .insert({
+        team_name: name,
+        department_id: departmentId
+      })
+      .select('team_id')
+      .single();
+
+    if (error || !data) {
+      throw new Error(`Не удалось создать команду "${name}": ${error ? error.message : 'пустой ответ'}`);
+    }
+
+    refData.teamMap[name] = data.team_id;
+    provisioned.push({ type: 'team', name, id: data.team_id, status: 'created' });
+    logger.success(`✅ Создана команда "${name}" (ID ${data.team_id})`);
+  }
+
+  return provisioned;
+}
+
+module.exports = {
+  provisionDepartments,
+  provisionTeams
+};
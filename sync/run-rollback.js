@@ -0,0 +1,255 @@
+const { createAdminClient } = require('./sync-helpers');
+const { removeAuthUser } = require('./user-create');
+const { unbanUser, bannedBySync } = require('./user-access');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const runStore = require('../services/run-store');
+const deletedUsers = require('../services/deleted-users');
+const syncLock = require('../services/sync-lock');
+
+/**
+ * Откат запуска синхронизации по журналу
+ *
+ * - deleted: пользователь возвращается в отдел/команду до удаления (from_department_id/from_team_id),
+ *   если он всё ещё в "Удалены" и не обезличен по сроку хранения, блокировка входа снимается
+ * - created (опционально): auth пользователь удаляется тем же путём, что и при откате createUser
+ * - moved/restored/renamed/drifted/roles/leave/reinvited/welcome_email/retention: не откатываются, попадают в отчёт
+ *
+ * @param {string} runId - ID запуска из истории
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Только показать, что будет сделано
+ * @param {boolean} options.deleteCreated - Удалить созданных в запуске auth пользователей
+ * @param {string} options.trigger - Источник запуска для истории: cron | telegram | cli | api
+ * @returns {Object} { runId, dryRun, reverted: Array, failed: Array }
+ * @throws {Error} code = 'SYNC_LOCKED', если уже идёт другой запуск
+ */
+async function rollbackRun(runId, options = {}) {
+  const { trigger = 'cli' } = options;
+
+  // Превью ничего не меняет - блокировка не нужна
+  if (options.dryRun || syncConfig.sync.dryRun) {
+    return runRollback(runId, options);
+  }
+
+  return syncLock.withLock({ trigger, operation: 'rollback' }, () => runRollback(runId, options));
+}
+
+/**
+ * Откат (или превью) по журналу, см. rollbackRun
+ */
+async function runRollback(runId, options) {
+  const { deleteCreated = false, trigger = 'cli' } = options;
+  // Глобальный DRY-RUN всегда сильнее
+  const dryRun = options.dryRun || syncConfig.sync.dryRun;
+
+  const sourceRun = await runStore.getRun(runId);
+  if (!sourceRun) {
+    throw new Error(`Запуск ${runId} не найден в истории`);
+  }
+
+  if (sourceRun.mode === 'dry-run') {
+    throw new Error(`Запуск ${runId} выполнялся в DRY-RUN режиме - откатывать нечего`);
+  }
+
+  logger.info(`⏪ ${dryRun ? '[DRY-RUN] ' : ''}Откат запуска ${runId} (${sourceRun.started_at}, ${sourceRun.trigger})`);
+
+  const report = {
+    runId,
+    dryRun,
+    reverted: [],
+    failed: []
+  };
+
+  const journal = dryRun ? null : runStore.startRun({
+    trigger,
+    mode: 'production',
+    meta: { rollbackOf: runId, deleteCreated }
+  });
+
+  const supabase = createAdminClient();
+
+  const deletedItems = sourceRun.items.filter(item => item.action === 'deleted' && item.status === 'moved_to_deleted');
+  const createdItems = sourceRun.items.filter(item => item.action === 'created' && item.status === 'created');
+
+  sourceRun.items
+    .filter(item => ['moved', 'restored', 'renamed', 'drifted', 'leave', 'reinvited', 'welcome_email', 'roles', 'retention'].includes(item.action))
+    .forEach(item => {
+      report.failed.push({
+        email: item.email,
+        action: item.action,
+        reason: {
+          renamed: 'откат смены email не поддерживается',
+          drifted: 'откат изменения полей не поддерживается',
+          roles: 'откат изменения ролей не поддерживается',
+          reinvited: 'отправленное письмо не откатывается',
+          welcome_email: 'отправленное письмо не откатывается',
+          retention: 'удаление и обезличивание по сроку хранения не откатываются'
+        }[item.action] || 'откат перемещений не поддерживается'
+      });
+    });
+
+  // Текущее состояние профилей: откатываем только тех, кто всё ещё там, куда их положил запуск
+  const userIds = deletedItems.map(item => item.user_id).filter(Boolean);
+  const currentProfiles = new Map();
+
+  if (userIds.length > 0) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('user_id, department_id, team_id')
+      .in('user_id', userIds);
+
+    if (error) {
+      throw new Error(`Ошибка загрузки профилей: ${error.message}`);
+    }
+
+    (data || []).forEach(profile => currentProfiles.set(profile.user_id, profile));
+  }
+
+  // Обезличенных по сроку хранения не возвращаем - в отдел попала бы заглушка
+  const retentionRecords = deletedItems.length > 0 ? await deletedUsers.load() : new Map();
+
+  // 1. Soft-delete → обратно в исходный отдел
+  for (const item of deletedItems) {
+    const profile = currentProfiles.get(item.user_id);
+    let reason = null;
+
+    if (!item.user_id || !item.from_department_id || !item.from_team_id) {
+      reason = 'в журнале нет исходного отдела/команды';
+    } else if (!profile) {
+      reason = 'профиль не найден';
+    } else if (String(profile.department_id) !== String(item.to_department_id)) {
+      reason = `пользователь уже не в "${syncConfig.DELETED_DEPARTMENT}"`;
+    } else if (retentionRecords.get(item.user_id)?.anonymized_at) {
+      reason = 'профиль обезличен по сроку хранения';
+    }
+
+    if (reason) {
+      report.failed.push({ email: item.email, action: 'deleted', reason });
+      continue;
+    }
+
+    if (dryRun) {
+      logger.info(`   [DRY-RUN] Вернуть: ${item.email} → "${item.from_department}"`);
+      report.reverted.push({ email: item.email, action: 'deleted', to_department: item.from_department });
+      continue;
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('profiles')
+      .update({
+        department_id: item.from_department_id,
+        team_id: item.from_team_id
+      })
+      .eq('user_id', item.user_id)
+      .eq('department_id', item.to_department_id)
+      .select('user_id');
+
+    // Между проверкой и UPDATE пользователя могли переместить
+    const error = updateError || (updated && updated.length === 0
+      ? { message: `пользователь уже не в "${syncConfig.DELETED_DEPARTMENT}"` }
+      : null);
+
+    const detail = {
+      email: item.email,
+      user_id: item.user_id,
+      from_department: item.to_department,
+      from_department_id: item.to_department_id,
+      from_team_id: item.to_team_id,
+      to_department: item.from_department,
+      to_department_id: item.from_department_id,
+      to_team_id: item.from_team_id
+    };
+
+    if (error) {
+      logger.error(`❌ Не удалось вернуть ${item.email}: ${error.message}`);
+      report.failed.push({ email: item.email, action: 'deleted', reason: error.message });
+      runStore.addItems(journal, 'rollback_delete', [{ ...detail, status: 'error', error: error.message }]);
+    } else {
+      logger.success(`✅ Возвращён: ${item.email} → "${item.from_department}"`);
+
+      await deletedUsers.unmark([item.user_id]).catch(unmarkError => {
+        logger.warning(`⚠️  Дата удаления ${item.email} не убрана: ${unmarkError.message}`);
+      });
+
+      // Снимаем только блокировку, которую поставило это удаление (ручную не трогаем)
+      const access = bannedBySync(item)
+        ? await unbanUser(supabase, item.user_id)
+        : { unbanned: false, error: null };
+      if (access.error) {
+        logger.error(`❌ Не удалось снять блокировку ${item.email}: ${access.error}`);
+        report.failed.push({ email: item.email, action: 'deleted', reason: `блокировка не снята: ${access.error}` });
+      } else if (access.unbanned) {
+        logger.success(`🔓 Блокировка снята: ${item.email}`);
+      }
+
+      report.reverted.push({ email: item.email, action: 'deleted', to_department: item.from_department });
+      runStore.addItems(journal, 'rollback_delete', [{
+        ...detail,
+        status: 'reverted',
+        changes: access.unbanned ? [{ field: 'access', from: 'banned', to: 'active' }] : null
+      }]);
+    }
+  }
+
+  // 2. Созданные пользователи → удалить auth пользователя (только по явному запросу)
+  for (const item of createdItems) {
+    if (!deleteCreated) {
+      report.failed.push({
+        email: item.email,
+        action: 'created',
+        reason: 'удаление созданных не запрошено'
+      });
+      continue;
+    }
+
+    if (!item.user_id) {
+      report.failed.push({ email: item.email, action: 'created', reason: 'в журнале нет user_id' });
+      continue;
+    }
+
+    if (dryRun) {
+      logger.info(`   [DRY-RUN] Удалить созданного: ${item.email} (${item.user_id})`);
+      report.reverted.push({ email: item.email, action: 'created' });
+      continue;
+    }
+
+    const result = await removeAuthUser(supabase, item.user_id);
+    const detail = {
+      email: item.email,
+      user_id: item.user_id,
+      from_department: item.to_department,
+      from_department_id: item.to_department_id,
+      from_team_id: item.to_team_id
+    };
+
+    if (result.success) {
+      report.reverted.push({ email: item.email, action: 'created' });
+      runStore.addItems(journal, 'rollback_create', [{ ...detail, status: 'reverted' }]);
+    } else {
+      report.failed.push({ email: item.email, action: 'created', reason: result.error });
+      runStore.addItems(journal, 'rollback_create', [{ ...detail, status: 'error', error: result.error }]);
+    }
+  }
+
+  if (journal) {
+    await runStore.finishRun(journal, {
+      counts: {
+        reverted: report.reverted.length,
+        failed: report.failed.length,
+        errors: journal.items.filter(item => item.status === 'error').length
+      }
+    });
+    report.rollbackRunId = journal.id;
+  }
+
+  logger.success(
+    `✅ Откат ${runId}${dryRun ? ' (DRY-RUN)' : ''}: ` +
+    `${report.reverted.length} откачено, ${report.failed.length} не откачено`
+  );
+
+  return report;
+}
+
+module.exports = {
+  rollbackRun
+};
@@ -1,9 +1,18 @@
 const { createClient } = require('@supabase/supabase-js');
 const { config } = require('../config/env');
-const { getSupabaseDepartments } = require('../config/department-mapping');
+const {
+  getSupabaseDepartments,
+  getMapping,
+  getDepartmentSubdivision,
+  getSubdivisions
+} = require('../config/department-mapping');
+const { mapPosition, getMappedPositions } = require('../config/position-mapping');
 const syncConfig = require('../config/sync-config');
 const logger = require('../utils/logger');
 const { retry } = require('../utils/retry');
+const wsUserMap = require('../services/ws-user-map');
+const departmentMappingStore = require('../services/department-mapping-store');
+const { provisionDepartments, provisionTeams } = require('./provision');
 
 /**
  * Создание Supabase Admin клиента
@@ -19,21 +28,38 @@ function createAdminClient() {
 
 /**
  * Загрузка всех reference данных из базы
- * - subdivision_id для "Производственное"
+ * - subdivisionMap (подразделения из маппинга отделов: название → id)
+ * - departmentSubdivisionMap (отдел из маппинга → subdivision_id его подразделения)
  * - departmentMap (название → id)
  * - teamMap (название → id)
  * - deletedDepartmentId
  * - deletedTeamId
  * - defaults (position_id, category_id, role_id)
+ * - positionMap / categoryMap (название → id, только из config/position-mapping.js)
+ * - roleMap (все роли: название → id, для маппинга ролей WS)
+ * - provisioned (созданные отделы и команды, если включено provision)
+ * - departmentMapping (маппинг групп WS, по которому загружены отделы)
+ *
+ * Маппинг отделов должен быть загружен заранее (departmentMappingStore.load)
+ *
+ * @param {Object} options
+ * @param {boolean} options.provision - Создать недостающие отделы из маппинга и команды
+ *   "{Отдел} - Общая" вместо ошибки (sync-config.provision)
  */
-async function loadReferenceData() {
+async function loadReferenceData({ provision = false } = {}) {
   const supabase = createAdminClient();
   const refData = {
-    subdivisionId: null,
+    subdivisionMap: {},
+    departmentSubdivisionMap: {},
     departmentMap: {},
     teamMap: {},
     deletedDepartmentId: null,
     deletedTeamId: null,
+    positionMap: {},
+    categoryMap: {},
+    roleMap: {},
+    provisioned: [],
+    departmentMapping: getMapping(),
     defaults: {
       positionId: null,
       categoryId: null,
@@ -43,29 +69,47 @@ async function loadReferenceData() {
 
   logger.debug('Загрузка reference данных из базы');
 
-  // 1. Получить subdivision_id для "Производственное"
-  const { data: subdivision, error: subdivisionError } = await retry(
+  // 1. Получить подразделения отделов из маппинга ("Производственные отделы" нужно всегда -
+  //    в нём создаются пользователи служебных отделов, например нанятые сразу в декрет)
+  const subdivisionNames = [...new Set([syncConfig.PRODUCTION_SUBDIVISION, ...getSubdivisions()])];
+
+  const { data: subdivisions, error: subdivisionError } = await retry(
     () => supabase
       .from('subdivisions')
       .select('subdivision_id, subdivision_name')
-      .eq('subdivision_name', syncConfig.PRODUCTION_SUBDIVISION)
-      .single(),
+      .in('subdivision_name', subdivisionNames),
     {
       maxRetries: 3,
-      operationName: 'Load subdivision'
+      operationName: 'Load subdivisions'
     }
   );
 
-  if (subdivisionError || !subdivision) {
-    throw new Error(`Не найдено подразделение "${syncConfig.PRODUCTION_SUBDIVISION}"`);
+  if (subdivisionError) {
+    throw new Error(`Ошибка загрузки подразделений: ${subdivisionError.message}`);
+  }
+
+  subdivisions.forEach(subdivision => {
+    refData.subdivisionMap[subdivision.subdivision_name] = subdivision.subdivision_id;
+  });
+
+  const missingSubdivisions = subdivisionNames.filter(name => !refData.subdivisionMap[name]);
+  if (missingSubdivisions.length > 0) {
+    throw new Error(`Не найдены подразделения: ${missingSubdivisions.map(name => `"${name}"`).join(', ')}`);
   }
 
-  refData.subdivisionId = subdivision.subdivision_id;
-  logger.debug(`Подразделение "${syncConfig.PRODUCTION_SUBDIVISION}": ID ${refData.subdivisionId}`);
+  logger.debug(`Подразделения: ${subdivisions.map(sub => `"${sub.subdivision_name}" (ID ${sub.subdivision_id})`).join(', ')}`);
+
+  // 2. Загрузить только нужные отделы (из маппинга + "Удалены" + "Декрет", если декрет включён в режиме 'department')
+  const mappedDepartments = getSupabaseDepartments();
+  mappedDepartments.forEach(deptName => {
+    refData.departmentSubdivisionMap[deptName] = refData.subdivisionMap[getDepartmentSubdivision(deptName)];
+  });
 
-  // 2. Загрузить только нужные отделы (16 производственных + "Удалены")
-  const productionDepartments = getSupabaseDepartments();
-  const neededDepartments = [...productionDepartments, syncConfig.DELETED_DEPARTMENT];
+  const leaveDepartmentMode = syncConfig.maternity.enabled && syncConfig.maternity.mode === 'department';
+  const serviceDepartments = leaveDepartmentMode
+    ? [syncConfig.DELETED_DEPARTMENT, syncConfig.maternity.department]
+    : [syncConfig.DELETED_DEPARTMENT];
+  const neededDepartments = [...mappedDepartments, ...serviceDepartments];
 
   const { data: departments, error: departmentsError } = await retry(
     () => supabase
@@ -82,30 +126,45 @@ async function loadReferenceData() {
     throw new Error(`Ошибка загрузки отделов: ${departmentsError.message}`);
   }
 
-  // Проверяем, что subdivision_id правильный для производственных отделов
+  // Проверяем, что subdivision_id отделов совпадает с подразделением из маппинга
   const wrongSubdivision = departments.filter(dept =>
-    dept.department_name !== syncConfig.DELETED_DEPARTMENT &&
-    dept.subdivision_id !== refData.subdivisionId
+    !serviceDepartments.includes(dept.department_name) &&
+    dept.subdivision_id !== refData.departmentSubdivisionMap[dept.department_name]
   );
 
   if (wrongSubdivision.length > 0) {
-    const wrongDepts = wrongSubdivision.map(d => d.department_name).join(', ');
-    throw new Error(
-      `Отделы имеют неправильный subdivision_id (ожидается ${refData.subdivisionId}): ${wrongDepts}`
-    );
+    const wrongDepts = wrongSubdivision
+      .map(d => `${d.department_name} (ожидается "${getDepartmentSubdivision(d.department_name)}")`)
+      .join(', ');
+    throw new Error(`Отделы имеют неправильный subdivision_id: ${wrongDepts}`);
   }
 
   departments.forEach(dept => {
     refData.departmentMap[dept.department_name] = dept.department_id;
   });
 
-  logger.debug(`Загружено отделов: ${departments.length} (16 производственных + "Удалены")`);
+  logger.debug(`Загружено отделов: ${departments.length} (из маппинга + ${serviceDepartments.join(', ')})`);
 
-  // 3. Проверить наличие всех нужных отделов
-  const missingDepartments = neededDepartments.filter(
+  // 3. Проверить наличие всех нужных отделов (из маппинга - создать, если включено provision)
+  let missingDepartments = neededDepartments.filter(
     deptName => !refData.departmentMap[deptName]
   );
 
+  const departmentsToProvision = provision
+    ? missingDepartments.filter(deptName => mappedDepartments.includes(deptName))
+    : [];
+
+  if (departmentsToProvision.length > 0) {
+    logger.warning(`⚠️  Отсутствуют отделы: ${departmentsToProvision.join(', ')} - создаю (provision)`);
+    refData.provisioned.push(...await provisionDepartments(supabase, departmentsToProvision, refData));
+
+    // В DRY-RUN отделы только запланированы - не считаем их отсутствующими
+    missingDepartments = missingDepartments.filter(deptName => !departmentsToProvision.includes(deptName));
+  }
+
+  // Отделы из маппинга - с указанием групп WS, которые на них ссылаются
+  departmentMappingStore.validate(refData);
+
   if (missingDepartments.length > 0) {
     throw new Error(`Не найдены отделы в базе: ${missingDepartments.join(', ')}`);
   }
@@ -137,8 +196,8 @@ async function loadReferenceData() {
 
   logger.debug(`Загружено команд: ${teams.length} (только для нужных отделов)`);
 
-  // 6. Проверить существование команд "{Отдел} - Общая" для всех 16 отделов
-  await ensureTeamsExist(productionDepartments, refData);
+  // 6. Проверить существование команд "{Отдел} - Общая" для всех отделов из маппинга
+  await ensureTeamsExist(supabase, mappedDepartments, refData, provision);
 
   // 7. Проверить наличие команды "Удалены - Общая"
   const deletedTeamName = syncConfig.getTeamName(syncConfig.DELETED_DEPARTMENT);
@@ -149,9 +208,23 @@ async function loadReferenceData() {
   refData.deletedTeamId = refData.teamMap[deletedTeamName];
   logger.debug(`Команда "${deletedTeamName}": ID ${refData.deletedTeamId}`);
 
+  // Команда для декрета (декрет включён, режим 'department')
+  if (leaveDepartmentMode) {
+    const leaveTeamName = syncConfig.getTeamName(syncConfig.maternity.department);
+    if (!refData.teamMap[leaveTeamName]) {
+      throw new Error(`Не найдена команда "${leaveTeamName}" (sync-config.maternity)`);
+    }
+  }
+
   // 8. Загрузить defaults (position, category, role)
   await loadDefaultValues(supabase, refData);
 
+  // 9. Загрузить должности и категории из маппинга title → position
+  await loadMappedPositions(supabase, refData);
+
+  // 10. Загрузить роли (маппинг роль WS → роли eneca.work)
+  await loadRoles(supabase, refData);
+
   logger.success('Reference данные загружены успешно');
 
   return refData;
@@ -159,27 +232,31 @@ async function loadReferenceData() {
 
 /**
  * Проверить существование команд "{Отдел} - Общая" (с учетом исключений)
+ * С provision недостающие команды создаются
  */
-async function ensureTeamsExist(productionDepartments, refData) {
-  const missingTeams = [];
-
-  for (const deptName of productionDepartments) {
-    const teamName = syncConfig.getTeamName(deptName);
+async function ensureTeamsExist(supabase, mappedDepartments, refData, provision) {
+  const departmentsWithoutTeam = mappedDepartments.filter(
+    deptName => !refData.teamMap[syncConfig.getTeamName(deptName)]
+  );
 
-    if (!refData.teamMap[teamName]) {
-      missingTeams.push(teamName);
-    }
+  if (provision && departmentsWithoutTeam.length > 0) {
+    logger.warning(`⚠️  Отсутствуют команды для отделов: ${departmentsWithoutTeam.join(', ')} - создаю (provision)`);
+    refData.provisioned.push(...await provisionTeams(supabase, departmentsWithoutTeam, refData));
+    return;
   }
 
+  const missingTeams = departmentsWithoutTeam.map(deptName => syncConfig.getTeamName(deptName));
+
   if (missingTeams.length > 0) {
     const teamsList = missingTeams.map(t => `"${t}"`).join(', ');
     throw new Error(
       `Не найдены команды в базе данных (${missingTeams.length}): ${teamsList}\n\n` +
-      `Пожалуйста, создайте эти команды вручную в таблице teams с правильными department_id.`
+      `Пожалуйста, создайте эти команды вручную в таблице teams с правильными department_id ` +
+      `или включите provision.enabled в config/sync-config.js.`
     );
   }
 
-  logger.debug(`Все команды "{Отдел} - Общая" существуют (16 команд)`);
+  logger.debug(`Все команды "{Отдел} - Общая" существуют (${mappedDepartments.length} команд)`);
 }
 
 /**
@@ -247,7 +324,150 @@ async function loadDefaultValues(supabase, refData) {
   logger.debug(`Роль по умолчанию: ID ${refData.defaults.roleId}`);
 }
 
+/**
+ * Загрузить все роли - нужны и роли из sync-config.roles, и выданные синхронизацией раньше
+ * (роль могли убрать из маппинга - её всё равно нужно снять)
+ */
+async function loadRoles(supabase, refData) {
+  const { data, error } = await retry(
+    () => supabase
+      .from('roles')
+      .select('id, name'),
+    {
+      maxRetries: 3,
+      operationName: 'Load roles'
+    }
+  );
+
+  if (error) {
+    throw new Error(`Ошибка загрузки ролей: ${error.message}`);
+  }
+
+  (data || []).forEach(role => {
+    refData.roleMap[role.name] = role.id;
+  });
+
+  const mappedRoles = [...new Set(Object.values(syncConfig.roles.mapping).flat())];
+  const missingRoles = mappedRoles.filter(role => !refData.roleMap[role]);
+
+  if (missingRoles.length > 0) {
+    throw new Error(`Не найдены роли из sync-config.roles: ${missingRoles.map(r => `"${r}"`).join(', ')}`);
+  }
+
+  logger.debug(`Роли: ${Object.keys(refData.roleMap).length} (из маппинга ролей WS: ${mappedRoles.length})`);
+}
+
+/**
+ * Загрузить должности и категории, на которые ссылается config/position-mapping.js
+ */
+async function loadMappedPositions(supabase, refData) {
+  const { positions, categories } = getMappedPositions();
+
+  if (positions.length > 0) {
+    const { data, error } = await retry(
+      () => supabase
+        .from('positions')
+        .select('position_id, position_name')
+        .in('position_name', positions),
+      {
+        maxRetries: 3,
+        operationName: 'Load mapped positions'
+      }
+    );
+
+    if (error) {
+      throw new Error(`Ошибка загрузки должностей: ${error.message}`);
+    }
+
+    data.forEach(position => {
+      refData.positionMap[position.position_name] = position.position_id;
+    });
+
+    const missing = positions.filter(name => !refData.positionMap[name]);
+    if (missing.length > 0) {
+      throw new Error(`Не найдены должности из маппинга в базе: ${missing.join(', ')}`);
+    }
+  }
+
+  if (categories.length > 0) {
+    const { data, error } = await retry(
+      () => supabase
+        .from('categories')
+        .select('category_id, category_name')
+        .in('category_name', categories),
+      {
+        maxRetries: 3,
+        operationName: 'Load mapped categories'
+      }
+    );
+
+    if (error) {
+      throw new Error(`Ошибка загрузки категорий: ${error.message}`);
+    }
+
+    data.forEach(category => {
+      refData.categoryMap[category.category_name] = category.category_id;
+    });
+
+    const missing = categories.filter(name => !refData.categoryMap[name]);
+    if (missing.length > 0) {
+      throw new Error(`Не найдены категории из маппинга в базе: ${missing.join(', ')}`);
+    }
+  }
+
+  logger.debug(`Должностей в маппинге: ${positions.length}, категорий: ${categories.length}`);
+}
+
+/**
+ * Определить должность и категорию нового пользователя по WS title
+ * @param {string} title - Title из WS
+ * @param {Object} refData - Reference данные
+ * @returns {Object} { positionId, categoryId, positionName, matched }
+ */
+function resolvePosition(title, refData) {
+  const rule = mapPosition(title);
+
+  if (!rule) {
+    return {
+      positionId: refData.defaults.positionId,
+      categoryId: refData.defaults.categoryId,
+      positionName: syncConfig.defaults.positionName,
+      matched: false
+    };
+  }
+
+  return {
+    positionId: refData.positionMap[rule.position],
+    categoryId: rule.category ? refData.categoryMap[rule.category] : refData.defaults.categoryId,
+    positionName: rule.position,
+    matched: true
+  };
+}
+
+/**
+ * Запомнить связи WS id ↔ user_id после сравнения, создания и смены email
+ * В DRY-RUN ничего не пишется. Ошибка сохранения связей не ломает синхронизацию
+ *
+ * @param {Array} entries - [{ ws_user_id, user_id, email }]
+ */
+async function saveWsUserIds(entries) {
+  const valid = entries.filter(entry => entry.ws_user_id && entry.user_id);
+
+  if (syncConfig.sync.dryRun || valid.length === 0) {
+    return;
+  }
+
+  try {
+    await wsUserMap.save(valid);
+    logger.info(`🔗 Сохранено связей WS id ↔ user_id: ${valid.length}`);
+  } catch (error) {
+    logger.warning(`⚠️  Не удалось сохранить связи WS id ↔ user_id: ${error.message}`);
+  }
+}
+
 module.exports = {
   createAdminClient,
-  loadReferenceData
+  loadReferenceData,
+  resolvePosition,
+  saveWsUserIds
 };
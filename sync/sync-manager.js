@@ -1,12 +1,26 @@
-const { loadReferenceData } = require('./sync-helpers');
+const { loadReferenceData, resolvePosition, saveWsUserIds } = require('./sync-helpers');
 const { createUsers } = require('./user-create');
-const { softDeleteUsers } = require('./user-delete');
+const { renameUsers } = require('./user-rename');
+const { softDeleteUsers, restoreUsers } = require('./user-delete');
+const { isUpdateAllowed, moveUsers } = require('./user-update');
+const { applyFieldDrift, getDriftPolicy } = require('./user-drift');
+const { applyLeaveTransitions } = require('./user-leave');
+const { findNeverLoggedIn, reinviteUsers } = require('./credentials');
+const { sendWelcomeEmails } = require('./welcome-email');
+const { reconcileRoles } = require('./user-roles');
+const { describeAccess } = require('./user-access');
+const { checkDeleteSafety } = require('./delete-guard');
+const { normalizeScope, describeScope, applyScope } = require('./sync-scope');
+const { saveGroupState } = require('./unmapped-groups');
 const { compareUsers } = require('../scripts/compare-users');
 const syncConfig = require('../config/sync-config');
 const logger = require('../utils/logger');
 const telegram = require('../services/telegram');
 const worksectionService = require('../services/worksection');
 const supabaseService = require('../services/supabase');
+const runStore = require('../services/run-store');
+const syncLock = require('../services/sync-lock');
+const departmentMappingStore = require('../services/department-mapping-store');
 
 /**
  * Получает количество записей в БД
@@ -41,15 +55,46 @@ function calculateDelta(before, after) {
  *
  * Процесс:
  * 1. Загрузка reference данных (subdivisions, departments, teams, defaults)
- * 2. Сравнение пользователей WS vs Supabase
- * 3. CREATE - создание новых пользователей
- * 4. UPDATE - ТОЛЬКО логирование расхождений (не меняем данные!)
- * 5. DELETE - мягкое удаление (перемещение в "Удалены")
- * 6. Генерация финального отчета
+ * 2. Сравнение пользователей WS vs Supabase (по WS id, затем по email)
+ * 3. RENAME - смена email у пользователей, сопоставленных по WS id
+ * 4. CREATE - создание новых пользователей
+ * 5. UPDATE - перемещение в отдел из WS (только отделы из allowlist), остальное - логирование
+ * 6. LEAVE - уход в декрет и возвращение (sync-config.maternity)
+ * 7. DRIFT - имя, фамилия, должность, ставка по политике sync-config.drift
+ * 8. RESTORE - возврат из "Удалены" пользователей, снова активных в WS
+ * 9. DELETE - мягкое удаление (перемещение в "Удалены"), если не сработала защита
+ * 10. Генерация финального отчета
  *
- * @param {boolean} sendNotifications - Отправлять ли уведомления в Telegram
+ * @param {Object|boolean} options - Опции запуска (boolean - старая сигнатура sendNotifications)
+ * @param {boolean} options.sendNotifications - Отправлять ли уведомления в Telegram
+ * @param {boolean} options.forceDelete - Разовый обход защиты от массового удаления
+ * @param {string} options.trigger - Источник запуска для истории: cron | telegram | cli | api
+ * @param {Array<string>} options.emails - Синхронизировать только этих пользователей
+ * @param {Array<string>} options.departments - Синхронизировать только эти отделы (Supabase названия)
+ * @throws {Error} code = 'SYNC_LOCKED', если уже идёт другой запуск
  */
-async function syncUsers(sendNotifications = false) {
+async function syncUsers(options = {}) {
+  if (typeof options === 'boolean') {
+    options = { sendNotifications: options };
+  }
+
+  const { trigger = 'cli' } = options;
+
+  // Маппинг отделов перечитывается перед каждым запуском (правки без перезапуска сервиса)
+  await departmentMappingStore.load();
+
+  // Ошибку в области (неизвестный отдел) показываем до блокировки
+  const scope = normalizeScope(options);
+
+  // Параллельные запуски делят progressTracker и буфер логгера
+  return syncLock.withLock({ trigger, operation: 'sync' }, () => runSync({ ...options, scope }));
+}
+
+/**
+ * Синхронизация под блокировкой (см. syncUsers)
+ */
+async function runSync(options) {
+  const { sendNotifications = false, forceDelete = false, trigger = 'cli', scope = null } = options;
   const startTime = new Date();
   let countBefore = null;
   let countAfter = null;
@@ -64,27 +109,73 @@ async function syncUsers(sendNotifications = false) {
     console.log('⚡ РЕЖИМ: PRODUCTION (изменения БУДУТ применены)');
   }
 
+  if (scope) {
+    console.log(`🎯 ОБЛАСТЬ: ${describeScope(scope)}`);
+  }
+
   console.log('-'.repeat(80));
 
+  const run = runStore.startRun({
+    trigger,
+    mode: syncConfig.sync.dryRun ? 'dry-run' : 'production',
+    meta: {
+      forceDelete,
+      scope: scope ? { emails: [...scope.emails], departments: [...scope.departments] } : null
+    }
+  });
+
   const finalStats = {
+    runId: run.id,
+    scope: scope ? describeScope(scope) : null,
     duration: 0,
     users: {
       created: 0,
+      renamed: 0,
+      drifted: 0, // Обновлено полей (имя, фамилия, должность, ставка) по политике drift
+      rolesChanged: 0, // Изменены роли по роли WS (sync-config.roles)
       deleted: 0,
-      updated: 0, // Только логирование
+      updated: 0, // Всего расхождений в отделах
+      moved: 0,   // Из них перемещено (UPDATE по allowlist)
+      toLeave: 0,   // Ушли в декрет
+      fromLeave: 0, // Вернулись из декрета
+      restored: 0,
+      reinvited: 0, // Повторные письма для входа не входившим в систему
+      welcomed: 0,  // Приветственные письма созданным
       unchanged: 0,
       errors: 0
     },
     details: {
       created: [],
+      renamed: [],
+      drifted: [],
+      roles: [],
       deleted: [],
       updated: [], // Только для логов
+      moved: [],
+      leave: [],
+      restored: [],
+      reinvited: [],
       errors: []
     },
     // Детализированная статистика для Telegram CSV
     deletedUsers: [],      // Кто перенесён в "Удалённые"
     createdUsers: [],      // Кто добавлен и в какой отдел
-    departmentMismatches: [] // У кого не совпадает отдел
+    restoredUsers: [],     // Кто возвращён из "Удалённых"
+    renamedUsers: [],      // У кого сменился email
+    fieldDifferences: [],  // Расхождения имени, фамилии, должности (по полю)
+    roleChanges: [],       // Роли по роли WS: выданные и снятые (в DRY-RUN - планируемые)
+    deleteBlocked: null,   // Причины блокировки DELETE защитой от массового удаления
+    provisioned: [],       // Созданные (или запланированные в DRY-RUN) отделы и команды
+    departmentMismatches: [], // У кого не совпадает отдел (и перемещён ли)
+    leaveTransitions: [],     // Уход в декрет и возвращение
+    neverLoggedIn: [],        // Ни разу не входили в систему (credentials.reinvite)
+    passwordsFile: null,      // Файл с паролями новых пользователей (credentials.strategy = 'random')
+    welcomeEmails: [],        // Статус приветственных писем (sync-config.welcome)
+    unmappedGroups: [],       // Группы WS без маппинга (с предложением отдела)
+    vanishedGroups: [],       // Группы WS, пропавшие с прошлого запуска
+    wsDataProblems: [],       // Проблемы данных WS (sync-config.dataQuality)
+    quarantined: [],          // Пользователи WS в карантине - не создаются и не меняются
+    excluded: []              // Аккаунты вне синхронизации (sync-config.accounts)
   };
 
   try {
@@ -93,29 +184,77 @@ async function syncUsers(sendNotifications = false) {
       logger.clearLogs(); // Очищаем старые логи перед новой синхронизацией
       countBefore = await getDbCounts();
       const wsUsers = await worksectionService.getUsers();
-      await telegram.sendSyncStarted(wsUsers.length, countBefore);
+      await telegram.sendSyncStarted(wsUsers.length, countBefore, finalStats.scope);
     }
 
     // ШАГ 1: Загрузка reference данных
-    console.log('\n📥 ШАГ 1/5: Загрузка reference данных из базы...\n');
-    const refData = await loadReferenceData();
+    console.log('\n📥 ШАГ 1/9: Загрузка reference данных из базы...\n');
+    const refData = await loadReferenceData({ provision: syncConfig.provision.enabled });
+    finalStats.provisioned = refData.provisioned;
+    run.meta.provisioned = refData.provisioned;
 
     // ШАГ 2: Сравнение пользователей
-    console.log('\n🔍 ШАГ 2/5: Сравнение пользователей WS vs Supabase...\n');
-    const compareStats = await compareUsers();
+    console.log('\n🔍 ШАГ 2/9: Сравнение пользователей WS vs Supabase...\n');
+    const compareStats = applyScope(await compareUsers(), scope);
 
     // Сохраняем статистику по отделам для отчета
     finalStats.departmentStats = compareStats.by_department;
+    finalStats.unmatchedTitles = compareStats.unmatched_titles;
+    finalStats.suspiciousNames = compareStats.suspicious_names;
+    finalStats.unmappedGroups = compareStats.unmapped_groups;
+    finalStats.vanishedGroups = compareStats.vanished_groups;
+    finalStats.wsDataProblems = compareStats.ws_data_problems;
+    finalStats.quarantined = compareStats.quarantined;
+    finalStats.excluded = compareStats.excluded;
+
+    // Новые связи WS id ↔ user_id (сопоставлены по email)
+    await saveWsUserIds(compareStats.ws_map_updates);
+
+    // ШАГ 3: RENAME - смена email у пользователей, сопоставленных по WS id
+    console.log('\n✉️  ШАГ 3/9: Смена email (сопоставление по WS id)...\n');
+
+    const emailChanges = compareStats.email_changes;
+
+    if (emailChanges.length > 0) {
+      const renameResult = await renameUsers(emailChanges);
+      finalStats.users.renamed = renameResult.renamed;
+      finalStats.users.errors += renameResult.errors;
+      finalStats.details.renamed = renameResult.details;
+      runStore.addItems(run, 'renamed', renameResult.details);
+
+      const renamedDetails = renameResult.details.filter(d => d.status === 'renamed');
+      await saveWsUserIds(renamedDetails);
+
+      const renamedEmails = renamedDetails.map(d => d.email);
+      emailChanges.forEach(change => {
+        let status = renamedEmails.includes(change.email) ? 'изменён' : 'ошибка';
+        if (change.conflict_user_id) {
+          status = 'конфликт: email занят';
+        } else if (syncConfig.sync.dryRun) {
+          status = 'планируется (DRY-RUN)';
+        }
 
-    // ШАГ 3: CREATE - создание новых пользователей
-    console.log('\n📝 ШАГ 3/5: Создание новых пользователей...\n');
+        finalStats.renamedUsers.push({
+          oldEmail: change.old_email,
+          email: change.email,
+          name: change.name,
+          department: change.department || 'N/A',
+          status
+        });
+      });
+    } else {
+      logger.info('✅ Нет пользователей со сменой email');
+    }
 
-    // Фильтруем пользователей из отдела "Декрет" - они только для статистики
-    const usersToCreate = compareStats.missing_in_supabase.filter(user => user.department !== 'Декрет');
+    // ШАГ 4: CREATE - создание новых пользователей
+    console.log('\n📝 ШАГ 4/9: Создание новых пользователей...\n');
+
+    // Сотрудники, уже находящиеся в декрете, создаются, если переходы декрета включены
+    const usersToCreate = compareStats.missing_in_supabase.filter(user => syncConfig.maternity.enabled || !user.on_leave);
     const dekretUsersSkippedCreate = compareStats.missing_in_supabase.length - usersToCreate.length;
 
     if (dekretUsersSkippedCreate > 0) {
-      logger.info(`ℹ️  Пропущено пользователей из отдела "Декрет": ${dekretUsersSkippedCreate} (только статистика)`);
+      logger.info(`ℹ️  Пропущено сотрудников в декрете: ${dekretUsersSkippedCreate} (maternity.enabled = false)`);
     }
 
     if (usersToCreate.length > 0) {
@@ -123,6 +262,14 @@ async function syncUsers(sendNotifications = false) {
       finalStats.users.created = createResult.created;
       finalStats.users.errors += createResult.errors;
       finalStats.details.created = createResult.details;
+      finalStats.passwordsFile = createResult.passwordsFile;
+      runStore.addItems(run, 'created', createResult.details);
+
+      await saveWsUserIds(
+        createResult.details
+          .filter(d => d.status === 'created')
+          .map(d => ({ ws_user_id: d.ws_user_id, user_id: d.userId, email: d.email }))
+      );
 
       // Собираем детализированную статистику для Telegram
       if (syncConfig.sync.dryRun) {
@@ -130,38 +277,48 @@ async function syncUsers(sendNotifications = false) {
         usersToCreate.forEach(user => {
           finalStats.createdUsers.push({
             email: user.email,
+            user_id: null,
             first_name: user.first_name,
             last_name: user.last_name,
             department: user.department || 'N/A',
             wsGroup: user.ws_group || 'N/A',
-            wsTitle: user.ws_title || 'N/A'
+            wsTitle: user.ws_title || 'N/A',
+            position: resolvePosition(user.ws_title, refData).positionName
           });
         });
       } else {
-        // В обычном режиме показываем только успешно созданных
-        const createdEmails = createResult.details
-          .filter(d => d.status === 'created')
-          .map(d => d.email);
+        // В обычном режиме показываем только успешно созданных (user_id - для журнала писем)
+        const createdIds = new Map(
+          createResult.details.filter(d => d.status === 'created').map(d => [d.email, d.userId])
+        );
 
         usersToCreate
-          .filter(user => createdEmails.includes(user.email))
+          .filter(user => createdIds.has(user.email))
           .forEach(user => {
             finalStats.createdUsers.push({
               email: user.email,
+              user_id: createdIds.get(user.email),
               first_name: user.first_name,
               last_name: user.last_name,
               department: user.department || 'N/A',
               wsGroup: user.ws_group || 'N/A',
-              wsTitle: user.ws_title || 'N/A'
+              wsTitle: user.ws_title || 'N/A',
+              position: resolvePosition(user.ws_title, refData).positionName
             });
           });
       }
+
+      // Приветственные письма созданным (в DRY-RUN - только лог)
+      const welcomeResult = await sendWelcomeEmails(finalStats.createdUsers);
+      finalStats.users.welcomed = welcomeResult.sent;
+      finalStats.welcomeEmails = welcomeResult.details;
+      runStore.addItems(run, 'welcome_email', welcomeResult.details);
     } else {
       logger.info('✅ Нет пользователей для создания');
     }
 
-    // ШАГ 4: UPDATE - ТОЛЬКО логирование расхождений
-    console.log('\n🔄 ШАГ 4/5: Проверка расхождений в отделах (UPDATE)...\n');
+    // ШАГ 5: UPDATE - перемещение по allowlist, остальное только логирование
+    console.log('\n🔄 ШАГ 5/9: Проверка расхождений в отделах (UPDATE)...\n');
 
     let totalDifferences = 0;
     for (const dept in compareStats.by_department) {
@@ -171,10 +328,17 @@ async function syncUsers(sendNotifications = false) {
 
     if (totalDifferences > 0) {
       logger.warning(`⚠️  ОБНАРУЖЕНО РАСХОЖДЕНИЙ В ОТДЕЛАХ: ${totalDifferences}`);
-      logger.warning('⚠️  UPDATE операции НЕ выполняются - только логирование!');
+
+      if (syncConfig.update.departments.length > 0) {
+        logger.info(`ℹ️  UPDATE разрешён для отделов: ${syncConfig.update.departments.join(', ')}`);
+      } else {
+        logger.warning('⚠️  UPDATE операции НЕ выполняются - только логирование!');
+      }
 
       console.log('\n📋 Детали расхождений:\n');
 
+      const usersToMove = [];
+
       for (const dept in compareStats.by_department) {
         const deptStats = compareStats.by_department[dept];
 
@@ -195,60 +359,267 @@ async function syncUsers(sendNotifications = false) {
               ws_title: user.ws_title
             });
 
-            // Собираем статистику для Telegram CSV
-            const nameParts = user.name.split(' ');
-            finalStats.departmentMismatches.push({
-              email: user.email,
-              first_name: nameParts[0] || '',
-              last_name: nameParts.slice(1).join(' ') || '',
-              wsDepartment: user.ws_expected,
-              supabaseDepartment: user.supa_actual,
-              wsTitle: user.ws_title || 'N/A'
-            });
+            if (isUpdateAllowed(user.ws_expected)) {
+              usersToMove.push(user);
+            }
           });
         }
       }
 
+      let movedEmails = [];
+      if (usersToMove.length > 0) {
+        const moveResult = await moveUsers(usersToMove, refData);
+        finalStats.users.moved = moveResult.moved;
+        finalStats.users.errors += moveResult.errors;
+        finalStats.details.moved = moveResult.details;
+        runStore.addItems(run, 'moved', moveResult.details);
+
+        movedEmails = moveResult.details
+          .filter(d => d.status === 'moved')
+          .map(d => d.email);
+      }
+
+      // Собираем статистику для Telegram CSV
+      for (const dept in compareStats.by_department) {
+        compareStats.by_department[dept].department_differences.forEach(user => {
+          let status = 'расхождение';
+          if (usersToMove.includes(user)) {
+            if (syncConfig.sync.dryRun) {
+              status = 'перемещён (DRY-RUN)';
+            } else {
+              status = movedEmails.includes(user.email) ? 'перемещён' : 'ошибка перемещения';
+            }
+          }
+
+          finalStats.departmentMismatches.push({
+            email: user.email,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            wsDepartment: user.ws_expected,
+            supabaseDepartment: user.supa_actual,
+            wsTitle: user.ws_title || 'N/A',
+            status
+          });
+        });
+      }
+
       finalStats.users.updated = totalDifferences;
     } else {
       logger.success('✅ Расхождений в отделах не обнаружено');
     }
 
-    // ШАГ 5: DELETE - мягкое удаление
-    console.log('\n🗑️  ШАГ 5/5: Мягкое удаление пользователей (перемещение в "Удалены")...\n');
+    // ШАГ 6: LEAVE - уход в декрет и возвращение
+    console.log('\n🍼 ШАГ 6/9: Декрет (уход и возвращение)...\n');
 
-    // Фильтруем пользователей из отдела "Декрет" - они только для статистики
-    const usersToDelete = compareStats.deleted_from_ws.filter(user => user.departmentName !== 'Декрет');
+    const leaveTransitions = compareStats.leave_transitions;
+
+    if (leaveTransitions.length === 0) {
+      logger.info('✅ Нет переходов в декрет или из декрета');
+    } else {
+      let leaveStatus = new Map();
+
+      if (!syncConfig.maternity.enabled) {
+        logger.warning(`⚠️  Переходов декрета: ${leaveTransitions.length}, применение выключено (maternity.enabled = false)`);
+      } else {
+        const leaveResult = await applyLeaveTransitions(leaveTransitions, refData);
+        finalStats.users.toLeave = leaveResult.toLeave;
+        finalStats.users.fromLeave = leaveResult.fromLeave;
+        finalStats.users.errors += leaveResult.errors;
+        finalStats.details.leave = leaveResult.details;
+        runStore.addItems(run, 'leave', leaveResult.details);
+
+        leaveStatus = new Map(leaveResult.details.map(d => [d.email, d.status]));
+      }
+
+      leaveTransitions.forEach(user => {
+        let status = 'только отчёт';
+        if (syncConfig.maternity.enabled) {
+          if (syncConfig.sync.dryRun) {
+            status = 'планируется (DRY-RUN)';
+          } else {
+            status = leaveStatus.get(user.email) === user.direction ? 'выполнен' : 'ошибка';
+          }
+        }
+
+        finalStats.leaveTransitions.push({
+          email: user.email,
+          first_name: user.first_name,
+          last_name: user.last_name,
+          direction: user.direction,
+          fromDepartment: user.supa_actual || 'N/A',
+          toDepartment: user.ws_expected || 'N/A',
+          status
+        });
+      });
+    }
+
+    // ШАГ 7: DRIFT - имя, фамилия, должность, ставка
+    console.log('\n📝 ШАГ 7/9: Синхронизация полей (имя, фамилия, должность, ставка) и ролей...\n');
+
+    // Поля с политикой 'supabase' не показываем - расхождение там ожидаемо
+    const fieldDifferences = compareStats.field_differences
+      .map(user => ({ ...user, fields: user.fields.filter(f => getDriftPolicy(f.field) !== 'supabase') }))
+      .filter(user => user.fields.length > 0);
+
+    if (fieldDifferences.length > 0) {
+      logger.warning(`⚠️  Пользователей с расхождениями в полях: ${fieldDifferences.length}`);
+
+      const driftResult = await applyFieldDrift(fieldDifferences, refData);
+      finalStats.users.drifted = driftResult.updated;
+      finalStats.users.errors += driftResult.errors;
+      finalStats.details.drifted = driftResult.details;
+      runStore.addItems(run, 'drifted', driftResult.details);
+
+      const driftStatus = new Map(driftResult.details.map(d => [d.email, d.status]));
+
+      fieldDifferences.forEach(user => {
+        user.fields.forEach(f => {
+          let status = 'только отчёт';
+          if (getDriftPolicy(f.field) === 'ws') {
+            if (syncConfig.sync.dryRun) {
+              status = 'обновится (DRY-RUN)';
+            } else {
+              status = driftStatus.get(user.email) === 'updated' ? 'обновлено' : 'ошибка';
+            }
+          }
+
+          finalStats.fieldDifferences.push({
+            email: user.email,
+            name: user.name,
+            field: f.field,
+            ws: f.ws,
+            supabase: f.supabase,
+            status
+          });
+        });
+      });
+    } else {
+      logger.success('✅ Расхождений в полях не обнаружено');
+    }
+
+    // Роли по роли WS - выданные вручную не трогаются
+    if (syncConfig.roles.reconcile) {
+      try {
+        const rolesResult = await reconcileRoles(compareStats.ws_roles, refData);
+        finalStats.users.rolesChanged = rolesResult.updated;
+        finalStats.users.errors += rolesResult.errors;
+        finalStats.details.roles = rolesResult.details;
+        finalStats.roleChanges = rolesResult.changes;
+        runStore.addItems(run, 'roles', rolesResult.details);
+      } catch (error) {
+        logger.warning(`⚠️  Не удалось сверить роли: ${error.message}`);
+        finalStats.users.errors++;
+      }
+    }
+
+    // ШАГ 8: RESTORE - возврат из "Удалены"
+    console.log('\n♻️  ШАГ 8/9: Восстановление вернувшихся в WS пользователей...\n');
+
+    const usersToRestore = compareStats.restored_in_ws;
+
+    if (usersToRestore.length === 0) {
+      logger.info('✅ Нет пользователей для восстановления');
+    } else if (!syncConfig.restore.enabled) {
+      logger.warning(`⚠️  Вернулись в WS: ${usersToRestore.length}, восстановление выключено (restore.enabled = false)`);
+    } else {
+      const restoreResult = await restoreUsers(usersToRestore, refData);
+      finalStats.users.restored = restoreResult.restored;
+      finalStats.users.errors += restoreResult.errors;
+      finalStats.details.restored = restoreResult.details;
+      runStore.addItems(run, 'restored', restoreResult.details);
+
+      const restoredEmails = restoreResult.details
+        .filter(d => d.status === 'restored')
+        .map(d => d.email);
+
+      usersToRestore
+        .filter(user => syncConfig.sync.dryRun || restoredEmails.includes(user.email))
+        .forEach(user => {
+          finalStats.restoredUsers.push({
+            email: user.email,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            department: user.department || 'N/A',
+            wsGroup: user.ws_group || 'N/A',
+            wsTitle: user.ws_title || 'N/A'
+          });
+        });
+    }
+
+    // ШАГ 9: DELETE - мягкое удаление
+    console.log('\n🗑️  ШАГ 9/9: Мягкое удаление пользователей (перемещение в "Удалены")...\n');
+
+    // Пользователей в декрете не удаляем - WS может временно не отдавать их
+    const usersToDelete = compareStats.deleted_from_ws.filter(user => !user.on_leave);
     const dekretUsersSkippedDelete = compareStats.deleted_from_ws.length - usersToDelete.length;
 
     if (dekretUsersSkippedDelete > 0) {
-      logger.info(`ℹ️  Пропущено пользователей из отдела "Декрет": ${dekretUsersSkippedDelete} (только статистика)`);
+      logger.info(`ℹ️  Пропущено пользователей в декрете: ${dekretUsersSkippedDelete} (не удаляются)`);
     }
 
+    let deleteAllowed = true;
+
     if (usersToDelete.length > 0) {
+      const safety = checkDeleteSafety(compareStats, usersToDelete);
+
+      if (!safety.allowed && forceDelete) {
+        logger.warning('⚠️  Защита от массового удаления ОБОЙДЕНА (force) для этого запуска');
+      } else if (!safety.allowed) {
+        deleteAllowed = false;
+        finalStats.deleteBlocked = safety.reasons;
+
+        logger.error(`🛑 DELETE отменён: ${usersToDelete.length} пользователей НЕ перемещены в "Удалены"`);
+
+        if (!syncConfig.sync.dryRun) {
+          // Без stack: это не исключение, а предупреждение для людей
+          await telegram.sendError(
+            {
+              message: `удаление ${usersToDelete.length} пользователей заблокировано\n` +
+                safety.reasons.map(reason => `• ${reason}`).join('\n') +
+                '\n\nЕсли это ожидаемо, запустите /start_sync force'
+            },
+            'Защита от массового удаления'
+          );
+        }
+      }
+    }
+
+    if (usersToDelete.length > 0 && deleteAllowed) {
       const deleteResult = await softDeleteUsers(usersToDelete, refData);
       finalStats.users.deleted = deleteResult.deleted;
       finalStats.users.errors += deleteResult.errors;
       finalStats.details.deleted = deleteResult.details;
+      runStore.addItems(run, 'deleted', deleteResult.details);
+
+      const deleteDetails = new Map(deleteResult.details.map(d => [d.email, d]));
 
       // Собираем детализированную статистику для Telegram (только не-Декрет)
       usersToDelete.forEach(user => {
         finalStats.deletedUsers.push({
           email: user.email,
-          first_name: user.first_name || user.name?.split(' ')[0] || '',
-          last_name: user.last_name || user.name?.split(' ').slice(1).join(' ') || '',
+          first_name: user.first_name || '',
+          last_name: user.last_name || '',
           department: user.departmentName || 'N/A',
           team: user.team_name || 'N/A',
           position: user.position_name || 'N/A',
-          category: user.category_name || 'N/A'
+          category: user.category_name || 'N/A',
+          access: describeAccess(deleteDetails.get(user.email))
         });
       });
-    } else {
+    } else if (usersToDelete.length === 0) {
       logger.info('✅ Нет пользователей для удаления');
     }
 
-    // Подсчет unchanged
-    finalStats.users.unchanged = compareStats.matched - totalDifferences;
+    // Не входившие в систему - для всех пользователей, не для области запуска
+    if (!scope) {
+      await handleNeverLoggedIn(compareStats, finalStats, run);
+    }
+
+    // Подсчет unchanged. compareStats.matched - по всем пользователям, а расхождения - только
+    // по области, поэтому для запуска по области счётчик не считается
+    finalStats.users.unchanged = scope
+      ? null
+      : compareStats.matched - totalDifferences - usersToRestore.length - leaveTransitions.length;
 
     // Финальный отчет
     const endTime = new Date();
@@ -256,20 +627,57 @@ async function syncUsers(sendNotifications = false) {
 
     printFinalReport(finalStats);
 
+    // Группы этого запуска - следующий покажет исчезнувшие. DRY-RUN не сохраняет: иначе реальный
+    // запуск после него уже не увидит исчезнувшую (переименованную) группу
+    if (!syncConfig.sync.dryRun) {
+      await saveGroupState(compareStats.ws_group_counts);
+    }
+
+    run.meta.deleteBlocked = finalStats.deleteBlocked;
+    await runStore.finishRun(run, { counts: finalStats.users });
+
     // Отправка CSV отчёта в Telegram (если включено)
     if (sendNotifications) {
       countAfter = await getDbCounts();
       const delta = calculateDelta(countBefore, countAfter);
 
       const telegramStats = {
+        runId: run.id,
+        scope: finalStats.scope,
         usersCreated: finalStats.users.created,
+        usersRenamed: finalStats.users.renamed,
+        renamedUsers: finalStats.renamedUsers,
+        usersDrifted: finalStats.users.drifted,
+        fieldDifferences: finalStats.fieldDifferences,
+        usersRolesChanged: finalStats.users.rolesChanged,
+        roleChanges: finalStats.roleChanges,
         usersDeleted: finalStats.users.deleted,
         departmentChanges: finalStats.users.updated,
+        usersMoved: finalStats.users.moved,
+        usersToLeave: finalStats.users.toLeave,
+        usersFromLeave: finalStats.users.fromLeave,
+        leaveTransitions: finalStats.leaveTransitions,
+        neverLoggedIn: finalStats.neverLoggedIn,
+        usersReinvited: finalStats.users.reinvited,
+        passwordsFile: finalStats.passwordsFile,
+        usersWelcomed: finalStats.users.welcomed,
+        welcomeEmails: finalStats.welcomeEmails,
+        usersRestored: finalStats.users.restored,
         errors: finalStats.users.errors,
         deletedUsers: finalStats.deletedUsers,
         createdUsers: finalStats.createdUsers,
+        restoredUsers: finalStats.restoredUsers,
+        deleteBlocked: finalStats.deleteBlocked,
+        provisioned: finalStats.provisioned,
         departmentMismatches: finalStats.departmentMismatches,
         departmentStats: finalStats.departmentStats,
+        unmatchedTitles: finalStats.unmatchedTitles,
+        suspiciousNames: finalStats.suspiciousNames,
+        unmappedGroups: finalStats.unmappedGroups,
+        vanishedGroups: finalStats.vanishedGroups,
+        wsDataProblems: finalStats.wsDataProblems,
+        quarantined: finalStats.quarantined,
+        excluded: finalStats.excluded,
         countBefore,
         countAfter,
         delta,
@@ -289,6 +697,8 @@ async function syncUsers(sendNotifications = false) {
     finalStats.duration = endTime.getTime() - startTime.getTime();
     finalStats.users.errors++;
 
+    await runStore.finishRun(run, { counts: finalStats.users, error: error.message });
+
     // Отправка ошибки в Telegram (если включено)
     if (sendNotifications) {
       await telegram.sendError(error, 'User synchronization');
@@ -298,6 +708,40 @@ async function syncUsers(sendNotifications = false) {
   }
 }
 
+/**
+ * Пользователи, ни разу не входившие в систему, и повторные письма для входа
+ * Ошибка чтения auth.users не ломает синхронизацию - это только отчёт
+ */
+async function handleNeverLoggedIn(compareStats, finalStats, run) {
+  console.log('\n🔑 Пользователи, не входившие в систему...\n');
+
+  let neverLoggedIn;
+  try {
+    neverLoggedIn = findNeverLoggedIn(await supabaseService.getAuthUsers(), compareStats.supa_users);
+  } catch (error) {
+    logger.warning(`⚠️  Не удалось получить auth пользователей: ${error.message}`);
+    return;
+  }
+
+  const due = neverLoggedIn.filter(user => user.due);
+  finalStats.neverLoggedIn = neverLoggedIn;
+
+  logger.info(
+    `🔑 Не входили в систему: ${neverLoggedIn.length} ` +
+    `(письмо не отправлялось ${syncConfig.credentials.reinvite.afterDays}+ дн.: ${due.length})`
+  );
+
+  if (!syncConfig.credentials.reinvite.auto || due.length === 0) {
+    return;
+  }
+
+  const reinviteResult = await reinviteUsers(due);
+  finalStats.users.reinvited = reinviteResult.reinvited;
+  finalStats.users.errors += reinviteResult.errors;
+  finalStats.details.reinvited = reinviteResult.details;
+  runStore.addItems(run, 'reinvited', reinviteResult.details);
+}
+
 /**
  * Вывод финального отчета
  */
@@ -306,23 +750,86 @@ function printFinalReport(stats) {
   console.log('📊 ФИНАЛЬНЫЙ ОТЧЕТ СИНХРОНИЗАЦИИ');
   console.log('-'.repeat(80));
 
-  console.log(`\n⏱️  Длительность: ${(stats.duration / 1000).toFixed(2)}s`);
+  console.log(`\n🆔 Запуск: ${stats.runId}`);
+  if (stats.scope) {
+    console.log(`🎯 Область: ${stats.scope}`);
+  }
+  console.log(`⏱️  Длительность: ${(stats.duration / 1000).toFixed(2)}s`);
 
   console.log('\n📈 Статистика:');
   console.log(`   ✅ Создано: ${stats.users.created}`);
+  console.log(`   ✉️  Сменили email: ${stats.users.renamed}`);
+  console.log(`   📝 Обновлены поля: ${stats.users.drifted} (расхождений: ${stats.fieldDifferences.length})`);
+  console.log(`   🛡️  Изменены роли: ${stats.users.rolesChanged} (расхождений: ${stats.roleChanges.length})`);
+  console.log(`   ♻️  Восстановлено: ${stats.users.restored}`);
   console.log(`   🗑️  Удалено (перемещено): ${stats.users.deleted}`);
-  console.log(`   🔄 Расхождений в отделах: ${stats.users.updated} (ТОЛЬКО ЛОГИ)`);
-  console.log(`   ➖ Без изменений: ${stats.users.unchanged}`);
+  console.log(`   🔄 Расхождений в отделах: ${stats.users.updated} (перемещено: ${stats.users.moved})`);
+  console.log(`   🍼 Декрет: ушли ${stats.users.toLeave}, вернулись ${stats.users.fromLeave}`);
+  console.log(`   🔑 Не входили в систему: ${stats.neverLoggedIn.length} (повторных писем: ${stats.users.reinvited})`);
+  if (syncConfig.welcome.enabled) {
+    const failed = stats.welcomeEmails.filter(item => item.status !== 'sent').length;
+    console.log(`   📧 Приветственные письма: ${stats.users.welcomed} отправлено, ${failed} не доставлено`);
+  }
+  if (stats.users.unchanged !== null) {
+    console.log(`   ➖ Без изменений: ${stats.users.unchanged}`);
+  }
   console.log(`   ❌ Ошибок: ${stats.users.errors}`);
 
+  if (stats.passwordsFile) {
+    console.log(`\n🔑 Пароли новых пользователей: ${stats.passwordsFile} - передайте лично и удалите файл`);
+  }
+
+  if (stats.provisioned.length > 0) {
+    console.log(`\n🏗️  ${syncConfig.sync.dryRun ? 'Будут созданы' : 'Созданы'} отделы и команды:`);
+    stats.provisioned.forEach(item => {
+      console.log(`   - ${item.type === 'department' ? 'отдел' : 'команда'} "${item.name}"${item.id ? ` (ID ${item.id})` : ''}`);
+    });
+  }
+
+  if (stats.unmappedGroups.length > 0) {
+    const users = stats.unmappedGroups.reduce((sum, entry) => sum + entry.count, 0);
+    console.log(`\n🧩 Группы WS без маппинга: ${stats.unmappedGroups.length} (${users} чел. не синхронизируются)`);
+    stats.unmappedGroups.forEach(entry => {
+      const suggestion = entry.suggested_department ? ` → "${entry.suggested_department}"?` : '';
+      console.log(`   - "${entry.group}" (${entry.count} чел.)${suggestion}`);
+    });
+  }
+
+  if (stats.vanishedGroups.length > 0) {
+    console.log(`\n👻 Исчезли группы WS: ${stats.vanishedGroups.map(entry => `"${entry.group}"`).join(', ')}`);
+  }
+
+  if (stats.wsDataProblems.length > 0) {
+    console.log(`\n🧪 Проблемы данных WS: ${stats.wsDataProblems.length} (в карантине: ${stats.quarantined.length})`);
+    stats.quarantined.forEach(user => {
+      console.log(`   - "${user.email}": ${user.issues.join('; ')}`);
+    });
+  }
+
+  if (stats.excluded.length > 0) {
+    const reasons = {};
+    stats.excluded.forEach(account => {
+      reasons[account.reason] = (reasons[account.reason] || 0) + 1;
+    });
+    console.log(
+      `\n🚫 Вне синхронизации: ${stats.excluded.length} (` +
+      Object.entries(reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ') + ')'
+    );
+  }
+
+  if (stats.deleteBlocked) {
+    console.log('\n🛑 ВНИМАНИЕ: DELETE заблокирован защитой от массового удаления!');
+    stats.deleteBlocked.forEach(reason => console.log(`   - ${reason}`));
+  }
+
   if (stats.users.errors > 0) {
     console.log('\n❌ ВНИМАНИЕ: Обнаружены ошибки!');
     console.log('   Проверьте логи выше для деталей.');
   }
 
-  if (stats.users.updated > 0) {
+  if (stats.users.updated > stats.users.moved) {
     console.log('\n⚠️  ВНИМАНИЕ: Обнаружены расхождения в отделах!');
-    console.log('   UPDATE операции НЕ выполнялись - только логирование.');
+    console.log('   Отделы вне allowlist (sync-config.update.departments) не перемещались - только логирование.');
     console.log('   Проверьте детали выше.');
   }
 
@@ -0,0 +1,481 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto-js');
+const { loadReferenceData, resolvePosition, saveWsUserIds } = require('./sync-helpers');
+const { createUsers } = require('./user-create');
+const { sendWelcomeEmails } = require('./welcome-email');
+const { renameUsers } = require('./user-rename');
+const { isUpdateAllowed, moveUsers } = require('./user-update');
+const { applyLeaveTransitions } = require('./user-leave');
+const { getDriftPolicy, applyFieldDrift } = require('./user-drift');
+const { findRoleChanges, applyRoleChanges } = require('./user-roles');
+const { softDeleteUsers, restoreUsers } = require('./user-delete');
+const { checkDeleteSafety } = require('./delete-guard');
+const { compareUsers } = require('../scripts/compare-users');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const runStore = require('../services/run-store');
+const syncLock = require('../services/sync-lock');
+const departmentMappingStore = require('../services/department-mapping-store');
+
+const PLAN_VERSION = 5; // 2 - добавлены rename и wsMapUpdates, 3 - добавлен leave (декрет), 4 - добавлен drift,
+                      // 5 - добавлены roles и staleRoleGrants
+const PLANS_DIR = path.join(__dirname, '..', '.sync-plans');
+
+/**
+ * Хеш reference данных (отделы, команды, defaults, маппинг отделов)
+ * Если между plan и apply кто-то поменял справочники, ID в плане могут стать неверными
+ * @param {Object} refData - Reference данные
+ * @returns {string} SHA-256 hex
+ */
+function hashReferenceData(refData) {
+  const canonical = JSON.stringify(refData, (key, value) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.keys(value).sort().reduce((sorted, k) => {
+        sorted[k] = value[k];
+        return sorted;
+      }, {});
+    }
+    return value;
+  });
+
+  return crypto.SHA256(canonical).toString();
+}
+
+/**
+ * Сгенерировать ID плана вида plan_2025-01-31_08-00-00
+ */
+function generatePlanId(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `plan_${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+    `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+/**
+ * Построить план синхронизации (без изменений в базе)
+ *
+ * План содержит все RENAME / CREATE / MOVE / LEAVE / DRIFT / ROLES / RESTORE / DELETE операции
+ * со снимками пользователя из WS и Supabase на момент планирования
+ *
+ * @returns {Object} План синхронизации
+ */
+async function buildPlan() {
+  logger.info('📋 Построение плана синхронизации...');
+
+  await departmentMappingStore.load();
+  const refData = await loadReferenceData();
+  const compareStats = await compareUsers();
+
+  const wsByEmail = new Map(compareStats.ws_users.map(u => [u.email.toLowerCase(), u]));
+  const supaByEmail = new Map(compareStats.supa_users.map(u => [u.email.toLowerCase(), u]));
+
+  // Снимки обеих систем для ревью
+  const withSnapshots = user => ({
+    ...user,
+    snapshot: {
+      ws: wsByEmail.get(user.email.toLowerCase()) || null,
+      supabase: supaByEmail.get(user.email.toLowerCase()) || null
+    }
+  });
+
+  // Смена email: в WS пользователь уже с новым email, в Supabase - с прежним
+  const rename = compareStats.email_changes.map(change => ({
+    ...change,
+    snapshot: {
+      ws: wsByEmail.get(change.email.toLowerCase()) || null,
+      supabase: supaByEmail.get(change.old_email.toLowerCase()) || null
+    }
+  }));
+
+  const create = compareStats.missing_in_supabase
+    .filter(user => syncConfig.maternity.enabled || !user.on_leave)
+    .map(withSnapshots);
+
+  const move = [];
+  for (const dept in compareStats.by_department) {
+    compareStats.by_department[dept].department_differences
+      .filter(user => isUpdateAllowed(user.ws_expected))
+      .forEach(user => move.push(withSnapshots(user)));
+  }
+
+  const leave = syncConfig.maternity.enabled
+    ? compareStats.leave_transitions.map(withSnapshots)
+    : [];
+
+  // Только поля с политикой 'ws' - остальные не изменяются (см. sync-config.drift)
+  const drift = compareStats.field_differences
+    .map(user => ({ ...user, fields: user.fields.filter(f => getDriftPolicy(f.field) === 'ws') }))
+    .filter(user => user.fields.length > 0)
+    .map(withSnapshots);
+
+  // Роли по роли WS - выданные вручную не трогаются
+  const roleChanges = syncConfig.roles.reconcile
+    ? await findRoleChanges(compareStats.ws_roles, refData)
+    : { changes: [], staleGrants: [] };
+  const roles = roleChanges.changes.map(withSnapshots);
+
+  const restore = syncConfig.restore.enabled
+    ? compareStats.restored_in_ws.map(withSnapshots)
+    : [];
+
+  const usersToDelete = compareStats.deleted_from_ws.filter(user => !user.on_leave);
+  const del = usersToDelete.map(withSnapshots);
+  const safety = usersToDelete.length > 0
+    ? checkDeleteSafety(compareStats, usersToDelete)
+    : { allowed: true, reasons: [] };
+
+  const createdAt = new Date();
+
+  const plan = {
+    version: PLAN_VERSION,
+    id: generatePlanId(createdAt),
+    createdAt: createdAt.toISOString(),
+    appliedAt: null,
+    refHash: hashReferenceData(refData),
+    summary: {
+      rename: rename.length,
+      create: create.length,
+      move: move.length,
+      leave: leave.length,
+      drift: drift.length,
+      roles: roles.length,
+      restore: restore.length,
+      delete: del.length
+    },
+    safety,
+    // Пользователи WS в карантине (sync-config.dataQuality) - только для ревью
+    quarantined: compareStats.quarantined,
+    // Аккаунты вне синхронизации (sync-config.accounts) - только для ревью
+    excluded: compareStats.excluded,
+    // Связи WS id ↔ user_id, найденные по email - сохраняются при apply
+    wsMapUpdates: compareStats.ws_map_updates,
+    // Выданные синхронизацией роли, уже снятые вручную - забываются при apply
+    staleRoleGrants: roleChanges.staleGrants,
+    actions: {
+      rename,
+      create,
+      move,
+      leave,
+      drift,
+      roles,
+      restore,
+      delete: del
+    }
+  };
+
+  logger.success(
+    `✅ План ${plan.id}: сменить email ${rename.length}, создать ${create.length}, переместить ${move.length}, ` +
+    `декрет ${leave.length}, обновить поля ${drift.length}, ` +
+    `изменить роли ${roles.length}, восстановить ${restore.length}, удалить ${del.length}`
+  );
+
+  return plan;
+}
+
+/**
+ * Получить путь к файлу плана
+ */
+function getPlanPath(planId) {
+  // ID плана приходит из Telegram/CLI - не даём выйти за пределы директории
+  if (!/^plan_[\d_-]+$/.test(planId)) {
+    throw new Error(`Неверный ID плана: ${planId}`);
+  }
+  return path.join(PLANS_DIR, `${planId}.json`);
+}
+
+/**
+ * Сохранить план в .sync-plans/{id}.json
+ * @returns {string} Путь к файлу
+ */
+async function savePlan(plan) {
+  await fs.mkdir(PLANS_DIR, { recursive: true });
+  const planPath = getPlanPath(plan.id);
+  await fs.writeFile(planPath, JSON.stringify(plan, null, 2), 'utf8');
+  logger.info(`💾 План сохранён: ${planPath}`);
+  return planPath;
+}
+
+/**
+ * Загрузить план по ID
+ */
+async function loadPlan(planId) {
+  try {
+    const data = await fs.readFile(getPlanPath(planId), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`План ${planId} не найден`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Получить ID последнего сохранённого плана
+ * @returns {string|null}
+ */
+async function getLatestPlanId() {
+  try {
+    const files = await fs.readdir(PLANS_DIR);
+    const planIds = files
+      .filter(f => f.startsWith('plan_') && f.endsWith('.json'))
+      .map(f => f.replace('.json', ''))
+      .sort();
+    return planIds.length > 0 ? planIds[planIds.length - 1] : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Счётчики применения плана для истории запусков
+ */
+function getApplyCounts(stats) {
+  return {
+    renamed: stats.renamed,
+    created: stats.created,
+    welcomed: stats.welcomed,
+    moved: stats.moved,
+    toLeave: stats.toLeave,
+    fromLeave: stats.fromLeave,
+    drifted: stats.drifted,
+    rolesChanged: stats.rolesChanged,
+    restored: stats.restored,
+    deleted: stats.deleted,
+    errors: stats.errors
+  };
+}
+
+/**
+ * Применить сохранённый план
+ *
+ * Отказывает, если план уже применён, старше plan.maxAgeMinutes
+ * или reference данные изменились с момента планирования
+ *
+ * @param {string} planId - ID плана
+ * @param {Object} options
+ * @param {boolean} options.forceDelete - Применить DELETE несмотря на защиту от массового удаления
+ * @param {string} options.trigger - Источник запуска для истории: cron | telegram | cli | api
+ * @returns {Object} Статистика { runId, renamed, created, moved, toLeave, fromLeave, drifted, rolesChanged, restored, deleted, errors, deleteSkipped, details }
+ * @throws {Error} code = 'SYNC_LOCKED', если уже идёт другой запуск
+ */
+async function applyPlan(planId, options = {}) {
+  const { trigger = 'cli' } = options;
+
+  // Под блокировкой: иначе план можно применить дважды параллельно
+  return syncLock.withLock({ trigger, operation: 'apply' }, () => runApply(planId, options));
+}
+
+/**
+ * Применение плана под блокировкой (см. applyPlan)
+ */
+async function runApply(planId, options) {
+  const { forceDelete = false, trigger = 'cli' } = options;
+  const plan = await loadPlan(planId);
+
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`Версия плана ${plan.version} не поддерживается (ожидается ${PLAN_VERSION})`);
+  }
+
+  if (plan.appliedAt) {
+    throw new Error(
+      plan.applyError
+        ? `План ${planId} применён частично ${plan.appliedAt} (ошибка: ${plan.applyError}). Постройте новый план`
+        : `План ${planId} уже применён ${plan.appliedAt}`
+    );
+  }
+
+  const ageMinutes = (Date.now() - new Date(plan.createdAt).getTime()) / 60000;
+  if (ageMinutes > syncConfig.plan.maxAgeMinutes) {
+    throw new Error(
+      `План ${planId} устарел: ${Math.round(ageMinutes)} мин. (максимум ${syncConfig.plan.maxAgeMinutes}). Постройте новый план`
+    );
+  }
+
+  // Изменённый после построения плана маппинг отделов тоже меняет хеш
+  await departmentMappingStore.load();
+  const refData = await loadReferenceData();
+  if (hashReferenceData(refData) !== plan.refHash) {
+    throw new Error(`Reference данные изменились после построения плана ${planId}. Постройте новый план`);
+  }
+
+  logger.info(`⚡ Применение плана ${planId}...`);
+
+  const run = runStore.startRun({
+    trigger,
+    mode: syncConfig.sync.dryRun ? 'dry-run' : 'production',
+    meta: { planId, forceDelete }
+  });
+
+  const stats = {
+    runId: run.id,
+    renamed: 0,
+    created: 0,
+    welcomed: 0,
+    moved: 0,
+    toLeave: 0,
+    fromLeave: 0,
+    drifted: 0,
+    rolesChanged: 0,
+    restored: 0,
+    deleted: 0,
+    errors: 0,
+    deleteSkipped: false,
+    details: {
+      renamed: [],
+      created: [],
+      welcome: [],
+      moved: [],
+      leave: [],
+      drifted: [],
+      roles: [],
+      restored: [],
+      deleted: []
+    }
+  };
+
+  try {
+    const { rename, create, move, leave, drift, roles, restore, delete: del } = plan.actions;
+
+    await saveWsUserIds(plan.wsMapUpdates);
+
+    if (rename.length > 0) {
+      const result = await renameUsers(rename);
+      stats.renamed = result.renamed;
+      stats.errors += result.errors;
+      stats.details.renamed = result.details;
+      runStore.addItems(run, 'renamed', result.details);
+
+      await saveWsUserIds(result.details.filter(d => d.status === 'renamed'));
+    }
+
+    if (create.length > 0) {
+      const result = await createUsers(create, refData);
+      stats.created = result.created;
+      stats.errors += result.errors;
+      stats.details.created = result.details;
+      runStore.addItems(run, 'created', result.details);
+
+      await saveWsUserIds(
+        result.details
+          .filter(d => d.status === 'created')
+          .map(d => ({ ws_user_id: d.ws_user_id, user_id: d.userId, email: d.email }))
+      );
+
+      const createdIds = new Map(
+        result.details.filter(d => d.status === 'created').map(d => [d.email, d.userId])
+      );
+      const welcome = await sendWelcomeEmails(
+        create
+          .filter(user => syncConfig.sync.dryRun || createdIds.has(user.email))
+          .map(user => ({
+            email: user.email,
+            user_id: createdIds.get(user.email) || null,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            department: user.department,
+            position: resolvePosition(user.ws_title, refData).positionName
+          }))
+      );
+      stats.welcomed = welcome.sent;
+      stats.details.welcome = welcome.details;
+      runStore.addItems(run, 'welcome_email', welcome.details);
+    }
+
+    if (move.length > 0) {
+      const result = await moveUsers(move, refData);
+      stats.moved = result.moved;
+      stats.errors += result.errors;
+      stats.details.moved = result.details;
+      runStore.addItems(run, 'moved', result.details);
+    }
+
+    if (leave.length > 0) {
+      const result = await applyLeaveTransitions(leave, refData);
+      stats.toLeave = result.toLeave;
+      stats.fromLeave = result.fromLeave;
+      stats.errors += result.errors;
+      stats.details.leave = result.details;
+      runStore.addItems(run, 'leave', result.details);
+    }
+
+    if (drift.length > 0) {
+      const result = await applyFieldDrift(drift, refData);
+      stats.drifted = result.updated;
+      stats.errors += result.errors;
+      stats.details.drifted = result.details;
+      runStore.addItems(run, 'drifted', result.details);
+    }
+
+    if (roles.length > 0 || plan.staleRoleGrants.length > 0) {
+      const result = await applyRoleChanges(roles, plan.staleRoleGrants, refData);
+      stats.rolesChanged = result.updated;
+      stats.errors += result.errors;
+      stats.details.roles = result.details;
+      runStore.addItems(run, 'roles', result.details);
+    }
+
+    if (restore.length > 0) {
+      const result = await restoreUsers(restore, refData);
+      stats.restored = result.restored;
+      stats.errors += result.errors;
+      stats.details.restored = result.details;
+      runStore.addItems(run, 'restored', result.details);
+    }
+
+    if (del.length > 0 && !plan.safety.allowed && !forceDelete) {
+      stats.deleteSkipped = true;
+      logger.warning(`🛑 DELETE из плана пропущен: ${plan.safety.reasons.join('; ')}`);
+    } else if (del.length > 0) {
+      const result = await softDeleteUsers(del, refData);
+      stats.deleted = result.deleted;
+      stats.errors += result.errors;
+      stats.details.deleted = result.details;
+      runStore.addItems(run, 'deleted', result.details);
+    }
+  } catch (error) {
+    // Журнал уже выполненных действий сохраняем - по нему работает откат
+    logger.error(`❌ Применение плана ${planId} прервано: ${error.message}`);
+    stats.errors++;
+
+    await runStore.finishRun(run, { counts: getApplyCounts(stats), error: error.message });
+
+    // Частично применённый план повторно не применяется - нужен новый план
+    if (!syncConfig.sync.dryRun) {
+      plan.appliedAt = new Date().toISOString();
+      plan.applyError = error.message;
+      await savePlan(plan).catch(saveError => {
+        logger.warning(`⚠️  Отметка о применении плана не сохранена: ${saveError.message}`);
+      });
+    }
+
+    throw error;
+  }
+
+  await runStore.finishRun(run, { counts: getApplyCounts(stats) });
+
+  if (!syncConfig.sync.dryRun) {
+    plan.appliedAt = new Date().toISOString();
+    await savePlan(plan);
+  }
+
+  logger.success(
+    `✅ План ${planId} применён: сменено email ${stats.renamed}, создано ${stats.created}, перемещено ${stats.moved}, ` +
+    `декрет ${stats.toLeave + stats.fromLeave}, обновлено полей ${stats.drifted}, ` +
+    `изменено ролей ${stats.rolesChanged}, восстановлено ${stats.restored}, удалено ${stats.deleted}, ошибок ${stats.errors}`
+  );
+
+  return stats;
+}
+
+module.exports = {
+  buildPlan,
+  savePlan,
+  loadPlan,
+  getLatestPlanId,
+  applyPlan,
+  hashReferenceData
+};
@@ -0,0 +1,163 @@
+const { getSupabaseDepartments } = require('../config/department-mapping');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+/**
+ * Область запуска синхронизации: отдельные пользователи или отделы
+ *
+ * WS API отдаёт только полный список, поэтому сравнение всегда идёт по всем
+ * пользователям, а область ограничивает результаты compareUsers - и значит
+ * CREATE / UPDATE / RESTORE / DELETE и отчёт
+ */
+
+/**
+ * Нормализовать область из опций syncUsers
+ * @param {Object} options - { emails, departments }
+ * @returns {Object|null} { emails: Set, departments: Set } или null - полный запуск
+ */
+function normalizeScope({ emails = [], departments = [] } = {}) {
+  const emailList = emails.map(email => email.trim().toLowerCase()).filter(Boolean);
+  const departmentList = departments.map(dept => dept.trim()).filter(Boolean);
+
+  if (emailList.length === 0 && departmentList.length === 0) {
+    return null;
+  }
+
+  if (emailList.length > 0 && departmentList.length > 0) {
+    throw new Error('Укажите либо пользователей (emails), либо отделы (departments), не оба сразу');
+  }
+
+  const knownDepartments = [...getSupabaseDepartments(), syncConfig.maternity.department];
+  const unknown = departmentList.filter(dept => !knownDepartments.includes(dept));
+
+  if (unknown.length > 0) {
+    throw new Error(`Неизвестные отделы: ${unknown.join(', ')}. Доступны: ${knownDepartments.join(', ')}`);
+  }
+
+  return {
+    emails: new Set(emailList),
+    departments: new Set(departmentList)
+  };
+}
+
+/**
+ * Описание области для логов и отчёта
+ * @param {Object|null} scope - Область из normalizeScope
+ */
+function describeScope(scope) {
+  if (!scope) {
+    return 'все пользователи';
+  }
+
+  if (scope.emails.size > 0) {
+    return `пользователи: ${[...scope.emails].join(', ')}`;
+  }
+
+  return `отделы: ${[...scope.departments].join(', ')}`;
+}
+
+/**
+ * Ограничить результаты compareUsers областью
+ * Счётчики ws_count/supa_count и ws_total сохраняются - от них считается защита от удаления
+ *
+ * @param {Object} compareStats - Результат compareUsers()
+ * @param {Object|null} scope - Область из normalizeScope
+ * @returns {Object} Новый объект статистики (исходный не меняется)
+ */
+function applyScope(compareStats, scope) {
+  if (!scope) {
+    return compareStats;
+  }
+
+  const byEmail = user => scope.emails.has(user.email.toLowerCase());
+  const inScope = (user, ...departments) => scope.emails.size > 0
+    ? byEmail(user)
+    : departments.some(dept => scope.departments.has(dept));
+
+  const scoped = {
+    ...compareStats,
+    missing_in_supabase: compareStats.missing_in_supabase.filter(user => inScope(user, user.department)),
+    deleted_from_ws: compareStats.deleted_from_ws.filter(user => inScope(user, user.departmentName)),
+    restored_in_ws: compareStats.restored_in_ws.filter(user => inScope(user, user.department)),
+    field_differences: compareStats.field_differences.filter(user => inScope(user, user.department)),
+    leave_transitions: compareStats.leave_transitions.filter(user => inScope(user, user.ws_expected, user.supa_actual)),
+    suspicious_names: compareStats.suspicious_names.filter(user => inScope(user, user.department)),
+    ws_roles: compareStats.ws_roles.filter(user => inScope(user, user.department)),
+    // Смена email в области и по новому, и по прежнему email
+    email_changes: compareStats.email_changes.filter(change =>
+      inScope(change, change.department) || (scope.emails.size > 0 && byEmail({ email: change.old_email }))
+    ),
+    by_department: {}
+  };
+
+  for (const dept in compareStats.by_department) {
+    if (scope.departments.size > 0 && !scope.departments.has(dept)) {
+      continue;
+    }
+
+    const deptStats = compareStats.by_department[dept];
+    const filtered = {
+      ...deptStats,
+      missing_in_supabase: deptStats.missing_in_supabase.filter(user => scope.emails.size === 0 || byEmail(user)),
+      extra_in_supabase: deptStats.extra_in_supabase.filter(user => scope.emails.size === 0 || byEmail(user)),
+      department_differences: []
+    };
+
+    scoped.by_department[dept] = filtered;
+  }
+
+  // Расхождение относится к отделу, куда пользователь должен попасть, но в области
+  // оно и тогда, когда пользователь уходит из отдела области
+  for (const dept in compareStats.by_department) {
+    compareStats.by_department[dept].department_differences
+      .filter(user => inScope(user, user.ws_expected, user.supa_actual))
+      .forEach(user => {
+        if (!scoped.by_department[dept]) {
+          scoped.by_department[dept] = {
+            ...compareStats.by_department[dept],
+            missing_in_supabase: [],
+            extra_in_supabase: [],
+            department_differences: []
+          };
+        }
+        scoped.by_department[dept].department_differences.push(user);
+      });
+  }
+
+  // Для пользователей оставляем в отчёте только их отделы
+  if (scope.emails.size > 0) {
+    for (const dept in scoped.by_department) {
+      const deptStats = scoped.by_department[dept];
+      if (deptStats.missing_in_supabase.length === 0 &&
+          deptStats.extra_in_supabase.length === 0 &&
+          deptStats.department_differences.length === 0) {
+        delete scoped.by_department[dept];
+      }
+    }
+
+    // Email, которых нет ни в WS, ни в Supabase - скорее всего опечатка
+    const known = new Set([
+      ...compareStats.ws_users.map(user => (user.email || '').toLowerCase()),
+      ...compareStats.supa_users.map(user => (user.email || '').toLowerCase())
+    ]);
+    const notFound = [...scope.emails].filter(email => !known.has(email));
+
+    if (notFound.length > 0) {
+      logger.warning(`⚠️  Не найдены ни в WS, ни в Supabase: ${notFound.join(', ')}`);
+    }
+  }
+
+  logger.info(
+    `🎯 Область запуска (${describeScope(scope)}): ` +
+    `создать ${scoped.missing_in_supabase.length}, восстановить ${scoped.restored_in_ws.length}, ` +
+    `удалить ${scoped.deleted_from_ws.length}`
+  );
+
+  return scoped;
+}
+
+module.exports = {
+  normalizeScope,
+  describeScope,
+  applyScope
+};
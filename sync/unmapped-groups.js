@@ -0,0 +1,201 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getMapping, getSupabaseDepartments } = require('../config/department-mapping');
+const logger = require('../utils/logger');
+
+/**
+ * Группы WS без маппинга и исчезнувшие группы
+ *
+ * Пользователи из группы без маппинга в синхронизации не участвуют - без отчёта
+ * новая или переименованная группа незаметна. Для такой группы предлагается отдел:
+ * по коду "(КОД)" в начале названия, затем по похожести на отделы и известные группы.
+ *
+ * Группы предыдущего запуска хранятся в .sync-history/ws-groups.json - по ним
+ * видно, какие группы исчезли (переименование группы с маппингом = удаление всего отдела)
+ */
+
+const STATE_DIR = path.join(__dirname, '..', '.sync-history');
+const STATE_FILE = path.join(STATE_DIR, 'ws-groups.json');
+
+// Пользователи WS без группы
+const NO_GROUP = '(без группы)';
+
+// Минимальная похожесть (0..1) для нечёткого предложения
+const MIN_SIMILARITY = 0.6;
+
+/**
+ * Код отдела из начала названия группы: "(АВТ3) Отдел автоматизации Ⓓ" → "АВТ3"
+ * @returns {string|null}
+ */
+function parseGroupCode(group) {
+  const match = /^\s*\(([^)]+)\)/.exec(group || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Строка для сравнения: нижний регистр, без пробелов, точек и суффикса "Ⓓ"
+ */
+function normalize(value) {
+  return (value || '').toLowerCase().replace(/[\s.,Ⓓ]/g, '');
+}
+
+/**
+ * Похожесть строк по расстоянию Левенштейна (1 - совпадают)
+ */
+function similarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Предложить отдел для группы без маппинга
+ * 1. Исчезнувшая группа с маппингом с тем же кодом или похожим названием - переименование
+ * 2. Код совпадает с отделом ("(ВК) ..." → ВК)
+ * 3. Код без номера совпадает с отделом ("(АВТ3) ..." → АВТ)
+ * 4. Нечёткое совпадение кода с отделом или названия с группой из маппинга
+ *
+ * @param {string} group - Группа WS
+ * @param {Array} vanishedGroups - Исчезнувшие группы (findVanishedGroups)
+ * @returns {Object|null} { department, reason, renamed_from }
+ */
+function suggestDepartment(group, vanishedGroups = []) {
+  const mapping = getMapping();
+  const departments = getSupabaseDepartments();
+  const code = normalize(parseGroupCode(group));
+
+  // 1. Переименование группы с маппингом
+  for (const vanished of vanishedGroups.filter(entry => entry.department)) {
+    const sameCode = code && code === normalize(parseGroupCode(vanished.group));
+    if (sameCode || similarity(normalize(group), normalize(vanished.group)) >= MIN_SIMILARITY) {
+      return {
+        department: vanished.department,
+        reason: `переименована из "${vanished.group}"`,
+        renamed_from: vanished.group
+      };
+    }
+  }
+
+  if (code) {
+    // 2-3. Код отдела
+    const byCode = departments.find(dept => normalize(dept) === code);
+    if (byCode) {
+      return { department: byCode, reason: 'код группы', renamed_from: null };
+    }
+
+    const byBaseCode = departments.find(dept => normalize(dept) === code.replace(/\d+$/, ''));
+    if (byBaseCode) {
+      return { department: byBaseCode, reason: 'код группы без номера', renamed_from: null };
+    }
+  }
+
+  // 4. Нечёткое совпадение
+  let best = null;
+  const consider = (score, department, reason) => {
+    if (score >= MIN_SIMILARITY && (!best || score > best.score)) {
+      best = { score, department, reason };
+    }
+  };
+
+  if (code) {
+    departments.forEach(dept => consider(similarity(code, normalize(dept)), dept, `похоже на отдел "${dept}"`));
+  }
+  Object.entries(mapping).forEach(([mappedGroup, dept]) => {
+    consider(similarity(normalize(group), normalize(mappedGroup)), dept, `похоже на группу "${mappedGroup}"`);
+  });
+
+  return best
+    ? { department: best.department, reason: `${best.reason} (${Math.round(best.score * 100)}%)`, renamed_from: null }
+    : null;
+}
+
+/**
+ * Количество пользователей WS по группам
+ * @param {Array} wsUsers - Пользователи WS
+ * @returns {Object} { 'WS group': count }
+ */
+function countGroups(wsUsers) {
+  const counts = {};
+  wsUsers.forEach(user => {
+    const group = (user.group || '').trim() || NO_GROUP;
+    counts[group] = (counts[group] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Группы предыдущего запуска
+ * @returns {Object|null} { saved_at, groups: { 'WS group': count } } или null, если запусков ещё не было
+ */
+async function loadGroupState() {
+  try {
+    return JSON.parse(await fs.readFile(STATE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    logger.warning(`⚠️  Не удалось прочитать ${STATE_FILE}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Запомнить группы текущего запуска (для поиска исчезнувших в следующем)
+ * @param {Object} groupCounts - { 'WS group': count }
+ */
+async function saveGroupState(groupCounts) {
+  await fs.mkdir(STATE_DIR, { recursive: true });
+  await fs.writeFile(
+    STATE_FILE,
+    JSON.stringify({ saved_at: new Date().toISOString(), groups: groupCounts }, null, 2),
+    'utf8'
+  );
+}
+
+/**
+ * Группы, которые были в предыдущем запуске, но сейчас в WS нет ни одного их пользователя
+ *
+ * @param {Object|null} previousState - Результат loadGroupState()
+ * @param {Object} groupCounts - Текущие группы { 'WS group': count }
+ * @returns {Array} [{ group, previous_count, department, previous_at }] (department - по маппингу или null)
+ */
+function findVanishedGroups(previousState, groupCounts) {
+  if (!previousState || !previousState.groups) {
+    return [];
+  }
+
+  const mapping = getMapping();
+
+  return Object.entries(previousState.groups)
+    .filter(([group]) => !(group in groupCounts))
+    .map(([group, count]) => ({
+      group,
+      previous_count: count,
+      department: mapping[group] || null,
+      previous_at: previousState.saved_at
+    }))
+    .sort((a, b) => b.previous_count - a.previous_count);
+}
+
+module.exports = {
+  NO_GROUP,
+  parseGroupCode,
+  suggestDepartment,
+  countGroups,
+  loadGroupState,
+  saveGroupState,
+  findVanishedGroups
+};
@@ -0,0 +1,183 @@
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const { isMissingFunctionError } = require('../utils/db-errors');
+
+/**
+ * Доступ в eneca.work пользователей из "Удалены" (sync-config.access)
+ *
+ * - при перемещении в "Удалены" auth пользователь блокируется (ban_duration) и, если есть
+ *   функция sync_sign_out_user (docs/sql/sync_sign_out_user.sql), его сессии завершаются
+ * - при восстановлении и откате удаления снимается только блокировка, поставленная синхронизацией
+ *   (services/deleted-users.js, журнал запуска); уже заблокированных (вручную) синхронизация не трогает
+ *
+ * Ошибка блокировки не отменяет перемещение - она видна в логе, журнале и CSV разделе "УДАЛЕНЫ"
+ */
+
+// Функции sync_sign_out_user нет в базе - не вызываем её повторно в этом процессе
+let signOutUnavailable = false;
+
+/**
+ * Завершить все сессии пользователя (удаление auth.sessions вместе с refresh-токенами)
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} userId - ID пользователя
+ * @returns {boolean} true - сессии завершены, false - функция не создана
+ * @throws {Error} Ошибка вызова функции
+ */
+async function signOutUser(supabase, userId) {
+  if (signOutUnavailable) {
+    return false;
+  }
+
+  const { error } = await supabase.rpc('sync_sign_out_user', { target_user_id: userId });
+
+  if (error && isMissingFunctionError(error)) {
+    signOutUnavailable = true;
+    logger.warning(
+      '⚠️  Функция sync_sign_out_user не найдена (docs/sql/sync_sign_out_user.sql) - ' +
+      'сессии заблокированных завершатся по истечении токена'
+    );
+    return false;
+  }
+
+  if (error) {
+    throw new Error(`Sign out error: ${error.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Есть ли у auth пользователя действующая блокировка
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} userId - ID пользователя
+ * @returns {boolean}
+ * @throws {Error} Ошибка чтения auth пользователя
+ */
+async function isBanned(supabase, userId) {
+  const { data, error } = await supabase.auth.admin.getUserById(userId);
+
+  if (error) {
+    throw new Error(`Auth error: ${error.message}`);
+  }
+
+  const bannedUntil = data.user && data.user.banned_until;
+  return Boolean(bannedUntil) && new Date(bannedUntil) > new Date();
+}
+
+/**
+ * Заблокировать auth пользователя и завершить его сессии
+ *
+ * Уже заблокированного (вручную) не трогает: banned = false, alreadyBanned = true -
+ * такую блокировку синхронизация потом и не снимает
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} userId - ID пользователя
+ * @returns {Object} { banned: boolean, alreadyBanned: boolean, signedOut: boolean, error: string|null }
+ */
+async function banUser(supabase, userId) {
+  if (!syncConfig.access.banOnDelete) {
+    return { banned: false, alreadyBanned: false, signedOut: false, error: null };
+  }
+
+  try {
+    if (await isBanned(supabase, userId)) {
+      return { banned: false, alreadyBanned: true, signedOut: false, error: null };
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(userId, {
+      ban_duration: syncConfig.access.banDuration
+    });
+
+    if (error) {
+      throw new Error(`Ban error: ${error.message}`);
+    }
+
+    const signedOut = syncConfig.access.signOut ? await signOutUser(supabase, userId) : false;
+
+    return { banned: true, alreadyBanned: false, signedOut, error: null };
+
+  } catch (error) {
+    return { banned: false, alreadyBanned: false, signedOut: false, error: error.message };
+  }
+}
+
+/**
+ * Снять блокировку auth пользователя (если она есть)
+ *
+ * Вызывать только для блокировки, которую поставила синхронизация (bannedBySync)
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} userId - ID пользователя
+ * @returns {Object} { unbanned: boolean, error: string|null } - unbanned = false, если блокировки не было
+ */
+async function unbanUser(supabase, userId) {
+  try {
+    if (!await isBanned(supabase, userId)) {
+      return { unbanned: false, error: null };
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(userId, { ban_duration: 'none' });
+
+    if (error) {
+      throw new Error(`Unban error: ${error.message}`);
+    }
+
+    return { unbanned: true, error: null };
+
+  } catch (error) {
+    return { unbanned: false, error: error.message };
+  }
+}
+
+/**
+ * Заблокировала ли синхронизация пользователя при этом удалении (элемент журнала deleted)
+ *
+ * @param {Object} item - Элемент журнала запуска
+ * @returns {boolean}
+ */
+function bannedBySync(item) {
+  return (item.changes || []).some(change => change.field === 'access' && change.to === 'banned');
+}
+
+/**
+ * Состояние доступа удалённого пользователя для отчёта (CSV раздел "УДАЛЕНЫ")
+ *
+ * @param {Object|undefined} detail - Элемент details из softDeleteUsers (нет - не обрабатывался)
+ * @returns {string}
+ */
+function describeAccess(detail) {
+  if (syncConfig.sync.dryRun) {
+    return syncConfig.access.banOnDelete ? 'будет заблокирован (DRY-RUN)' : 'не блокируется';
+  }
+
+  if (!detail) {
+    return 'не обработан';
+  }
+
+  if (detail.status === 'error') {
+    return 'не перемещён';
+  }
+
+  if (detail.access_error) {
+    return `ошибка блокировки: ${detail.access_error}`;
+  }
+
+  if (detail.banned) {
+    return detail.signed_out ? 'заблокирован, сессии завершены' : 'заблокирован';
+  }
+
+  if (detail.already_banned) {
+    return 'уже был заблокирован';
+  }
+
+  return 'не блокируется';
+}
+
+module.exports = {
+  banUser,
+  unbanUser,
+  bannedBySync,
+  describeAccess
+};
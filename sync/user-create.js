@@ -1,7 +1,11 @@
-const { createAdminClient } = require('./sync-helpers');
+const { createAdminClient, resolvePosition } = require('./sync-helpers');
 const syncConfig = require('../config/sync-config');
 const logger = require('../utils/logger');
 const progressTracker = require('../utils/progress-tracker');
+const { getStrategy, createAuthUser, sendAccessEmail, getPasswordsFilePath, saveIssuedPassword } = require('./credentials');
+const { checkEmail, isValidEmail } = require('./ws-data-quality');
+const { grantMappedRoles } = require('./user-roles');
+const { resolveEmployment } = require('./employment-rate');
 
 /**
  * Валидация данных пользователя перед созданием
@@ -15,12 +19,13 @@ function validateUser(user, refData) {
   // 1. Проверка email
   if (!user.email || typeof user.email !== 'string') {
     errors.push('Email отсутствует');
-  } else if (!user.email.includes('@')) {
-    errors.push('Email имеет неверный формат');
+  } else if (!isValidEmail(user.email)) {
+    errors.push(`Email имеет неверный формат: ${checkEmail(user.email)}`);
   }
 
-  // 2. Проверка имени
-  if (!user.name || typeof user.name !== 'string' || user.name.trim() === '') {
+  // 2. Проверка имени (уже нормализовано в compareUsers).
+  // Пустая фамилия не блокирует создание - она попадает в suspiciousNames отчёта
+  if (!user.first_name || typeof user.first_name !== 'string') {
     errors.push('Имя отсутствует или пустое');
   }
 
@@ -37,6 +42,33 @@ function validateUser(user, refData) {
   };
 }
 
+/**
+ * Удалить auth пользователя (откат создания)
+ * Используется при ошибке создания профиля/роли и при откате запуска по журналу
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} userId - ID пользователя в auth.users
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+async function removeAuthUser(supabase, userId) {
+  const { error } = await supabase.auth.admin.deleteUser(userId);
+
+  if (error) {
+    logger.error(`❌ Не удалось удалить auth пользователя ${userId}: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  logger.warning(`⚠️  Auth пользователь ${userId} удален (rollback)`);
+
+  return {
+    success: true,
+    error: null
+  };
+}
+
 /**
  * Создать нового пользователя в Supabase
  *
@@ -44,44 +76,44 @@ function validateUser(user, refData) {
  * @param {string} wsUser.email - Email
  * @param {string} wsUser.first_name - Имя
  * @param {string} wsUser.last_name - Фамилия
+ * @param {string} wsUser.title - Title из WS (для маппинга должности)
+ * @param {boolean} wsUser.on_leave - Уже в декрете (режим 'flag' - флаг в профиле)
+ * @param {string|null} wsUser.ws_role - Роль WS (роли eneca.work по sync-config.roles)
+ * @param {string|number|null} wsUser.rate - Ставка WS (employment_rate / is_hourly по sync-config.employment)
  * @param {string} departmentName - Название отдела в Supabase
  * @param {Object} refData - Reference данные из базы
- * @returns {Object} { success: boolean, userId: string|null, error: string|null }
+ * @returns {Object} { success: boolean, userId: string|null, password: string|null, error: string|null }
+ *   password - только для credentials.strategy = 'random'
  */
 async function createUser(wsUser, departmentName, refData) {
   const supabase = createAdminClient();
+  const position = resolvePosition(wsUser.title, refData);
+  // Ставка и почасовая оплата по ставке WS, без неё - по умолчанию
+  const employment = resolveEmployment(wsUser.rate);
+  // Подразделение отдела из маппинга, для служебных отделов - "Производственные отделы"
+  const subdivisionId = refData.departmentSubdivisionMap[departmentName] ||
+    refData.subdivisionMap[syncConfig.PRODUCTION_SUBDIVISION];
 
   // Формируем user_metadata
   const userMetadata = {
     first_name: wsUser.first_name,
     last_name: wsUser.last_name,
-    subdivision_id: refData.subdivisionId,
+    subdivision_id: subdivisionId,
     department_id: refData.departmentMap[departmentName],
     team_id: refData.teamMap[syncConfig.getTeamName(departmentName)],
-    position_id: refData.defaults.positionId,
-    category_id: refData.defaults.categoryId,
+    position_id: position.positionId,
+    category_id: position.categoryId,
     work_format: syncConfig.defaults.workFormat,
-    employment_rate: syncConfig.defaults.employmentRate,
+    employment_rate: employment.employment_rate,
     salary: syncConfig.defaults.salary,
-    is_hourly: syncConfig.defaults.isHourly
+    is_hourly: employment.is_hourly
   };
 
   try {
-    // 1. Создаем пользователя в auth.users
+    // 1. Создаем пользователя в auth.users (приглашение, случайный пароль или без пароля)
     logger.debug(`Создание auth пользователя: ${wsUser.email}`);
 
-    const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-      email: wsUser.email,
-      password: syncConfig.defaults.password,
-      email_confirm: true,
-      user_metadata: userMetadata
-    });
-
-    if (authError) {
-      throw new Error(`Auth error: ${authError.message}`);
-    }
-
-    const userId = authData.user.id;
+    const { userId, password } = await createAuthUser(supabase, wsUser.email, userMetadata);
     logger.debug(`Auth пользователь создан: ${userId}`);
 
     try {
@@ -95,15 +127,18 @@ async function createUser(wsUser, departmentName, refData) {
           email: wsUser.email,
           first_name: wsUser.first_name,
           last_name: wsUser.last_name,
-          subdivision_id: refData.subdivisionId,
+          subdivision_id: subdivisionId,
           department_id: refData.departmentMap[departmentName],
           team_id: refData.teamMap[syncConfig.getTeamName(departmentName)],
-          position_id: refData.defaults.positionId,
-          category_id: refData.defaults.categoryId,
+          position_id: position.positionId,
+          category_id: position.categoryId,
           work_format: syncConfig.defaults.workFormat,
-          employment_rate: syncConfig.defaults.employmentRate,
+          employment_rate: employment.employment_rate,
           salary: syncConfig.defaults.salary,
-          is_hourly: syncConfig.defaults.isHourly
+          is_hourly: employment.is_hourly,
+          ...(wsUser.on_leave && syncConfig.maternity.mode === 'flag'
+            ? { [syncConfig.maternity.flagColumn]: true }
+            : {})
         }, {
           onConflict: 'user_id'
         });
@@ -131,11 +166,21 @@ async function createUser(wsUser, departmentName, refData) {
         }
       }
 
-      logger.debug(`Роль назначена для ${wsUser.email}`);
+      // Роли по роли WS (sync-config.roles) - в дополнение к роли по умолчанию
+      const mappedRoles = await grantMappedRoles(supabase, userId, wsUser.ws_role, refData);
+
+      logger.debug(`Роль назначена для ${wsUser.email}${mappedRoles.length > 0 ? ` (+ ${mappedRoles.join(', ')})` : ''}`);
+
+      // 4. Без пароля - первая ссылка для входа. Ошибка письма не откатывает пользователя:
+      //    он попадёт в список не входивших и получит письмо повторно
+      if (getStrategy() === 'magic_link') {
+        await sendAccessEmail({ email: wsUser.email });
+      }
 
       return {
         success: true,
         userId,
+        password,
         error: null
       };
 
@@ -143,9 +188,7 @@ async function createUser(wsUser, departmentName, refData) {
       // Rollback: удаляем пользователя из auth
       logger.error(`❌ Ошибка при создании профиля/роли, откат изменений...`);
 
-      await supabase.auth.admin.deleteUser(userId);
-
-      logger.warning(`⚠️  Auth пользователь ${userId} удален (rollback)`);
+      await removeAuthUser(supabase, userId);
 
       throw profileOrRoleError;
     }
@@ -156,6 +199,7 @@ async function createUser(wsUser, departmentName, refData) {
     return {
       success: false,
       userId: null,
+      password: null,
       error: error.message
     };
   }
@@ -166,15 +210,21 @@ async function createUser(wsUser, departmentName, refData) {
  *
  * @param {Array} usersToCreate - Массив пользователей для создания
  * @param {Object} refData - Reference данные
- * @returns {Object} Статистика { created: number, errors: number, details: Array }
+ * @returns {Object} Статистика { created: number, errors: number, details: Array, passwordsFile: string|null }
  */
 async function createUsers(usersToCreate, refData) {
   const stats = {
     created: 0,
     errors: 0,
-    details: []
+    details: [],
+    passwordsFile: null // Выданные пароли (стратегия 'random')
   };
 
+  // Неверная стратегия доступа - ошибка до создания первого пользователя
+  const strategy = getStrategy();
+  const passwordsFile = strategy === 'random' ? getPasswordsFilePath() : null;
+  let issuedPasswords = 0;
+
   logger.info(`\n📦 Начало создания пользователей: ${usersToCreate.length}`);
 
   // Загружаем или инициализируем прогресс
@@ -233,7 +283,7 @@ async function createUsers(usersToCreate, refData) {
   if (syncConfig.sync.dryRun) {
     logger.warning('🔍 DRY-RUN режим: пользователи НЕ будут созданы!');
     validUsers.forEach(user => {
-      logger.info(`   [DRY-RUN] Создать: ${user.email} → ${user.department}`);
+      logger.info(`   [DRY-RUN] Создать: ${user.email} → ${user.department} (${resolvePosition(user.ws_title, refData).positionName}, доступ: ${strategy})`);
     });
     return stats;
   }
@@ -246,8 +296,12 @@ async function createUsers(usersToCreate, refData) {
     const result = await createUser(
       {
         email: user.email,
-        first_name: user.name.split(' ')[0] || '',
-        last_name: user.name.split(' ')[1] || ''
+        first_name: user.first_name,
+        last_name: user.last_name,
+        title: user.ws_title,
+        on_leave: user.on_leave,
+        ws_role: user.ws_role,
+        rate: user.ws_rate
       },
       user.department,
       refData
@@ -255,13 +309,31 @@ async function createUsers(usersToCreate, refData) {
 
     if (result.success) {
       stats.created++;
-      stats.details.push({
+      const detail = {
         email: user.email,
         department: user.department,
         status: 'created',
-        userId: result.userId
-      });
+        userId: result.userId,
+        credential: strategy,
+        ws_user_id: user.ws_user_id,
+        to_department: user.department,
+        to_department_id: refData.departmentMap[user.department],
+        to_team_id: refData.teamMap[syncConfig.getTeamName(user.department)]
+      };
+      stats.details.push(detail);
       logger.success(`Создан: ${user.email} → ${user.department}`);
+      if (result.password) {
+        try {
+          await saveIssuedPassword(passwordsFile, { email: user.email, password: result.password });
+          stats.passwordsFile = passwordsFile;
+          issuedPasswords++;
+        } catch (error) {
+          // Пользователь создан, но пароль неизвестен - нужен сброс пароля вручную
+          logger.error(`❌ Пароль для ${user.email} не сохранён: ${error.message}`);
+          detail.error = `Пароль не сохранён: ${error.message}`;
+          stats.errors++;
+        }
+      }
       await progressTracker.addProcessed(user.email, true);
     } else {
       stats.errors++;
@@ -269,7 +341,8 @@ async function createUsers(usersToCreate, refData) {
         email: user.email,
         department: user.department,
         status: 'error',
-        error: result.error
+        error: result.error,
+        to_department: user.department
       });
       await progressTracker.addProcessed(user.email, false);
 
@@ -287,6 +360,10 @@ async function createUsers(usersToCreate, refData) {
     }
   }
 
+  if (issuedPasswords > 0) {
+    logger.warning(`🔑 Пароли новых пользователей (${issuedPasswords}) сохранены в ${passwordsFile} - передайте лично и удалите файл`);
+  }
+
   logger.success(`\n✅ Создание завершено: ${stats.created} успешно, ${stats.errors} ошибок`);
 
   // Очищаем прогресс после успешного завершения
@@ -297,5 +374,6 @@ async function createUsers(usersToCreate, refData) {
 
 module.exports = {
   createUser,
-  createUsers
+  createUsers,
+  removeAuthUser
 };
@@ -1,15 +1,18 @@
 const { createAdminClient } = require('./sync-helpers');
 const syncConfig = require('../config/sync-config');
 const logger = require('../utils/logger');
+const { banUser, unbanUser } = require('./user-access');
+const deletedUsers = require('../services/deleted-users');
 
 /**
- * Мягкое удаление пользователя (перемещение в отдел "Удалены")
+ * Мягкое удаление пользователя (перемещение в отдел "Удалены") и блокировка входа (sync-config.access)
  *
  * @param {Object} user - Пользователь из Supabase
  * @param {string} user.email - Email
  * @param {string} user.user_id - ID пользователя
  * @param {Object} refData - Reference данные
- * @returns {Object} { success: boolean, error: string|null }
+ * @returns {Object} { success: boolean, error: string|null, access: { banned, signedOut, error } | null }
+ *   access.error - перемещение выполнено, но заблокировать не удалось
  */
 async function softDeleteUser(user, refData) {
   const supabase = createAdminClient();
@@ -31,9 +34,20 @@ async function softDeleteUser(user, refData) {
 
     logger.success(`✅ Перемещен в "Удалены": ${user.email}`);
 
+    const access = await banUser(supabase, user.user_id);
+
+    if (access.error) {
+      logger.error(`❌ Не удалось заблокировать ${user.email}: ${access.error}`);
+    } else if (access.banned) {
+      logger.success(`🔒 Вход заблокирован: ${user.email}${access.signedOut ? ' (сессии завершены)' : ''}`);
+    } else if (access.alreadyBanned) {
+      logger.info(`ℹ️  Вход уже был заблокирован: ${user.email} (блокировку синхронизация не снимет)`);
+    }
+
     return {
       success: true,
-      error: null
+      error: null,
+      access
     };
 
   } catch (error) {
@@ -41,7 +55,8 @@ async function softDeleteUser(user, refData) {
 
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      access: null
     };
   }
 }
@@ -52,6 +67,7 @@ async function softDeleteUser(user, refData) {
  * @param {Array} usersToDelete - Массив пользователей для удаления
  * @param {Object} refData - Reference данные
  * @returns {Object} Статистика { deleted: number, errors: number, details: Array }
+ *   details[].banned / signed_out / access_error - блокировка входа (sync-config.access)
  */
 async function softDeleteUsers(usersToDelete, refData) {
   const stats = {
@@ -77,18 +93,35 @@ async function softDeleteUsers(usersToDelete, refData) {
 
     const result = await softDeleteUser(user, refData);
 
+    // Отдел и команда до удаления - нужны журналу для отката
+    const detail = {
+      email: user.email,
+      user_id: user.user_id,
+      from_department: user.supa_department,
+      from_department_id: user.department_id,
+      from_team: user.team_name,
+      from_team_id: user.team_id,
+      to_department: syncConfig.DELETED_DEPARTMENT,
+      to_department_id: refData.deletedDepartmentId,
+      to_team_id: refData.deletedTeamId
+    };
+
     if (result.success) {
       stats.deleted++;
       stats.details.push({
-        email: user.email,
-        from_department: user.supa_department,
-        status: 'moved_to_deleted'
+        ...detail,
+        status: 'moved_to_deleted',
+        banned: result.access.banned,
+        already_banned: result.access.alreadyBanned,
+        signed_out: result.access.signedOut,
+        access_error: result.access.error,
+        // Блокировка в журнале - по ней откат снимает её
+        changes: result.access.banned ? [{ field: 'access', from: 'active', to: 'banned' }] : null
       });
     } else {
       stats.errors++;
       stats.details.push({
-        email: user.email,
-        from_department: user.supa_department,
+        ...detail,
         status: 'error',
         error: result.error
       });
@@ -106,12 +139,192 @@ async function softDeleteUsers(usersToDelete, refData) {
     }
   }
 
+  // Дата удаления - для хранения по сроку (sync-config.retention), и кого заблокировали -
+  // при восстановлении снимается только эта блокировка
+  try {
+    const moved = stats.details.filter(d => d.status === 'moved_to_deleted');
+    await deletedUsers.mark(moved.map(d => d.user_id), moved.filter(d => d.banned).map(d => d.user_id));
+  } catch (error) {
+    logger.warning(`⚠️  Дата удаления не сохранена (срок хранения отсчитает retention): ${error.message}`);
+  }
+
   logger.success(`\n✅ Удаление завершено: ${stats.deleted} перемещено, ${stats.errors} ошибок`);
 
   return stats;
 }
 
+/**
+ * Восстановление пользователя из "Удалены" (перемещение в отдел из WS) и снятие блокировки входа
+ *
+ * @param {Object} user - Пользователь, снова активный в WS
+ * @param {string} user.email - Email
+ * @param {string} user.user_id - ID пользователя
+ * @param {string} user.department - Отдел в Supabase по маппингу WS group
+ * @param {Object} refData - Reference данные
+ * @param {boolean} bannedBySync - Вход заблокировала синхронизация (иначе блокировка не снимается)
+ * @returns {Object} { success: boolean, error: string|null, access: { unbanned, error } | null }
+ *   access.error - пользователь восстановлен, но блокировку снять не удалось
+ */
+async function restoreUser(user, refData, bannedBySync) {
+  const supabase = createAdminClient();
+
+  const departmentId = refData.departmentMap[user.department];
+  const teamId = refData.teamMap[syncConfig.getTeamName(user.department)];
+  const subdivisionId = refData.departmentSubdivisionMap[user.department];
+
+  try {
+    if (!departmentId || !teamId) {
+      throw new Error(`Отдел "${user.department}" или его команда не найдены в reference данных`);
+    }
+
+    logger.info(`📝 Восстановление из "Удалены": ${user.email} → "${user.department}"...`);
+
+    // Фильтр по department_id защищает от восстановления тех, кого уже переместили вручную
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({
+        department_id: departmentId,
+        team_id: teamId,
+        ...(subdivisionId ? { subdivision_id: subdivisionId } : {})
+      })
+      .eq('user_id', user.user_id)
+      .eq('department_id', refData.deletedDepartmentId)
+      .select('user_id');
+
+    if (error) {
+      throw new Error(`Update error: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error(`Пользователь не находится в отделе "${syncConfig.DELETED_DEPARTMENT}"`);
+    }
+
+    logger.success(`✅ Восстановлен: ${user.email} → "${user.department}"`);
+
+    const access = bannedBySync
+      ? await unbanUser(supabase, user.user_id)
+      : { unbanned: false, error: null };
+
+    if (access.error) {
+      logger.error(`❌ Не удалось снять блокировку ${user.email}: ${access.error}`);
+    } else if (access.unbanned) {
+      logger.success(`🔓 Блокировка снята: ${user.email}`);
+    }
+
+    return {
+      success: true,
+      error: null,
+      access
+    };
+
+  } catch (error) {
+    logger.error(`❌ Ошибка восстановления ${user.email}: ${error.message}`);
+
+    return {
+      success: false,
+      error: error.message,
+      access: null
+    };
+  }
+}
+
+/**
+ * Batch-восстановление пользователей, вернувшихся в WS
+ *
+ * @param {Array} usersToRestore - Массив пользователей (restored_in_ws из compareUsers)
+ * @param {Object} refData - Reference данные
+ * @returns {Object} Статистика { restored: number, errors: number, details: Array }
+ */
+async function restoreUsers(usersToRestore, refData) {
+  const stats = {
+    restored: 0,
+    errors: 0,
+    details: []
+  };
+
+  // Восстанавливаем только тех, кто действительно сидит в "Удалены"
+  const candidates = usersToRestore.filter(user => user.department_id === refData.deletedDepartmentId);
+
+  logger.info(`\n♻️  Начало восстановления пользователей: ${candidates.length}`);
+
+  if (syncConfig.sync.dryRun) {
+    logger.warning('🔍 DRY-RUN режим: пользователи НЕ будут восстановлены!');
+    candidates.forEach(user => {
+      logger.info(`   [DRY-RUN] Восстановить: ${user.email} → "${user.department}"`);
+    });
+    return stats;
+  }
+
+  // Кого заблокировала синхронизация. Без записи блокировка не снимается: она могла быть ручной
+  let records = new Map();
+  try {
+    records = await deletedUsers.load();
+  } catch (error) {
+    logger.warning(`⚠️  Отметки блокировок не загружены - блокировки не снимаются: ${error.message}`);
+  }
+
+  for (let i = 0; i < candidates.length; i++) {
+    const user = candidates[i];
+
+    logger.info(`\n[${i + 1}/${candidates.length}] Восстановление: ${user.email}`);
+
+    const record = records.get(user.user_id);
+    const result = await restoreUser(user, refData, Boolean(record && record.banned));
+
+    const detail = {
+      email: user.email,
+      user_id: user.user_id,
+      from_department: syncConfig.DELETED_DEPARTMENT,
+      from_department_id: refData.deletedDepartmentId,
+      to_department: user.department,
+      to_department_id: refData.departmentMap[user.department],
+      to_team_id: refData.teamMap[syncConfig.getTeamName(user.department)]
+    };
+
+    if (result.success) {
+      stats.restored++;
+      stats.details.push({
+        ...detail,
+        status: 'restored',
+        unbanned: result.access.unbanned,
+        access_error: result.access.error,
+        changes: result.access.unbanned ? [{ field: 'access', from: 'banned', to: 'active' }] : null
+      });
+    } else {
+      stats.errors++;
+      stats.details.push({
+        ...detail,
+        status: 'error',
+        error: result.error
+      });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+
+    // Задержка между операциями
+    if (i < candidates.length - 1 && i % syncConfig.sync.batchSize === 0) {
+      logger.info(`⏳ Пауза ${syncConfig.sync.delayBetweenBatches}мс...`);
+      await new Promise(resolve => setTimeout(resolve, syncConfig.sync.delayBetweenBatches));
+    }
+  }
+
+  try {
+    await deletedUsers.unmark(stats.details.filter(d => d.status === 'restored').map(d => d.user_id));
+  } catch (error) {
+    logger.warning(`⚠️  Дата удаления восстановленных не убрана: ${error.message}`);
+  }
+
+  logger.success(`\n✅ Восстановление завершено: ${stats.restored} восстановлено, ${stats.errors} ошибок`);
+
+  return stats;
+}
+
 module.exports = {
   softDeleteUser,
-  softDeleteUsers
+  softDeleteUsers,
+  restoreUser,
+  restoreUsers
 };
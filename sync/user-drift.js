@@ -0,0 +1,183 @@
+const { createAdminClient } = require('./sync-helpers');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+// Допустимые политики для sync-config.drift
+const DRIFT_POLICIES = ['ws', 'supabase', 'report'];
+
+/**
+ * Политика для поля из sync-config.drift (неизвестное значение - только отчёт)
+ * @param {string} field - first_name | last_name | position | employment
+ * @returns {string} ws | supabase | report
+ */
+function getDriftPolicy(field) {
+  const policy = syncConfig.drift[field] || 'report';
+
+  if (!DRIFT_POLICIES.includes(policy)) {
+    logger.warning(`⚠️  Неизвестная политика drift.${field} = "${policy}", используется "report"`);
+    return 'report';
+  }
+
+  return policy;
+}
+
+/**
+ * Описание изменений для логов и журнала
+ */
+function describeFields(fields) {
+  return fields.map(f => `${f.field}: "${f.supabase}" → "${f.ws}"`).join('; ');
+}
+
+/**
+ * Обновить поля профиля значениями из WS
+ *
+ * @param {Object} user - Элемент field_differences из compareUsers
+ * @param {Array} fields - Поля с политикой 'ws'
+ * @param {Object} refData - Reference данные
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+async function updateUserFields(user, fields, refData) {
+  const supabase = createAdminClient();
+  const update = {};
+
+  try {
+    fields.forEach(f => {
+      if (f.field === 'position') {
+        update.position_id = refData.positionMap[f.position];
+        if (f.category) {
+          update.category_id = refData.categoryMap[f.category];
+        }
+      } else if (f.field === 'employment') {
+        update.employment_rate = f.employment.employment_rate;
+        update.is_hourly = f.employment.is_hourly;
+      } else {
+        update[f.field] = f.ws;
+      }
+    });
+
+    if (Object.values(update).some(value => value === undefined)) {
+      throw new Error('Должность или категория не найдены в reference данных');
+    }
+
+    logger.info(`📝 Обновление полей: ${user.email} (${describeFields(fields)})...`);
+
+    const { error } = await supabase
+      .from('profiles')
+      .update(update)
+      .eq('user_id', user.user_id);
+
+    if (error) {
+      throw new Error(`Update error: ${error.message}`);
+    }
+
+    logger.success(`✅ Поля обновлены: ${user.email}`);
+
+    return {
+      success: true,
+      error: null
+    };
+
+  } catch (error) {
+    logger.error(`❌ Ошибка обновления полей ${user.email}: ${error.message}`);
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Применить расхождения полей по политикам sync-config.drift
+ * - 'ws' - поле обновляется
+ * - 'report' - только лог (и CSV)
+ * - 'supabase' - игнорируется
+ *
+ * @param {Array} differences - field_differences из compareUsers
+ * @param {Object} refData - Reference данные
+ * @returns {Object} Статистика { updated: number, errors: number, reported: number, details: Array }
+ */
+async function applyFieldDrift(differences, refData) {
+  const stats = {
+    updated: 0,
+    errors: 0,
+    reported: 0,
+    details: []
+  };
+
+  const toUpdate = [];
+
+  differences.forEach(user => {
+    const fields = user.fields.filter(f => getDriftPolicy(f.field) === 'ws');
+    const reportOnly = user.fields.filter(f => getDriftPolicy(f.field) === 'report');
+
+    if (reportOnly.length > 0) {
+      stats.reported++;
+      logger.info(`   ℹ️  ${user.email}: ${describeFields(reportOnly)} (только отчёт)`);
+    }
+
+    if (fields.length > 0) {
+      toUpdate.push({ user, fields });
+    }
+  });
+
+  logger.info(`\n📝 Обновление полей из WS: ${toUpdate.length}`);
+
+  if (syncConfig.sync.dryRun) {
+    if (toUpdate.length > 0) {
+      logger.warning('🔍 DRY-RUN режим: поля НЕ будут обновлены!');
+    }
+    toUpdate.forEach(({ user, fields }) => {
+      logger.info(`   [DRY-RUN] Обновить: ${user.email} (${describeFields(fields)})`);
+    });
+    return stats;
+  }
+
+  for (let i = 0; i < toUpdate.length; i++) {
+    const { user, fields } = toUpdate[i];
+
+    const result = await updateUserFields(user, fields, refData);
+
+    const detail = {
+      email: user.email,
+      user_id: user.user_id,
+      changes: fields.map(f => ({ field: f.field, from: f.supabase, to: f.ws }))
+    };
+
+    if (result.success) {
+      stats.updated++;
+      stats.details.push({
+        ...detail,
+        status: 'updated'
+      });
+    } else {
+      stats.errors++;
+      stats.details.push({
+        ...detail,
+        status: 'error',
+        error: result.error
+      });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+
+    // Задержка между операциями
+    if (i < toUpdate.length - 1 && i % syncConfig.sync.batchSize === 0) {
+      logger.debug(`Пауза ${syncConfig.sync.delayBetweenBatches}мс между батчами`);
+      await new Promise(resolve => setTimeout(resolve, syncConfig.sync.delayBetweenBatches));
+    }
+  }
+
+  logger.success(`\n✅ Обновление полей завершено: ${stats.updated} обновлено, ${stats.errors} ошибок`);
+
+  return stats;
+}
+
+module.exports = {
+  getDriftPolicy,
+  updateUserFields,
+  applyFieldDrift
+};
@@ -0,0 +1,179 @@
+const { createAdminClient } = require('./sync-helpers');
+const { moveUser } = require('./user-update');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+/**
+ * Декрет: уход и возвращение (sync-config.maternity)
+ *
+ * - режим 'department' - перемещение между отделом по маппингу WS group и отделом декрета
+ * - режим 'flag' - пользователь остаётся в своём отделе, меняется флаг в профиле
+ */
+
+/**
+ * Проверить, находится ли пользователь в декретном отпуске по полю title из WS
+ */
+function isMaternityLeave(title) {
+  if (!title) return false;
+  const titleLower = title.toLowerCase();
+  return titleLower.includes('декрет') || titleLower.includes('дектрет');
+}
+
+/**
+ * Режим декрета через отдел (а не флаг)
+ */
+function isLeaveDepartmentMode() {
+  return syncConfig.maternity.mode === 'department';
+}
+
+/**
+ * Отмечен ли профиль Supabase как находящийся в декрете
+ * @param {Object} supaUser - Профиль из supabaseService.getUsers()
+ */
+function isOnLeaveInSupabase(supaUser) {
+  return isLeaveDepartmentMode()
+    ? supaUser.department_name === syncConfig.maternity.department
+    : supaUser.is_on_leave === true;
+}
+
+/**
+ * Поставить или снять флаг декрета в профиле (режим 'flag')
+ *
+ * @param {Object} user - Переход из compareUsers (leave_transitions)
+ * @param {boolean} onLeave - Новое значение флага
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+async function setLeaveFlag(user, onLeave) {
+  const supabase = createAdminClient();
+  const column = syncConfig.maternity.flagColumn;
+
+  try {
+    logger.info(`📝 ${column} = ${onLeave}: ${user.email}...`);
+
+    const { error } = await supabase
+      .from('profiles')
+      .update({ [column]: onLeave })
+      .eq('user_id', user.user_id);
+
+    if (error) {
+      throw new Error(`Update error: ${error.message}`);
+    }
+
+    logger.success(`✅ ${onLeave ? 'Отмечен декрет' : 'Снята отметка декрета'}: ${user.email}`);
+
+    return {
+      success: true,
+      error: null
+    };
+
+  } catch (error) {
+    logger.error(`❌ Ошибка обновления ${column} ${user.email}: ${error.message}`);
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Описание перехода для логов
+ */
+function describeTransition(user) {
+  const direction = user.direction === 'to_leave' ? 'в декрет' : 'из декрета';
+  return isLeaveDepartmentMode()
+    ? `${user.email} ${direction}: "${user.supa_actual}" → "${user.ws_expected}"`
+    : `${user.email} ${direction}`;
+}
+
+/**
+ * Batch-переходы в декрет и из декрета
+ *
+ * @param {Array} transitions - leave_transitions из compareUsers
+ * @param {Object} refData - Reference данные
+ * @returns {Object} Статистика { toLeave: number, fromLeave: number, errors: number, details: Array }
+ */
+async function applyLeaveTransitions(transitions, refData) {
+  const stats = {
+    toLeave: 0,
+    fromLeave: 0,
+    errors: 0,
+    details: []
+  };
+
+  logger.info(`\n🍼 Переходы в декрет и из декрета: ${transitions.length}`);
+
+  if (syncConfig.sync.dryRun) {
+    logger.warning('🔍 DRY-RUN режим: переходы НЕ будут применены!');
+    transitions.forEach(user => {
+      logger.info(`   [DRY-RUN] ${describeTransition(user)}`);
+    });
+    return stats;
+  }
+
+  for (let i = 0; i < transitions.length; i++) {
+    const user = transitions[i];
+    const toLeave = user.direction === 'to_leave';
+
+    logger.info(`\n[${i + 1}/${transitions.length}] ${describeTransition(user)}`);
+
+    const result = isLeaveDepartmentMode()
+      ? await moveUser(user, user.ws_expected, refData)
+      : await setLeaveFlag(user, toLeave);
+
+    const detail = {
+      email: user.email,
+      user_id: user.user_id,
+      direction: user.direction,
+      from_department: user.supa_actual,
+      from_department_id: user.supa_department_id,
+      from_team_id: user.supa_team_id,
+      to_department: user.ws_expected,
+      to_department_id: refData.departmentMap[user.ws_expected],
+      to_team_id: refData.teamMap[syncConfig.getTeamName(user.ws_expected)]
+    };
+
+    if (result.success) {
+      if (toLeave) {
+        stats.toLeave++;
+      } else {
+        stats.fromLeave++;
+      }
+      stats.details.push({
+        ...detail,
+        status: user.direction
+      });
+    } else {
+      stats.errors++;
+      stats.details.push({
+        ...detail,
+        status: 'error',
+        error: result.error
+      });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+
+    // Задержка между операциями
+    if (i < transitions.length - 1 && i % syncConfig.sync.batchSize === 0) {
+      logger.debug(`Пауза ${syncConfig.sync.delayBetweenBatches}мс между батчами`);
+      await new Promise(resolve => setTimeout(resolve, syncConfig.sync.delayBetweenBatches));
+    }
+  }
+
+  logger.success(
+    `\n✅ Переходы завершены: в декрет ${stats.toLeave}, из декрета ${stats.fromLeave}, ${stats.errors} ошибок`
+  );
+
+  return stats;
+}
+
+module.exports = {
+  isMaternityLeave,
+  isLeaveDepartmentMode,
+  isOnLeaveInSupabase,
+  applyLeaveTransitions
+};
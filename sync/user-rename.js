@@ -0,0 +1,154 @@
+const { createAdminClient } = require('./sync-helpers');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+/**
+ * Сменить email пользователя (email изменился в WS, пользователь сопоставлен по WS id)
+ * Меняется email в auth.users и profiles.email - история пользователя сохраняется
+ *
+ * @param {Object} change - Смена email из compareUsers (email_changes)
+ * @param {string} change.user_id - ID пользователя
+ * @param {string} change.old_email - Текущий email в Supabase
+ * @param {string} change.email - Новый email из WS
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+async function renameUser(change) {
+  const supabase = createAdminClient();
+
+  try {
+    logger.info(`📝 Смена email: ${change.old_email} → ${change.email}...`);
+
+    // 1. auth.users - email для входа
+    const { error: authError } = await supabase.auth.admin.updateUserById(change.user_id, {
+      email: change.email,
+      email_confirm: true
+    });
+
+    if (authError) {
+      throw new Error(`Auth error: ${authError.message}`);
+    }
+
+    // 2. profiles.email
+    const { error: profileError } = await supabase
+      .from('profiles')
+      .update({ email: change.email })
+      .eq('user_id', change.user_id);
+
+    if (profileError) {
+      // Rollback: возвращаем прежний email в auth, чтобы auth и profiles не разошлись
+      logger.error('❌ Ошибка обновления профиля, откат email в auth...');
+
+      const { error: revertError } = await supabase.auth.admin.updateUserById(change.user_id, {
+        email: change.old_email,
+        email_confirm: true
+      });
+
+      if (revertError) {
+        logger.error(`❌ Не удалось вернуть email ${change.old_email} в auth: ${revertError.message}`);
+      }
+
+      throw new Error(`Profile error: ${profileError.message}`);
+    }
+
+    logger.success(`✅ Email изменён: ${change.old_email} → ${change.email}`);
+
+    return {
+      success: true,
+      error: null
+    };
+
+  } catch (error) {
+    logger.error(`❌ Ошибка смены email ${change.old_email}: ${error.message}`);
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Batch-смена email
+ *
+ * @param {Array} changes - Смены email (email_changes из compareUsers)
+ * @returns {Object} Статистика { renamed: number, conflicts: number, errors: number, details: Array }
+ */
+async function renameUsers(changes) {
+  const stats = {
+    renamed: 0,
+    conflicts: 0,
+    errors: 0,
+    details: []
+  };
+
+  // Новый email занят другим профилем - не ошибка, а конфликт для ручного разбора
+  const conflicts = changes.filter(change => change.conflict_user_id);
+  const toRename = changes.filter(change => !change.conflict_user_id);
+
+  conflicts.forEach(change => {
+    logger.warning(`⚠️  Email ${change.email} уже занят другим профилем (${change.conflict_user_id}) - ${change.old_email} не изменён`);
+    stats.conflicts++;
+    stats.details.push({
+      email: change.email,
+      from_email: change.old_email,
+      user_id: change.user_id,
+      ws_user_id: change.ws_user_id,
+      status: 'conflict',
+      conflict_user_id: change.conflict_user_id
+    });
+  });
+
+  logger.info(`\n✉️  Начало смены email: ${toRename.length}`);
+
+  if (syncConfig.sync.dryRun) {
+    logger.warning('🔍 DRY-RUN режим: email НЕ будут изменены!');
+    toRename.forEach(change => {
+      logger.info(`   [DRY-RUN] Сменить email: ${change.old_email} → ${change.email}`);
+    });
+    return stats;
+  }
+
+  for (let i = 0; i < toRename.length; i++) {
+    const change = toRename[i];
+
+    logger.info(`\n[${i + 1}/${toRename.length}] Смена email: ${change.old_email}`);
+
+    const result = await renameUser(change);
+
+    const detail = {
+      email: change.email,
+      from_email: change.old_email,
+      user_id: change.user_id,
+      ws_user_id: change.ws_user_id
+    };
+
+    if (result.success) {
+      stats.renamed++;
+      stats.details.push({
+        ...detail,
+        status: 'renamed'
+      });
+    } else {
+      stats.errors++;
+      stats.details.push({
+        ...detail,
+        status: 'error',
+        error: result.error
+      });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+  }
+
+  logger.success(`\n✅ Смена email завершена: ${stats.renamed} изменено, ${stats.conflicts} конфликтов, ${stats.errors} ошибок`);
+
+  return stats;
+}
+
+module.exports = {
+  renameUser,
+  renameUsers
+};
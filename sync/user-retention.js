@@ -0,0 +1,345 @@
+const { createAdminClient } = require('./sync-helpers');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const supabaseService = require('../services/supabase');
+const deletedUsers = require('../services/deleted-users');
+const wsUserMap = require('../services/ws-user-map');
+const runStore = require('../services/run-store');
+const syncLock = require('../services/sync-lock');
+
+/**
+ * Хранение пользователей в "Удалены" по сроку (sync-config.retention)
+ *
+ * Профиль, пролежавший в "Удалены" retention.afterDays дней (дата - services/deleted-users.js):
+ * - 'anonymize' - имя, фамилия и email в профиле и auth.users заменяются заглушкой,
+ *   профиль и ссылки на него (user_id) остаются
+ * - 'delete'    - auth пользователь и профиль удаляются
+ *
+ * Связь с WS id удаляется в обоих режимах: вернувшийся в WS человек создаётся заново
+ */
+
+const RETENTION_MODES = ['anonymize', 'delete'];
+
+const ANONYMOUS_FIRST_NAME = 'Удалённый';
+const ANONYMOUS_LAST_NAME = 'пользователь';
+
+// .invalid зарезервирован (RFC 2606) - письма на заглушку никуда не уйдут
+const ANONYMOUS_EMAIL_DOMAIN = 'deleted.invalid';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Режим из sync-config.retention
+ * @returns {string} anonymize | delete
+ * @throws {Error} Неизвестный режим
+ */
+function getRetentionMode() {
+  const mode = syncConfig.retention.mode;
+
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`Неизвестный режим retention.mode "${mode}" (допустимо: ${RETENTION_MODES.join(', ')})`);
+  }
+
+  return mode;
+}
+
+/**
+ * Email-заглушка обезличенного профиля (уникальна, т.к. содержит user_id)
+ */
+function getAnonymousEmail(userId) {
+  return `deleted-${userId}@${ANONYMOUS_EMAIL_DOMAIN}`;
+}
+
+/**
+ * Профили в "Удалены", срок хранения которых истёк
+ *
+ * @returns {Object} {
+ *   candidates: Array,  // К обработке в этом запуске (самые давние первыми, не больше retention.maxPerRun)
+ *   deferred: Array,    // Срок истёк, но не вошли в лимит - в следующих запусках
+ *   unstamped: Array    // Без даты удаления - срок отсчитывается от первого запуска retention
+ * }
+ *   Элемент: { user_id, email, name, department_id, deleted_at, days }
+ */
+async function findRetentionCandidates() {
+  const [profiles, records] = await Promise.all([
+    supabaseService.getUsers(),
+    deletedUsers.load()
+  ]);
+
+  const now = Date.now();
+  const due = [];
+  const unstamped = [];
+
+  profiles
+    .filter(profile => profile.department_name === syncConfig.DELETED_DEPARTMENT)
+    .forEach(profile => {
+      const record = records.get(profile.user_id);
+      const user = {
+        user_id: profile.user_id,
+        email: profile.email,
+        name: `${profile.last_name || ''} ${profile.first_name || ''}`.trim(),
+        department_id: profile.department_id
+      };
+
+      if (!record) {
+        unstamped.push({ ...user, deleted_at: null, days: null });
+        return;
+      }
+
+      // Уже обезличен - больше не трогаем
+      if (record.anonymized_at) {
+        return;
+      }
+
+      const days = Math.floor((now - new Date(record.deleted_at).getTime()) / DAY_MS);
+      if (days >= syncConfig.retention.afterDays) {
+        due.push({ ...user, deleted_at: record.deleted_at, days });
+      }
+    });
+
+  due.sort((a, b) => new Date(a.deleted_at) - new Date(b.deleted_at));
+
+  return {
+    candidates: due.slice(0, syncConfig.retention.maxPerRun),
+    deferred: due.slice(syncConfig.retention.maxPerRun),
+    unstamped
+  };
+}
+
+/**
+ * Обезличить профиль и auth пользователя
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {Object} user - Кандидат из findRetentionCandidates
+ * @throws {Error} Профиль уже не в "Удалены" или ошибка записи
+ */
+async function anonymizeUser(supabase, user) {
+  const email = getAnonymousEmail(user.user_id);
+
+  // 1. Профиль - только если пользователь всё ещё в "Удалены"
+  const { data, error: profileError } = await supabase
+    .from('profiles')
+    .update({
+      first_name: ANONYMOUS_FIRST_NAME,
+      last_name: ANONYMOUS_LAST_NAME,
+      email
+    })
+    .eq('user_id', user.user_id)
+    .eq('department_id', user.department_id)
+    .select('user_id');
+
+  if (profileError) {
+    throw new Error(`Profile error: ${profileError.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    throw new Error(`Пользователь не находится в отделе "${syncConfig.DELETED_DEPARTMENT}"`);
+  }
+
+  // 2. auth.users - email и имя в метаданных. Ошибка здесь - повтор в следующем запуске
+  const { error: authError } = await supabase.auth.admin.updateUserById(user.user_id, {
+    email,
+    email_confirm: true,
+    user_metadata: {
+      first_name: ANONYMOUS_FIRST_NAME,
+      last_name: ANONYMOUS_LAST_NAME
+    }
+  });
+
+  if (authError) {
+    throw new Error(`Auth error: ${authError.message}`);
+  }
+
+  await wsUserMap.remove([user.user_id]);
+  await deletedUsers.markAnonymized(user.user_id);
+}
+
+/**
+ * Удалить auth пользователя и профиль
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {Object} user - Кандидат из findRetentionCandidates
+ * @throws {Error} Профиль уже не в "Удалены" или ошибка удаления
+ */
+async function deleteRetainedUser(supabase, user) {
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('department_id')
+    .eq('user_id', user.user_id)
+    .maybeSingle();
+
+  if (profileError) {
+    throw new Error(`Profile error: ${profileError.message}`);
+  }
+
+  if (!profile || String(profile.department_id) !== String(user.department_id)) {
+    throw new Error(`Пользователь не находится в отделе "${syncConfig.DELETED_DEPARTMENT}"`);
+  }
+
+  const { error: authError } = await supabase.auth.admin.deleteUser(user.user_id);
+
+  if (authError) {
+    throw new Error(`Auth error: ${authError.message}`);
+  }
+
+  // Профиль удаляется каскадно; если каскада нет - удаляем сами
+  const { error: deleteError } = await supabase
+    .from('profiles')
+    .delete()
+    .eq('user_id', user.user_id);
+
+  if (deleteError) {
+    throw new Error(`Profile error: ${deleteError.message}`);
+  }
+
+  await wsUserMap.remove([user.user_id]);
+  await deletedUsers.unmark([user.user_id]);
+}
+
+/**
+ * Обработать пользователей с истёкшим сроком хранения (или показать их в DRY-RUN)
+ *
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Только показать кандидатов
+ * @param {string} options.trigger - Источник запуска для истории: cron | telegram | cli | api
+ * @returns {Object} {
+ *   mode, dryRun, candidates: Array, deferred: number, unstamped: number,
+ *   anonymized: number, deleted: number, errors: number, details: Array, runId: string|null
+ * }
+ * @throws {Error} code = 'SYNC_LOCKED', если уже идёт другой запуск
+ */
+async function applyRetention(options = {}) {
+  const { trigger = 'cli' } = options;
+
+  // Превью ничего не меняет - блокировка не нужна
+  if (options.dryRun || syncConfig.sync.dryRun) {
+    return runRetention(options);
+  }
+
+  return syncLock.withLock({ trigger, operation: 'retention' }, () => runRetention(options));
+}
+
+/**
+ * Обработка (или превью), см. applyRetention
+ */
+async function runRetention(options) {
+  const { trigger = 'cli' } = options;
+  // Глобальный DRY-RUN всегда сильнее
+  const dryRun = options.dryRun || syncConfig.sync.dryRun;
+  const mode = getRetentionMode();
+
+  if (!dryRun && !syncConfig.retention.enabled) {
+    throw new Error('Хранение по сроку выключено (retention.enabled = false в config/sync-config.js)');
+  }
+
+  const { candidates, deferred, unstamped } = await findRetentionCandidates();
+
+  const stats = {
+    mode,
+    dryRun,
+    candidates,
+    deferred: deferred.length,
+    unstamped: unstamped.length,
+    anonymized: 0,
+    deleted: 0,
+    errors: 0,
+    details: [],
+    runId: null
+  };
+
+  logger.info(
+    `\n🗄️  Срок хранения в "${syncConfig.DELETED_DEPARTMENT}" (${syncConfig.retention.afterDays} дн., ${mode}): ` +
+    `${candidates.length} к обработке, ${deferred.length} отложено (лимит ${syncConfig.retention.maxPerRun}), ` +
+    `${unstamped.length} без даты удаления`
+  );
+
+  if (dryRun) {
+    if (candidates.length > 0) {
+      logger.warning('🔍 DRY-RUN режим: пользователи НЕ будут обработаны!');
+    }
+    candidates.forEach(user => {
+      logger.info(`   [DRY-RUN] ${mode === 'delete' ? 'Удалить' : 'Обезличить'}: ${user.email} (${user.days} дн.)`);
+    });
+    return stats;
+  }
+
+  const journal = runStore.startRun({
+    trigger,
+    mode: 'production',
+    meta: { operation: 'retention', mode, afterDays: syncConfig.retention.afterDays }
+  });
+  stats.runId = journal.id;
+
+  // Без даты удаления - срок отсчитывается с сегодняшнего дня
+  if (unstamped.length > 0) {
+    await deletedUsers.mark(unstamped.map(user => user.user_id));
+    logger.info(`ℹ️  Дата удаления поставлена: ${unstamped.length} (срок отсчитывается с сегодняшнего дня)`);
+  }
+
+  const supabase = createAdminClient();
+
+  for (let i = 0; i < candidates.length; i++) {
+    const user = candidates[i];
+
+    // В журнале - только заглушка: личные данные после обработки не хранятся
+    const detail = {
+      email: getAnonymousEmail(user.user_id),
+      user_id: user.user_id,
+      from_department: syncConfig.DELETED_DEPARTMENT,
+      changes: [{ field: 'retention', from: user.deleted_at, to: mode }]
+    };
+
+    try {
+      logger.info(`[${i + 1}/${candidates.length}] ${mode === 'delete' ? 'Удаление' : 'Обезличивание'}: ${user.email} (${user.days} дн.)`);
+
+      if (mode === 'delete') {
+        await deleteRetainedUser(supabase, user);
+        stats.deleted++;
+        stats.details.push({ ...detail, status: 'deleted' });
+      } else {
+        await anonymizeUser(supabase, user);
+        stats.anonymized++;
+        stats.details.push({ ...detail, status: 'anonymized' });
+      }
+
+      logger.success(`✅ ${mode === 'delete' ? 'Удалён' : 'Обезличен'}: ${user.user_id}`);
+
+    } catch (error) {
+      logger.error(`❌ Ошибка обработки ${user.email}: ${error.message}`);
+      stats.errors++;
+      stats.details.push({ ...detail, status: 'error', error: error.message });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+
+    // Задержка между операциями
+    if (i < candidates.length - 1 && i % syncConfig.sync.batchSize === 0) {
+      logger.debug(`Пауза ${syncConfig.sync.delayBetweenBatches}мс между батчами`);
+      await new Promise(resolve => setTimeout(resolve, syncConfig.sync.delayBetweenBatches));
+    }
+  }
+
+  runStore.addItems(journal, 'retention', stats.details);
+  await runStore.finishRun(journal, {
+    counts: {
+      anonymized: stats.anonymized,
+      deleted: stats.deleted,
+      deferred: stats.deferred,
+      errors: stats.errors
+    }
+  });
+
+  logger.success(
+    `\n✅ Срок хранения: ${stats.anonymized} обезличено, ${stats.deleted} удалено, ${stats.errors} ошибок`
+  );
+
+  return stats;
+}
+
+module.exports = {
+  findRetentionCandidates,
+  applyRetention
+};
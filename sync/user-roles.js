@@ -0,0 +1,259 @@
+const { createAdminClient } = require('./sync-helpers');
+const supabaseService = require('../services/supabase');
+const roleGrants = require('../services/role-grants');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+/**
+ * Роли eneca.work по роли WS (sync-config.roles)
+ *
+ * Роль по умолчанию (defaults.roleName) есть у всех и здесь не трогается. Роли из маппинга
+ * выдаются при создании и сверяются при каждом запуске. Снимается только роль, которую
+ * выдала сама синхронизация (services/role-grants.js) - выданные вручную роли не трогаются
+ */
+
+/**
+ * Роли eneca.work для роли WS
+ * @param {string|null} wsRole - Роль WS
+ * @returns {Array<string>} Названия ролей (roles.name) без роли по умолчанию
+ */
+function getMappedRoles(wsRole) {
+  const roles = syncConfig.roles.mapping[(wsRole || '').trim().toLowerCase()] || [];
+  return roles.filter(role => role !== syncConfig.defaults.roleName);
+}
+
+/**
+ * Выдать роли пользователю - по одной записи user_roles на роль
+ *
+ * Роль, которая у пользователя уже есть (duplicate), выдана не синхронизацией: она пропускается
+ * и в role-grants не записывается. Записываются только реально добавленные роли - в том числе
+ * при ошибке на одной из следующих
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} userId - ID пользователя
+ * @param {Array<string>} roles - Названия ролей
+ * @param {string|null} wsRole - Роль WS (для role-grants)
+ * @param {Object} refData - Reference данные (roleMap)
+ * @returns {Array<string>} Добавленные роли
+ * @throws {Error} Ошибка записи user_roles
+ */
+async function insertRoles(supabase, userId, roles, wsRole, refData) {
+  const inserted = [];
+
+  try {
+    for (const role of roles) {
+      const { error } = await supabase
+        .from('user_roles')
+        .insert({ user_id: userId, role_id: refData.roleMap[role] });
+
+      if (error && error.message.includes('duplicate')) {
+        continue;
+      }
+
+      if (error) {
+        throw new Error(`Role error: ${error.message}`);
+      }
+
+      inserted.push(role);
+    }
+  } finally {
+    await roleGrants.add(inserted.map(role => ({ user_id: userId, role_name: role, ws_role: wsRole })));
+  }
+
+  return inserted;
+}
+
+/**
+ * Выдать роли по роли WS новому пользователю (после роли по умолчанию)
+ *
+ * @param {Object} supabase - Supabase admin клиент
+ * @param {string} userId - ID пользователя
+ * @param {string|null} wsRole - Роль WS
+ * @param {Object} refData - Reference данные (roleMap)
+ * @returns {Array<string>} Выданные роли
+ * @throws {Error} Ошибка записи user_roles
+ */
+async function grantMappedRoles(supabase, userId, wsRole, refData) {
+  return insertRoles(supabase, userId, getMappedRoles(wsRole), wsRole, refData);
+}
+
+/**
+ * Изменить роли одного пользователя
+ *
+ * @returns {Object} { success: boolean, added: Array<string>, error: string|null }
+ *   added - реально выданные роли (без тех, что уже были у пользователя)
+ */
+async function applyRoleChange(change, refData) {
+  const supabase = createAdminClient();
+
+  try {
+    const added = await insertRoles(supabase, change.user_id, change.added, change.ws_role, refData);
+
+    for (const role of change.removed) {
+      const { error } = await supabase
+        .from('user_roles')
+        .delete()
+        .eq('user_id', change.user_id)
+        .eq('role_id', refData.roleMap[role]);
+
+      if (error) {
+        throw new Error(`Role error: ${error.message}`);
+      }
+    }
+    await roleGrants.remove(change.removed.map(role => ({ user_id: change.user_id, role_name: role })));
+
+    logger.success(`✅ Роли обновлены: ${change.email}`);
+    return { success: true, added, error: null };
+
+  } catch (error) {
+    logger.error(`❌ Ошибка обновления ролей ${change.email}: ${error.message}`);
+    return { success: false, added: [], error: error.message };
+  }
+}
+
+/**
+ * Найти расхождения ролей пользователей с ролями WS (без изменений в базе)
+ * - роль из маппинга, которой у пользователя нет - выдаётся
+ * - роль, выданная синхронизацией и больше не положенная по роли WS - снимается
+ * - роль, которая уже была у пользователя (выдана вручную) - не трогается
+ *
+ * @param {Array} users - ws_roles из compareUsers [{ user_id, email, name, department, ws_role }]
+ * @param {Object} refData - Reference данные (roleMap)
+ * @returns {Object} {
+ *   changes: Array,     // [{ ...user, added: Array<string>, removed: Array<string> }]
+ *   staleGrants: Array  // Выданные синхронизацией роли, уже снятые вручную - забыть [{ user_id, role_name }]
+ * }
+ */
+async function findRoleChanges(users, refData) {
+  const changes = [];
+  const staleGrants = [];
+
+  if (Object.keys(syncConfig.roles.mapping).length === 0) {
+    logger.info('ℹ️  Маппинг ролей пуст (sync-config.roles) - роли не сверяются');
+    return { changes, staleGrants };
+  }
+
+  const grants = await roleGrants.load();
+  const roleNames = new Map(Object.entries(refData.roleMap).map(([name, id]) => [String(id), name]));
+  const currentRoles = await supabaseService.getUserRoles();
+
+  users.forEach(user => {
+    // Роль WS неизвестна - не сверяем, чтобы не снять роли по ошибке
+    if (!user.ws_role) {
+      return;
+    }
+
+    const desired = new Set(getMappedRoles(user.ws_role));
+    const current = new Set(
+      [...(currentRoles.get(user.user_id) || [])].map(id => roleNames.get(String(id))).filter(Boolean)
+    );
+    const granted = grants.get(user.user_id) || new Set();
+
+    const added = [...desired].filter(role => !current.has(role));
+    const removed = [...granted].filter(role => !desired.has(role) && current.has(role));
+
+    // Выданная синхронизацией роль уже снята вручную - просто забываем
+    [...granted]
+      .filter(role => !desired.has(role) && !current.has(role))
+      .forEach(role => staleGrants.push({ user_id: user.user_id, role_name: role }));
+
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ ...user, added, removed });
+    }
+  });
+
+  return { changes, staleGrants };
+}
+
+/**
+ * Применить расхождения ролей (из findRoleChanges или плана)
+ *
+ * @param {Array} changes - [{ user_id, email, ws_role, added, removed }]
+ * @param {Array} staleGrants - Записи role-grants, которые нужно забыть
+ * @param {Object} refData - Reference данные (roleMap)
+ * @returns {Object} Статистика { updated: number, errors: number, changes: Array, details: Array }
+ */
+async function applyRoleChanges(changes, staleGrants, refData) {
+  const stats = {
+    updated: 0,
+    errors: 0,
+    changes, // Все расхождения (в DRY-RUN - планируемые) - для отчёта
+    details: []
+  };
+
+  logger.info(`\n🛡️  Изменение ролей по роли WS: ${stats.changes.length}`);
+
+  if (syncConfig.sync.dryRun) {
+    if (stats.changes.length > 0) {
+      logger.warning('🔍 DRY-RUN режим: роли НЕ будут изменены!');
+    }
+    stats.changes.forEach(change => {
+      logger.info(
+        `   [DRY-RUN] ${change.email} (${change.ws_role}): ` +
+        `+[${change.added.join(', ')}] -[${change.removed.join(', ')}]`
+      );
+    });
+    return stats;
+  }
+
+  await roleGrants.remove(staleGrants);
+
+  for (let i = 0; i < stats.changes.length; i++) {
+    const change = stats.changes[i];
+    const result = await applyRoleChange(change, refData);
+
+    const detail = {
+      email: change.email,
+      user_id: change.user_id,
+      changes: [
+        ...(result.success ? result.added : change.added).map(role => ({ field: 'role', from: null, to: role })),
+        ...change.removed.map(role => ({ field: 'role', from: role, to: null }))
+      ]
+    };
+
+    if (result.success) {
+      stats.updated++;
+      change.status = 'updated';
+      stats.details.push({ ...detail, status: 'updated' });
+    } else {
+      stats.errors++;
+      change.status = 'error';
+      stats.details.push({ ...detail, status: 'error', error: result.error });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+
+    // Задержка между операциями
+    if (i < stats.changes.length - 1 && i % syncConfig.sync.batchSize === 0) {
+      logger.debug(`Пауза ${syncConfig.sync.delayBetweenBatches}мс между батчами`);
+      await new Promise(resolve => setTimeout(resolve, syncConfig.sync.delayBetweenBatches));
+    }
+  }
+
+  logger.success(`\n✅ Роли обновлены: ${stats.updated}, ${stats.errors} ошибок`);
+
+  return stats;
+}
+
+/**
+ * Сверить роли пользователей с ролями WS и применить расхождения
+ *
+ * @param {Array} users - ws_roles из compareUsers [{ user_id, email, name, department, ws_role }]
+ * @param {Object} refData - Reference данные (roleMap)
+ * @returns {Object} Статистика { updated: number, errors: number, changes: Array, details: Array }
+ */
+async function reconcileRoles(users, refData) {
+  const { changes, staleGrants } = await findRoleChanges(users, refData);
+  return applyRoleChanges(changes, staleGrants, refData);
+}
+
+module.exports = {
+  getMappedRoles,
+  grantMappedRoles,
+  findRoleChanges,
+  applyRoleChanges,
+  reconcileRoles
+};
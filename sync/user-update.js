@@ -0,0 +1,147 @@
+const { createAdminClient } = require('./sync-helpers');
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+
+/**
+ * Разрешено ли перемещение пользователей в отдел (allowlist из sync-config)
+ * @param {string} departmentName - Ожидаемый по WS отдел
+ * @returns {boolean}
+ */
+function isUpdateAllowed(departmentName) {
+  return syncConfig.update.departments.includes(departmentName);
+}
+
+/**
+ * Переместить пользователя в отдел, ожидаемый по WS (команда "{Отдел} - Общая")
+ *
+ * @param {Object} user - Пользователь с расхождением отдела
+ * @param {string} user.email - Email
+ * @param {string} user.user_id - ID пользователя
+ * @param {string} departmentName - Название отдела в Supabase
+ * @param {Object} refData - Reference данные
+ * @returns {Object} { success: boolean, error: string|null }
+ */
+async function moveUser(user, departmentName, refData) {
+  const supabase = createAdminClient();
+
+  const departmentId = refData.departmentMap[departmentName];
+  const teamId = refData.teamMap[syncConfig.getTeamName(departmentName)];
+  // Отдел другого подразделения - подразделение меняется вместе с ним (служебные отделы его не меняют)
+  const subdivisionId = refData.departmentSubdivisionMap[departmentName];
+
+  try {
+    if (!departmentId || !teamId) {
+      throw new Error(`Отдел "${departmentName}" или его команда не найдены в reference данных`);
+    }
+
+    logger.info(`📝 Перемещение: ${user.email} "${user.supa_actual}" → "${departmentName}"...`);
+
+    const { error } = await supabase
+      .from('profiles')
+      .update({
+        department_id: departmentId,
+        team_id: teamId,
+        ...(subdivisionId ? { subdivision_id: subdivisionId } : {})
+      })
+      .eq('user_id', user.user_id);
+
+    if (error) {
+      throw new Error(`Update error: ${error.message}`);
+    }
+
+    logger.success(`✅ Перемещен: ${user.email} → "${departmentName}"`);
+
+    return {
+      success: true,
+      error: null
+    };
+
+  } catch (error) {
+    logger.error(`❌ Ошибка перемещения ${user.email}: ${error.message}`);
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Batch-перемещение пользователей в отделы, ожидаемые по WS
+ *
+ * @param {Array} usersToMove - Массив расхождений (department_differences из compareUsers)
+ * @param {Object} refData - Reference данные
+ * @returns {Object} Статистика { moved: number, errors: number, details: Array }
+ */
+async function moveUsers(usersToMove, refData) {
+  const stats = {
+    moved: 0,
+    errors: 0,
+    details: []
+  };
+
+  logger.info(`\n🔄 Начало перемещения пользователей: ${usersToMove.length}`);
+
+  if (syncConfig.sync.dryRun) {
+    logger.warning('🔍 DRY-RUN режим: пользователи НЕ будут перемещены!');
+    usersToMove.forEach(user => {
+      logger.info(`   [DRY-RUN] Переместить: ${user.email} "${user.supa_actual}" → "${user.ws_expected}"`);
+    });
+    return stats;
+  }
+
+  for (let i = 0; i < usersToMove.length; i++) {
+    const user = usersToMove[i];
+
+    logger.info(`\n[${i + 1}/${usersToMove.length}] Перемещение: ${user.email}`);
+
+    const result = await moveUser(user, user.ws_expected, refData);
+
+    const detail = {
+      email: user.email,
+      user_id: user.user_id,
+      from_department: user.supa_actual,
+      from_department_id: user.supa_department_id,
+      from_team_id: user.supa_team_id,
+      to_department: user.ws_expected,
+      to_department_id: refData.departmentMap[user.ws_expected],
+      to_team_id: refData.teamMap[syncConfig.getTeamName(user.ws_expected)]
+    };
+
+    if (result.success) {
+      stats.moved++;
+      stats.details.push({
+        ...detail,
+        status: 'moved'
+      });
+    } else {
+      stats.errors++;
+      stats.details.push({
+        ...detail,
+        status: 'error',
+        error: result.error
+      });
+
+      if (!syncConfig.sync.continueOnError) {
+        logger.error('❌ Остановка из-за ошибки (continueOnError = false)');
+        break;
+      }
+    }
+
+    // Задержка между операциями
+    if (i < usersToMove.length - 1 && i % syncConfig.sync.batchSize === 0) {
+      logger.info(`⏳ Пауза ${syncConfig.sync.delayBetweenBatches}мс...`);
+      await new Promise(resolve => setTimeout(resolve, syncConfig.sync.delayBetweenBatches));
+    }
+  }
+
+  logger.success(`\n✅ Перемещение завершено: ${stats.moved} перемещено, ${stats.errors} ошибок`);
+
+  return stats;
+}
+
+module.exports = {
+  isUpdateAllowed,
+  moveUser,
+  moveUsers
+};
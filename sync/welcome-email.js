@@ -0,0 +1,163 @@
+const mailer = require('../services/mailer');
+const { config } = require('../config/env');
+const syncConfig = require('../config/sync-config');
+const { getStrategy } = require('./credentials');
+const { retry } = require('../utils/retry');
+const logger = require('../utils/logger');
+
+/**
+ * Приветственное письмо новым пользователям (sync-config.welcome)
+ *
+ * Письмо сообщает, что аккаунт в eneca.work создан: ссылка на вход, отдел и как войти
+ * в первый раз (зависит от credentials.strategy). Пароли в письмо не попадают
+ */
+
+// Первый вход по стратегии доступа (credentials.strategy)
+const FIRST_LOGIN_INSTRUCTIONS = {
+  invite: 'Отдельным письмом придёт приглашение - перейдите по ссылке из него и задайте пароль.',
+  magic_link: 'Отдельным письмом придёт ссылка для входа. Новую ссылку можно запросить на странице входа.',
+  random: 'Пароль для первого входа передаст отдел кадров. Сменить его можно через "Забыли пароль?" на странице входа.',
+  shared: 'Пароль для первого входа передаст отдел кадров. После входа смените его через "Забыли пароль?" на странице входа.'
+};
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Сформировать письмо
+ *
+ * @param {Object} user - { email, first_name, last_name, department, position }
+ * @param {string} strategy - credentials.strategy
+ * @returns {Object} { to, subject, text, html }
+ */
+function renderWelcomeEmail(user, strategy) {
+  const name = user.first_name || user.email;
+  const loginUrl = config.mail.loginUrl || 'https://eneca.work';
+  const instructions = FIRST_LOGIN_INSTRUCTIONS[strategy];
+  const position = user.position && user.position !== syncConfig.defaults.positionName ? user.position : null;
+
+  const text = [
+    `Здравствуйте, ${name}!`,
+    '',
+    'Для вас создан аккаунт в eneca.work.',
+    '',
+    `Логин: ${user.email}`,
+    `Отдел: ${user.department}`,
+    ...(position ? [`Должность: ${position}`] : []),
+    '',
+    `Как войти: ${instructions}`,
+    `Вход: ${loginUrl}`,
+    '',
+    'Если вы не ожидали это письмо, сообщите в отдел кадров.'
+  ].join('\n');
+
+  const html =
+    `<p>Здравствуйте, ${escapeHtml(name)}!</p>` +
+    '<p>Для вас создан аккаунт в eneca.work.</p>' +
+    '<p>' +
+    `Логин: <b>${escapeHtml(user.email)}</b><br>` +
+    `Отдел: ${escapeHtml(user.department)}` +
+    (position ? `<br>Должность: ${escapeHtml(position)}` : '') +
+    '</p>' +
+    `<p>Как войти: ${escapeHtml(instructions)}</p>` +
+    `<p><a href="${escapeHtml(loginUrl)}">Войти в eneca.work</a></p>` +
+    '<p>Если вы не ожидали это письмо, сообщите в отдел кадров.</p>';
+
+  return {
+    to: user.email,
+    subject: 'Ваш аккаунт в eneca.work создан',
+    text,
+    html
+  };
+}
+
+/**
+ * Отправить приветственные письма созданным пользователям
+ * Ошибка письма не откатывает пользователя - статус доставки попадает в отчёт и журнал запуска
+ *
+ * @param {Array} users - Созданные пользователи [{ email, first_name, last_name, department, position }]
+ * @returns {Object} Статистика { sent: number, errors: number, details: Array }
+ */
+async function sendWelcomeEmails(users) {
+  const stats = {
+    sent: 0,
+    errors: 0,
+    details: []
+  };
+
+  if (!syncConfig.welcome.enabled || users.length === 0) {
+    return stats;
+  }
+
+  logger.info(`\n📧 Приветственные письма: ${users.length}`);
+
+  if (!mailer.isConfigured()) {
+    logger.warning('⚠️  Почта не настроена (SMTP_HOST) - приветственные письма не отправлены');
+    users.forEach(user => {
+      stats.details.push({ email: user.email, status: 'skipped', error: 'почта не настроена' });
+    });
+    return stats;
+  }
+
+  const strategy = getStrategy();
+
+  if (syncConfig.sync.dryRun) {
+    logger.warning('🔍 DRY-RUN режим: письма НЕ будут отправлены!');
+    users.forEach(user => {
+      logger.info(`   [DRY-RUN] Приветственное письмо: ${user.email} (${user.department})`);
+    });
+    return stats;
+  }
+
+  try {
+    await mailer.verify();
+  } catch (error) {
+    logger.error(`❌ SMTP сервер недоступен: ${error.message}`);
+    users.forEach(user => {
+      stats.errors++;
+      stats.details.push({ email: user.email, status: 'error', error: `SMTP: ${error.message}` });
+    });
+    return stats;
+  }
+
+  const { batchSize, delayBetweenBatches, maxRetries, retryBaseDelay } = syncConfig.welcome;
+
+  for (let start = 0; start < users.length; start += batchSize) {
+    const batch = users.slice(start, start + batchSize);
+
+    for (const user of batch) {
+      try {
+        const messageId = await retry(
+          () => mailer.send(renderWelcomeEmail(user, strategy)),
+          { maxRetries, baseDelay: retryBaseDelay, operationName: `Welcome email ${user.email}` }
+        );
+
+        stats.sent++;
+        stats.details.push({ email: user.email, user_id: user.user_id || null, status: 'sent', message_id: messageId });
+        logger.success(`✅ Приветственное письмо отправлено: ${user.email}`);
+      } catch (error) {
+        stats.errors++;
+        stats.details.push({ email: user.email, user_id: user.user_id || null, status: 'error', error: error.message });
+      }
+    }
+
+    if (start + batchSize < users.length) {
+      logger.debug(`Пауза ${delayBetweenBatches}мс между пакетами писем`);
+      await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
+    }
+  }
+
+  logger.success(`\n✅ Приветственные письма: ${stats.sent} отправлено, ${stats.errors} ошибок`);
+
+  return stats;
+}
+
+module.exports = {
+  renderWelcomeEmail,
+  sendWelcomeEmails
+};
@@ -0,0 +1,179 @@
+const syncConfig = require('../config/sync-config');
+const logger = require('../utils/logger');
+const { mapWsRate } = require('./employment-rate');
+
+/**
+ * Проверка качества данных пользователей WS до любых изменений (sync-config.dataQuality)
+ *
+ * - пробелы в начале/конце email - исправляются, попадают в отчёт
+ * - email не по RFC 5322, домен не из allowedDomains, один email у нескольких аккаунтов WS
+ *   (в том числе в разном регистре) - запись в карантине: не создаётся и не меняется,
+ *   а её профиль в Supabase (если есть) не уходит в "Удалены"
+ * - ставка (rate) не число или вне диапазонов sync-config.employment - ставка не применяется,
+ *   пользователь синхронизируется
+ *
+ * Все проблемы - в разделе "ПРОБЛЕМЫ ДАННЫХ WS" отчёта
+ */
+
+// RFC 5322 dot-atom: локальная часть и домен из меток (без quoted-string и IP-литералов)
+const LOCAL_PART = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+// Ограничения длины из RFC 5321
+const MAX_LOCAL_LENGTH = 64;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Email для сравнения: без пробелов по краям, в нижнем регистре
+ */
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+/**
+ * Проверить email по RFC 5322 (dot-atom) и ограничениям длины RFC 5321
+ * @param {string} email
+ * @returns {string|null} Причина ошибки или null, если email корректен
+ */
+function checkEmail(email) {
+  if (!email) {
+    return 'email отсутствует';
+  }
+
+  if (email.length > MAX_EMAIL_LENGTH) {
+    return `длиннее ${MAX_EMAIL_LENGTH} символов`;
+  }
+
+  const at = email.lastIndexOf('@');
+  if (at <= 0 || at === email.length - 1) {
+    return 'нет локальной части или домена';
+  }
+
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+
+  if (local.length > MAX_LOCAL_LENGTH) {
+    return `локальная часть длиннее ${MAX_LOCAL_LENGTH} символов`;
+  }
+
+  if (!LOCAL_PART.test(local)) {
+    return `недопустимые символы в "${local}"`;
+  }
+
+  const labels = domain.split('.');
+  if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label))) {
+    return `некорректный домен "${domain}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Корректный ли email (для проверок перед записью)
+ */
+function isValidEmail(email) {
+  return checkEmail(email) === null;
+}
+
+/**
+ * Проверить пользователей WS
+ *
+ * @param {Array} wsUsers - Пользователи из worksectionService.getUsers()
+ * @returns {Object} {
+ *   users: Array,        // Прошедшие проверку (email без пробелов по краям)
+ *   quarantined: Array,  // В карантине: [{ ...wsUser, issues }]
+ *   problems: Array      // Для отчёта: [{ ws_user_id, email, name, group, issue, action }]
+ * }
+ */
+function checkWsUsers(wsUsers) {
+  const allowedDomains = syncConfig.dataQuality.allowedDomains.map(domain => domain.toLowerCase());
+  const problems = [];
+  const issuesByIndex = new Map();
+
+  const addProblem = (index, wsUser, issue, action) => {
+    problems.push({
+      ws_user_id: wsUser.id != null ? String(wsUser.id) : null,
+      email: wsUser.email || '',
+      name: [wsUser.last_name, wsUser.first_name].filter(Boolean).join(' ') || wsUser.name || '',
+      group: wsUser.group || '',
+      issue,
+      action
+    });
+
+    if (action === 'карантин') {
+      issuesByIndex.set(index, [...(issuesByIndex.get(index) || []), issue]);
+    }
+  };
+
+  // Аккаунты WS по email без учёта регистра и пробелов
+  const indexesByEmail = new Map();
+
+  wsUsers.forEach((wsUser, index) => {
+    const raw = wsUser.email || '';
+    const email = raw.trim();
+
+    if (email !== raw) {
+      addProblem(index, wsUser, 'пробелы в начале или конце email', 'исправлено');
+    }
+
+    const rateError = mapWsRate(wsUser.rate).error;
+    if (rateError) {
+      addProblem(index, wsUser, rateError, 'ставка не применяется');
+    }
+
+    const emailError = checkEmail(email);
+    if (emailError) {
+      addProblem(index, wsUser, `email не по RFC 5322: ${emailError}`, 'карантин');
+      return;
+    }
+
+    const domain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+    if (allowedDomains.length > 0 && !allowedDomains.includes(domain)) {
+      addProblem(index, wsUser, `домен "${domain}" не корпоративный`, 'карантин');
+    }
+
+    const key = normalizeEmail(email);
+    indexesByEmail.set(key, [...(indexesByEmail.get(key) || []), index]);
+  });
+
+  // Дубликаты: какой из аккаунтов настоящий - решает человек, в карантин все
+  indexesByEmail.forEach(indexes => {
+    if (indexes.length < 2) {
+      return;
+    }
+
+    const variants = indexes.map(index => wsUsers[index].email.trim());
+    indexes.forEach(index => {
+      addProblem(index, wsUsers[index], `один email у ${indexes.length} аккаунтов WS: ${variants.join(', ')}`, 'карантин');
+    });
+  });
+
+  const users = [];
+  const quarantined = [];
+
+  wsUsers.forEach((wsUser, index) => {
+    const cleaned = { ...wsUser, email: (wsUser.email || '').trim() };
+
+    if (issuesByIndex.has(index)) {
+      quarantined.push({ ...cleaned, issues: issuesByIndex.get(index) });
+    } else {
+      users.push(cleaned);
+    }
+  });
+
+  if (problems.length > 0) {
+    logger.warning(
+      `⚠️  Проблемы данных WS: ${problems.length}, в карантине ${quarantined.length} ` +
+      `из ${wsUsers.length} пользователей`
+    );
+  }
+
+  return { users, quarantined, problems };
+}
+
+module.exports = {
+  normalizeEmail,
+  checkEmail,
+  isValidEmail,
+  checkWsUsers
+};
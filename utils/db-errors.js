@@ -0,0 +1,46 @@
+/**
+ * Проверить, что ошибка Supabase/PostgREST означает отсутствие таблицы
+ *
+ * Опциональные таблицы (история запусков и т.п.) могут быть не созданы -
+ * в этом случае используем локальное хранилище вместо падения синхронизации
+ *
+ * @param {Object} error - Ошибка из ответа supabase-js
+ * @returns {boolean}
+ */
+function isMissingTableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  // 42P01 - undefined_table (Postgres), PGRST205 - таблица не найдена в schema cache
+  if (error.code === '42P01' || error.code === 'PGRST205') {
+    return true;
+  }
+
+  const message = (error.message || '').toLowerCase();
+  return message.includes('does not exist') || message.includes('could not find the table');
+}
+
+/**
+ * Проверить, что ошибка Supabase/PostgREST означает отсутствие функции (RPC)
+ *
+ * @param {Object} error - Ошибка из ответа supabase-js
+ * @returns {boolean}
+ */
+function isMissingFunctionError(error) {
+  if (!error) {
+    return false;
+  }
+
+  // 42883 - undefined_function (Postgres), PGRST202 - функция не найдена в schema cache
+  if (error.code === '42883' || error.code === 'PGRST202') {
+    return true;
+  }
+
+  return (error.message || '').toLowerCase().includes('could not find the function');
+}
+
+module.exports = {
+  isMissingTableError,
+  isMissingFunctionError
+};
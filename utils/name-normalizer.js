@@ -0,0 +1,123 @@
+/**
+ * Нормализация имени и фамилии пользователя из Worksection
+ *
+ * WS отдаёт first_name / last_name и полное name. Основной источник - отдельные поля,
+ * name используется только если какого-то поля нет. Двойные фамилии и имена
+ * (через дефис или пробел) сохраняются целиком.
+ */
+
+const CYRILLIC = /[а-яёіў]/i;
+const LATIN = /[a-z]/i;
+// Буквы (кириллица, включая белорусские і/ў, и латиница), пробел, дефис, апостроф
+const ALLOWED = /^[a-zа-яёіў\s'’-]*$/i;
+// Окончания отчеств: "Фамилия Имя Отчество" в полном имени
+const PATRONYMIC = /(вич|вна|чна|ична|оглы|кызы)$/i;
+
+/**
+ * Убрать пробелы по краям и схлопнуть повторяющиеся (в том числе вокруг дефиса)
+ */
+function cleanSpaces(value) {
+  return (value || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*-\s*/g, '-');
+}
+
+/**
+ * Исправить регистр части имени: "ИВАНОВ" / "иванов" → "Иванов", "петрова-водкина" → "Петрова-Водкина"
+ * Смешанный регистр ("МакКартни") не трогаем - скорее всего он намеренный.
+ * Апостроф - часть слова, после него заглавная не ставится: "ВЕРАБ'ЁЎ" → "Вераб'ёў", "мар'яна" → "Мар'яна"
+ *
+ * @param {string} value - Имя или фамилия
+ * @returns {string}
+ */
+function normalizeNamePart(value) {
+  return cleanSpaces(value)
+    .split(/([\s-])/)
+    .map(segment => {
+      if (segment !== segment.toLowerCase() && segment !== segment.toUpperCase()) {
+        return segment;
+      }
+      return segment.charAt(0).toUpperCase() + segment.slice(1).toLowerCase();
+    })
+    .join('');
+}
+
+/**
+ * Разобрать полное имя на имя и фамилию
+ * - "Имя Фамилия [Фамилия2]" - первое слово имя, остальное фамилия
+ * - "Фамилия Имя Отчество" - если третье слово похоже на отчество (отчество отбрасывается)
+ *
+ * @param {string} fullName - Полное имя из WS
+ * @returns {Object} { first_name, last_name }
+ */
+function splitFullName(fullName) {
+  const words = cleanSpaces(fullName).split(' ').filter(Boolean);
+
+  if (words.length === 3 && PATRONYMIC.test(words[2])) {
+    return { first_name: words[1], last_name: words[0] };
+  }
+
+  return {
+    first_name: words[0] || '',
+    last_name: words.slice(1).join(' ')
+  };
+}
+
+/**
+ * Проверить часть имени на подозрительные значения
+ * @returns {Array<string>} Описания проблем
+ */
+function checkNamePart(value, label) {
+  if (!value) {
+    return [`${label}: пусто`];
+  }
+
+  const issues = [];
+
+  value.split(/[\s'’-]/).forEach(word => {
+    if (CYRILLIC.test(word) && LATIN.test(word)) {
+      issues.push(`${label}: латиница вперемешку с кириллицей ("${word}")`);
+    }
+  });
+
+  if (!ALLOWED.test(value)) {
+    issues.push(`${label}: недопустимые символы ("${value}")`);
+  }
+
+  return issues;
+}
+
+/**
+ * Нормализовать имя пользователя WS
+ *
+ * @param {Object} wsUser - Пользователь из WS (first_name, last_name, name)
+ * @returns {Object} { first_name, last_name, full_name, issues: Array<string> }
+ */
+function normalizeName(wsUser) {
+  let firstName = cleanSpaces(wsUser.first_name);
+  let lastName = cleanSpaces(wsUser.last_name);
+
+  // Нет отдельного поля - берём из полного имени
+  if ((!firstName || !lastName) && wsUser.name) {
+    const parsed = splitFullName(wsUser.name);
+    firstName = firstName || parsed.first_name;
+    lastName = lastName || parsed.last_name;
+  }
+
+  firstName = normalizeNamePart(firstName);
+  lastName = normalizeNamePart(lastName);
+
+  return {
+    first_name: firstName,
+    last_name: lastName,
+    full_name: `${firstName} ${lastName}`.trim(),
+    issues: [...checkNamePart(firstName, 'имя'), ...checkNamePart(lastName, 'фамилия')]
+  };
+}
+
+module.exports = {
+  normalizeNamePart,
+  splitFullName,
+  normalizeName
+};